@@ -1,6 +1,9 @@
-import { admin, getFirestore } from '../lib/firebase-init.js';
+import { admin, getFirestore, isUserAdmin } from '../lib/firebase-init.js';
 import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
 import logger from '../lib/logger.js';
+import auditLogger from '../lib/audit.js';
+import { validateObjectId } from '../lib/validation.js';
+import { recountCandidates, repairCandidateCounters } from '../lib/recount.js';
 import { requireAdmin, validateRequest } from '../lib/middleware.js';
 import crypto from 'crypto';
 
@@ -170,8 +173,62 @@ export default async function handler(req, res) {
       });
     }
 
+    // RECOUNT CANDIDATE VOTE COUNTERS (optionally repair drift)
+    if (action === 'recount' && req.method === 'POST') {
+      const { adminId, electionId, repair } = req.body;
+
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Unauthorized - Admin access required'
+        });
+      }
+
+      if (electionId) {
+        const idValidation = validateObjectId(electionId);
+        if (!idValidation.valid) {
+          return res.status(400).json({ success: false, error: idValidation.error });
+        }
+      }
+
+      const report = await recountCandidates(firestore, { electionId: electionId || null });
+      const repaired = [];
+
+      if (repair === true && report.drifted.length > 0) {
+        for (const candidate of report.drifted) {
+          repaired.push(await repairCandidateCounters(firestore, candidate.candidateId));
+        }
+
+        await auditLogger.logAdminAction(
+          adminId,
+          'recount_repair',
+          null,
+          req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+          {
+            electionId: electionId || null,
+            candidates: Object.fromEntries(
+              repaired.map(({ candidateId, before, after }) => [candidateId, { before, after }])
+            )
+          }
+        );
+        await auditLogger.flush();
+
+        logger.info('Candidate counters repaired', { adminId, electionId, repaired: repaired.length });
+      }
+
+      return res.status(200).json({
+        success: true,
+        ...report,
+        repaired
+      });
+    }
+
     return res.status(400).json({ error: 'Invalid action' });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     console.error('Admin API error:', error);
     return res.status(500).json({ 
       error: 'Internal server error',
@@ -0,0 +1,197 @@
+import { getFirestore, isUserAdmin } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { validateFirebaseUid, validateObjectId } from '../lib/validation.js';
+import {
+  answerQuestion,
+  askQuestion,
+  flagQuestion,
+  listModerationQueue,
+  listQuestions,
+  setQuestionVisibility,
+  voteOnQuestion
+} from '../lib/candidate-qa.js';
+
+/**
+ * Candidate Q&A API
+ *
+ * GET  ?action=list&candidateId=[&sort=top|recent]  - a candidate's board, with the top unanswered questions
+ * POST ?action=ask { candidateId, userId, question }
+ * POST ?action=upvote&id= { userId }
+ * POST ?action=remove-upvote&id= { userId }
+ * POST ?action=answer&id= { userId, answer }        - candidate only
+ * POST ?action=flag&id= { userId, reason? }
+ * GET  ?action=moderation&adminId=                  - flagged and hidden questions
+ * POST ?action=hide|unhide&id= { adminId, reason }  - admin only
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Candidate Q&A API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST A CANDIDATE'S QUESTIONS
+    if (action === 'list' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.candidateId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const { questions, topUnanswered } = await listQuestions(firestore, idValidation.value, {
+        sort: req.query.sort
+      });
+
+      return res.status(200).json({
+        success: true,
+        candidateId: idValidation.value,
+        questions,
+        topUnanswered
+      });
+    }
+
+    // ASK A QUESTION
+    if (action === 'ask' && req.method === 'POST') {
+      const { candidateId, userId, question } = req.body;
+
+      const idValidation = validateObjectId(candidateId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const userValidation = validateFirebaseUid(userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      const { questionId } = await askQuestion(firestore, {
+        candidateId: idValidation.value,
+        userId: userValidation.value,
+        question
+      });
+
+      logger.info('Candidate question asked', { candidateId: idValidation.value, questionId });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Question submitted successfully',
+        questionId
+      });
+    }
+
+    // MODERATION QUEUE
+    if (action === 'moderation' && req.method === 'GET') {
+      const { adminId } = req.query;
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      const { flagged, hidden } = await listModerationQueue(firestore);
+
+      return res.status(200).json({ success: true, flagged, hidden });
+    }
+
+    // Everything below acts on one question
+    const idValidation = validateObjectId(req.query.id);
+    if (!idValidation.valid) {
+      return res.status(400).json({ success: false, error: idValidation.error });
+    }
+    const questionId = idValidation.value;
+
+    // HIDE / RESTORE
+    if ((action === 'hide' || action === 'unhide') && req.method === 'POST') {
+      const { adminId, reason } = req.body;
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      await setQuestionVisibility(firestore, {
+        questionId,
+        adminId,
+        hidden: action === 'hide',
+        reason
+      });
+
+      logger.info(action === 'hide' ? 'Candidate question hidden' : 'Candidate question restored', {
+        questionId,
+        adminId
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: action === 'hide' ? 'Question hidden successfully' : 'Question restored successfully'
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    const userValidation = validateFirebaseUid(req.body.userId);
+    if (!userValidation.valid) {
+      return res.status(400).json({ success: false, error: userValidation.error });
+    }
+    const userId = userValidation.value;
+
+    // UPVOTE / REMOVE UPVOTE
+    if (action === 'upvote' || action === 'remove-upvote') {
+      const { upvoteCount } = await voteOnQuestion(firestore, {
+        questionId,
+        userId,
+        remove: action === 'remove-upvote'
+      });
+
+      return res.status(200).json({ success: true, upvoteCount });
+    }
+
+    // ANSWER
+    if (action === 'answer') {
+      await answerQuestion(firestore, { questionId, userId, answer: req.body.answer });
+
+      logger.info('Candidate question answered', { questionId });
+
+      return res.status(200).json({ success: true, message: 'Answer saved successfully' });
+    }
+
+    // FLAG FOR MODERATION
+    if (action === 'flag') {
+      const { flagCount } = await flagQuestion(firestore, { questionId, userId, reason: req.body.reason });
+
+      logger.info('Candidate question flagged', { questionId, flagCount });
+
+      return res.status(200).json({ success: true, message: 'Question flagged for review' });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Candidate Q&A API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -1,5 +1,19 @@
 import admin from 'firebase-admin';
+import { isUserAdmin } from '../lib/firebase-init.js';
 import { setSecureCorsHeaders } from '../lib/cors.js';
+import { ELECTION_POSITIONS, ElectionPhases, resolveElection } from '../lib/elections.js';
+import {
+  CANDIDACY_REQUIREMENTS,
+  CandidateStatus,
+  diffRevisions,
+  listRevisions,
+  setCandidateStanding,
+  updateCandidateProfile,
+  validateNewCandidate,
+  validateProfileUpdate,
+  withdrawCandidacy
+} from '../lib/candidates.js';
+import { getUserPartyId } from '../lib/parties.js';
 
 // Initialize Firebase Admin only once
 let db = null;
@@ -63,23 +77,85 @@ export default async function handler(req, res) {
       }
     }
 
+    // Voluntary withdrawal (owner) - stays on record, leaves the ballot
+    if (req.method === 'POST' && req.query.action === 'withdraw') {
+      const { id } = req.query;
+      const { userId, reason } = req.body;
+      
+      if (!id || !userId) {
+        return res.status(400).json({ success: false, error: 'Candidate ID and user ID required' });
+      }
+      
+      await withdrawCandidacy(firestore, {
+        candidateId: id,
+        userId,
+        reason: typeof reason === 'string' ? reason.trim().slice(0, 500) : null
+      });
+      
+      return res.status(200).json({ 
+        success: true, 
+        message: 'Candidacy withdrawn successfully'
+      });
+    }
+
+    // Disqualify / reinstate (admin only, reason required)
+    if (req.method === 'POST' && (req.query.action === 'disqualify' || req.query.action === 'reinstate')) {
+      const { id, action } = req.query;
+      const { adminId, reason } = req.body;
+      
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+      
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Candidate ID required' });
+      }
+      
+      await setCandidateStanding(firestore, {
+        candidateId: id,
+        status: action === 'disqualify' ? CandidateStatus.DISQUALIFIED : CandidateStatus.ACTIVE,
+        reason: typeof reason === 'string' ? reason.slice(0, 500) : reason,
+        changedBy: adminId
+      });
+      
+      return res.status(200).json({ 
+        success: true, 
+        message: action === 'disqualify' ? 'Candidate disqualified' : 'Candidate reinstated'
+      });
+    }
+
     if (req.method === 'POST') {
       const candidateData = req.body;
       
-      // Validate position if provided
-      const validPositions = [
-        'president', 'prime_minister', 'secretary',
-        'minister_finance', 'minister_creativity', 'minister_raid_corps',
-        'minister_development', 'minister_citizens', 'minister_justice'
-      ];
+      // Only identity and profile fields come from the body; everything else is server-owned
+      const profileValidation = validateNewCandidate(candidateData);
+      if (!profileValidation.valid) {
+        return res.status(400).json({ success: false, error: profileValidation.error });
+      }
       
-      if (candidateData.position && !validPositions.includes(candidateData.position)) {
+      // Validate position if provided
+      if (candidateData.position && !ELECTION_POSITIONS.includes(candidateData.position)) {
         return res.status(400).json({ 
           success: false, 
           error: 'Invalid position specified' 
         });
       }
       
+      // Candidacies are only accepted while the election's nomination window is open
+      const election = await resolveElection(firestore, {
+        electionId: candidateData.electionId,
+        electionType: candidateData.electionType,
+        phase: ElectionPhases.NOMINATION
+      });
+      
+      const position = candidateData.position || 'president'; // Default to president
+      if (!election.positions.includes(position)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Position is not contested in this election' 
+        });
+      }
+      
       // Check if user meets follower requirement
       if (candidateData.userId) {
         const userDoc = await firestore.collection('users').doc(candidateData.userId).get();
@@ -92,25 +168,26 @@ export default async function handler(req, res) {
             eligible: userData.eligibleForCandidacy
           });
           
-          // Check eligibility requirements (500+ followers AND 50K+ tokens for testing)
-          const hasEnoughFollowers = userData.twitterFollowers && userData.twitterFollowers >= 500;
-          const hasEnoughTokens = userData.tokenBalance && userData.tokenBalance >= 50000; // Reduced to 50K for testing
+          // Check eligibility requirements (re-checked before voting opens and at certification)
+          const { minFollowers, minTokens } = CANDIDACY_REQUIREMENTS;
+          const hasEnoughFollowers = userData.twitterFollowers && userData.twitterFollowers >= minFollowers;
+          const hasEnoughTokens = userData.tokenBalance && userData.tokenBalance >= minTokens;
           
           if (!hasEnoughFollowers) {
             console.log('Follower requirement not met:', userData.twitterFollowers);
             return res.status(403).json({ 
-              error: 'Minimum 500 Twitter followers required to run for office',
+              error: `Minimum ${minFollowers} Twitter followers required to run for office`,
               currentFollowers: userData.twitterFollowers || 0,
-              required: 500
+              required: minFollowers
             });
           }
           
           if (!hasEnoughTokens) {
             console.log('Token requirement not met:', userData.tokenBalance);
             return res.status(403).json({ 
-              error: 'Minimum 50,000 TURDS tokens required to run for office',
+              error: `Minimum ${minTokens.toLocaleString()} TURDS tokens required to run for office`,
               currentTokens: userData.tokenBalance || 0,
-              required: 50000
+              required: minTokens
             });
           }
         } else {
@@ -122,6 +199,16 @@ export default async function handler(req, res) {
         }
       }
       
+      // Primaries are closed to the party's own members; everyone else stands under
+      // whichever party they belong to, if any
+      const partyId = candidateData.userId ? await getUserPartyId(firestore, candidateData.userId) : null;
+      if (election.electionType === 'primary' && partyId !== election.partyId) {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'Only members of the party can stand in its primary' 
+        });
+      }
+      
       // Include Twitter data from user profile
       let twitterData = {};
       if (candidateData.userId) {
@@ -137,19 +224,26 @@ export default async function handler(req, res) {
       }
       
       const docData = {
-        ...candidateData,
+        ...profileValidation.value,
         ...twitterData,
-        position: candidateData.position || 'president', // Default to president
-        electionPhase: candidateData.position && 
-          ['president', 'prime_minister', 'secretary'].includes(candidateData.position) 
+        position,
+        electionId: election.id,
+        electionType: election.electionType,
+        partyId,
+        electionPhase: ['president', 'prime_minister', 'secretary'].includes(position) 
           ? 'phase_one' 
           : 'phase_two',
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         isActive: true,
+        status: CandidateStatus.ACTIVE,
+        statusChangedAt: null,
         supportersCount: 0,
         votes: 0,
-        endorsements: []
+        weightedVotes: 0,
+        endorsements: [],
+        endorsementCount: 0,
+        revisionCount: 0
       };
 
       const docRef = await firestore.collection('candidates').add(docData);
@@ -161,10 +255,66 @@ export default async function handler(req, res) {
       });
     }
 
+    // Edit profile (owner only, allowlisted fields)
+    if (req.method === 'PATCH') {
+      const { id } = req.query;
+      const { userId } = req.body;
+      
+      if (!id || !userId) {
+        return res.status(400).json({ success: false, error: 'Candidate ID and user ID required' });
+      }
+      
+      const validation = validateProfileUpdate(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: validation.error });
+      }
+      
+      const { revision, changes } = await updateCandidateProfile(firestore, {
+        candidateId: id,
+        userId,
+        updates: validation.value
+      });
+      
+      return res.status(200).json({ 
+        success: true, 
+        message: 'Candidate profile updated successfully',
+        revision,
+        changes
+      });
+    }
+
+    // Revision history and diffs
+    if (req.method === 'GET' && (req.query.action === 'revisions' || req.query.action === 'diff')) {
+      const { id, action, from, to } = req.query;
+      
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Candidate ID required' });
+      }
+      
+      if (action === 'revisions') {
+        const revisions = await listRevisions(firestore, id);
+        return res.status(200).json({ success: true, candidateId: id, revisions });
+      }
+      
+      const diff = await diffRevisions(
+        firestore,
+        id,
+        from !== undefined ? Number(from) : 0,
+        to !== undefined ? Number(to) : null
+      );
+      
+      return res.status(200).json({ success: true, candidateId: id, ...diff });
+    }
+
     if (req.method === 'GET') {
-      const snapshot = await firestore.collection('candidates')
-        .where('isActive', '==', true)
-        .get();
+      const { electionId } = req.query;
+      
+      let query = firestore.collection('candidates').where('isActive', '==', true);
+      if (electionId) {
+        query = query.where('electionId', '==', electionId);
+      }
+      
+      const snapshot = await query.get();
       
       const candidates = [];
       snapshot.forEach(doc => {
@@ -172,16 +322,27 @@ export default async function handler(req, res) {
         candidates.push({ 
           id: doc.id, 
           ...data,
+          status: data.status || CandidateStatus.ACTIVE,
           createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
-          updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null
+          updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null,
+          statusChangedAt: data.statusChangedAt?.toDate?.()?.toISOString() || null
         });
       });
       
       candidates.sort((a, b) => (b.votes || 0) - (a.votes || 0));
       
+      // Votes are cast per position, so standings only make sense within one
+      const byPosition = {};
+      candidates.forEach(candidate => {
+        const position = candidate.position || 'president';
+        byPosition[position] = byPosition[position] || [];
+        byPosition[position].push(candidate);
+      });
+      
       return res.status(200).json({ 
         success: true, 
         candidates,
+        byPosition,
         total: candidates.length
       });
     }
@@ -224,6 +385,14 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (error) {
     console.error('Candidates API error:', error);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    
     return res.status(500).json({ 
       error: 'Internal server error',
       details: error.message
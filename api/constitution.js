@@ -0,0 +1,100 @@
+import { getFirestore, isUserAdmin } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { adoptConstitution, getConstitution, listConstitutionVersions } from '../lib/constitution.js';
+
+/**
+ * Constitution API
+ *
+ * GET  ?action=current                     - the constitution in force, article by article
+ * GET  ?action=version&version=            - any past version as it stood
+ * GET  ?action=history                     - every version, without article text
+ * POST ?action=adopt { adminId, articles } - admin only, once; articles are [{ title, text }]
+ *
+ * Articles change through amendment proposals: POST /api/proposals?action=create
+ * with { kind: 'amendment', articleNumber, text }.
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Constitution API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // CURRENT CONSTITUTION
+    if (action === 'current' && req.method === 'GET') {
+      const constitution = await getConstitution(firestore);
+
+      return res.status(200).json({ success: true, constitution });
+    }
+
+    // HISTORICAL VERSION
+    if (action === 'version' && req.method === 'GET') {
+      const version = Number(req.query.version);
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ success: false, error: 'Invalid version number' });
+      }
+
+      const constitution = await getConstitution(firestore, version);
+
+      return res.status(200).json({ success: true, constitution });
+    }
+
+    // VERSION HISTORY
+    if (action === 'history' && req.method === 'GET') {
+      const versions = await listConstitutionVersions(firestore);
+
+      return res.status(200).json({ success: true, versions });
+    }
+
+    // ADOPT THE FIRST VERSION
+    if (action === 'adopt' && req.method === 'POST') {
+      const { adminId, articles } = req.body;
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      const result = await adoptConstitution(firestore, { articles, adminId });
+
+      logger.info('Constitution adopted', { ...result, adminId });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Constitution adopted successfully',
+        ...result
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Constitution API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,117 @@
+import { getFirestore } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { validateFirebaseUid } from '../lib/validation.js';
+import {
+  GLOBAL_TOPIC,
+  POLL_TOPICS,
+  listDelegations,
+  revokeDelegation,
+  setDelegation
+} from '../lib/delegations.js';
+
+/**
+ * Poll vote delegation API
+ *
+ * GET  ?action=topics                           - topics a delegation can be scoped to
+ * GET  ?action=list&userId=                     - a user's delegations and how many delegate to them
+ * POST ?action=set { userId, delegateId, topic? } - topic defaults to 'global' (every poll)
+ * POST ?action=revoke { userId, topic? }
+ *
+ * Voting directly on a poll always overrides a delegation for that poll.
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Delegations API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST TOPICS
+    if (action === 'topics' && req.method === 'GET') {
+      return res.status(200).json({ success: true, globalTopic: GLOBAL_TOPIC, topics: POLL_TOPICS });
+    }
+
+    // LIST A USER'S DELEGATIONS
+    if (action === 'list' && req.method === 'GET') {
+      const userValidation = validateFirebaseUid(req.query.userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      const { delegations, delegatorCount } = await listDelegations(firestore, userValidation.value);
+
+      return res.status(200).json({
+        success: true,
+        userId: userValidation.value,
+        delegations,
+        delegatorCount
+      });
+    }
+
+    // SET / REVOKE A DELEGATION
+    if ((action === 'set' || action === 'revoke') && req.method === 'POST') {
+      const { userId, delegateId, topic = GLOBAL_TOPIC } = req.body;
+
+      const userValidation = validateFirebaseUid(userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      if (action === 'revoke') {
+        await revokeDelegation(firestore, { delegatorId: userValidation.value, topic });
+
+        logger.info('Vote delegation revoked', { delegatorId: userValidation.value, topic });
+
+        return res.status(200).json({ success: true, message: 'Delegation revoked successfully' });
+      }
+
+      const delegateValidation = validateFirebaseUid(delegateId);
+      if (!delegateValidation.valid) {
+        return res.status(400).json({ success: false, error: delegateValidation.error });
+      }
+
+      await setDelegation(firestore, {
+        delegatorId: userValidation.value,
+        delegateId: delegateValidation.value,
+        topic
+      });
+
+      logger.info('Vote delegated', { delegatorId: userValidation.value, delegateId: delegateValidation.value, topic });
+
+      return res.status(200).json({ success: true, message: 'Vote delegated successfully' });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Delegations API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,464 @@
+import { admin, getFirestore, isUserAdmin } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { requireCronSecret } from '../lib/middleware.js';
+import { validateObjectId } from '../lib/validation.js';
+import {
+  ElectionPhases,
+  ElectionStatus,
+  buildElectionDocument,
+  claimCertification,
+  getElection,
+  getElectionPhase,
+  serializeElection,
+  toDate,
+  validateElectionInput
+} from '../lib/elections.js';
+import { reverifyCandidates } from '../lib/candidates.js';
+import { seatElectionWinners } from '../lib/government.js';
+import { registerPrimaryNominees, validatePrimaryTargets } from '../lib/parties.js';
+import {
+  VoteStatus,
+  loadCandidates,
+  qualifiesForBallot,
+  summarizeCandidate,
+  tallyBallots,
+  tallyElection
+} from '../lib/tally.js';
+import { computeEntryHash, loadBallotLog, replayBallotLog, verifyBallotLog } from '../lib/ballot-log.js';
+import { ensureBalanceSnapshot, requiresSnapshot } from '../lib/weights.js';
+
+/**
+ * Elections API
+ *
+ * Each election owns its own nomination, voting and certification windows,
+ * so running a new term is a matter of creating a new election rather than
+ * resetting candidates and votes by hand.
+ */
+
+// How long before voting opens the scheduled job re-verifies candidates
+const PRE_VOTING_REVERIFY_LEAD_MS = 30 * 60 * 1000;
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Elections API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({
+      success: false,
+      error: 'Database initialization failed'
+    });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST ELECTIONS
+    if (action === 'list' && req.method === 'GET') {
+      const { electionType, status } = req.query;
+
+      let query = firestore.collection('elections');
+      if (electionType) {
+        query = query.where('electionType', '==', electionType);
+      }
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.get();
+      const now = new Date();
+      const elections = snapshot.docs
+        .map(doc => serializeElection(doc.id, doc.data(), now))
+        .sort((a, b) => new Date(b.votingOpensAt) - new Date(a.votingOpensAt));
+
+      return res.status(200).json({
+        success: true,
+        elections,
+        total: elections.length
+      });
+    }
+
+    // GET SINGLE ELECTION
+    if (action === 'get' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const { id, ...data } = await getElection(firestore, idValidation.value);
+
+      return res.status(200).json({
+        success: true,
+        election: serializeElection(id, data)
+      });
+    }
+
+    // GET BALLOT (candidates grouped by position)
+    if (action === 'ballot' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const election = await getElection(firestore, idValidation.value);
+      const snapshot = await firestore.collection('candidates')
+        .where('electionId', '==', election.id)
+        .where('isActive', '==', true)
+        .get();
+
+      // Candidates short of the endorsement threshold are listed separately
+      const ballot = election.positions.map(position => ({ position, candidates: [], pending: [] }));
+      snapshot.forEach(doc => {
+        const data = doc.data();
+        const entry = ballot.find(item => item.position === data.position);
+        if (entry) {
+          const list = qualifiesForBallot(data, election) ? entry.candidates : entry.pending;
+          list.push({
+            ...summarizeCandidate(doc.id, data),
+            slogan: data.slogan || null,
+            image: data.image || null
+          });
+        }
+      });
+
+      return res.status(200).json({
+        success: true,
+        electionId: election.id,
+        ballotMode: election.ballotMode || 'plurality',
+        minEndorsements: election.minEndorsements || 0,
+        phase: getElectionPhase(election),
+        ballot
+      });
+    }
+
+    // TALLY RESULTS (plurality counts or instant-runoff rounds, once voting has closed)
+    if (action === 'tally' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const election = await getElection(firestore, idValidation.value);
+      const phase = getElectionPhase(election);
+
+      if ([ElectionPhases.UPCOMING, ElectionPhases.NOMINATION, ElectionPhases.CAMPAIGN,
+        ElectionPhases.VOTING, ElectionPhases.CANCELLED].includes(phase)) {
+        return res.status(403).json({ success: false, error: 'Results are available once voting has closed' });
+      }
+
+      const results = election.status === ElectionStatus.CERTIFIED
+        ? election.results
+        : await tallyElection(firestore, election);
+
+      return res.status(200).json({
+        success: true,
+        electionId: election.id,
+        ballotMode: election.ballotMode || 'plurality',
+        weighting: election.weighting || 'equal',
+        phase,
+        certified: election.status === ElectionStatus.CERTIFIED,
+        results
+      });
+    }
+
+    // PUBLIC BALLOT LOG (chain head, integrity check and recount from the log)
+    if (action === 'ballot-log' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const election = await getElection(firestore, idValidation.value);
+      const electionRef = firestore.collection('elections').doc(election.id);
+      const entries = await loadBallotLog(electionRef);
+      const verification = verifyBallotLog(entries, election.ballotLogHead);
+
+      const response = {
+        success: true,
+        electionId: election.id,
+        head: election.ballotLogHead || { seq: 0, hash: null },
+        verification
+      };
+
+      // Running totals stay private until voting has closed
+      const phase = getElectionPhase(election);
+      if (![ElectionPhases.UPCOMING, ElectionPhases.NOMINATION, ElectionPhases.CAMPAIGN,
+        ElectionPhases.VOTING].includes(phase)) {
+        const candidates = await loadCandidates(firestore, election);
+        const ballots = [...replayBallotLog(entries).values()];
+        const recount = tallyBallots(election, candidates, ballots);
+
+        // Compare the public counters with what the log says they should be
+        const counterDrift = candidates
+          .map(candidate => {
+            const logBallots = ballots.filter(ballot => ballot.candidateId === candidate.candidateId);
+            return {
+              candidateId: candidate.candidateId,
+              counterVotes: candidate.votes,
+              logVotes: logBallots.length,
+              counterWeightedVotes: candidate.weightedVotes,
+              logWeightedVotes: logBallots.reduce((sum, ballot) => sum + ballot.weight, 0)
+            };
+          })
+          .filter(item => item.counterVotes !== item.logVotes ||
+            // Square-root weights are summed in a different order, so allow rounding noise
+            Math.abs(item.counterWeightedVotes - item.logWeightedVotes) > 1e-6);
+
+        response.recount = recount;
+        response.counterDrift = counterDrift;
+      }
+
+      if (req.query.includeEntries === 'true') {
+        response.entries = entries;
+      }
+
+      return res.status(200).json(response);
+    }
+
+    // VERIFY A VOTER'S RECEIPT
+    if (action === 'verify-receipt' && req.method === 'GET') {
+      const { id, receiptId } = req.query;
+
+      const idValidation = validateObjectId(id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      if (!receiptId || !/^[a-f0-9]{32}$/.test(receiptId)) {
+        return res.status(400).json({ success: false, error: 'Invalid receipt ID' });
+      }
+
+      const election = await getElection(firestore, idValidation.value);
+      const electionRef = firestore.collection('elections').doc(election.id);
+      const entries = await loadBallotLog(electionRef);
+      const receiptEntries = entries.filter(entry => entry.receiptId === receiptId);
+
+      if (receiptEntries.length === 0) {
+        return res.status(404).json({ success: false, error: 'Receipt not found' });
+      }
+
+      const entry = receiptEntries[receiptEntries.length - 1];
+      const counted = replayBallotLog(entries).get(receiptId) || null;
+
+      // The private vote record must still agree with what was published
+      const voteSnapshot = await firestore.collection('votes')
+        .where('electionId', '==', election.id)
+        .where('receiptId', '==', receiptId)
+        .limit(1)
+        .get();
+      const vote = voteSnapshot.empty ? null : voteSnapshot.docs[0].data();
+
+      return res.status(200).json({
+        success: true,
+        electionId: election.id,
+        entry,
+        entryHashValid: computeEntryHash(entry) === entry.hash,
+        chain: verifyBallotLog(entries, election.ballotLogHead),
+        counted: Boolean(counted),
+        recordedVoteMatches: Boolean(vote) && (vote.status === VoteStatus.WITHDRAWN
+          ? !counted
+          : Boolean(counted && vote.candidateId === counted.candidateId && (vote.weight ?? 1) === counted.weight))
+      });
+    }
+
+    // CREATE ELECTION (Admin only)
+    if (action === 'create' && req.method === 'POST') {
+      const { adminId } = req.body;
+
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      const validation = validateElectionInput(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: validation.error });
+      }
+
+      if (validation.value.electionType === 'primary') {
+        await validatePrimaryTargets(firestore, validation.value);
+      }
+
+      const docRef = await firestore.collection('elections').add(
+        buildElectionDocument(validation.value, adminId)
+      );
+
+      logger.info('Election created', { electionId: docRef.id, adminId });
+
+      return res.status(201).json({
+        success: true,
+        id: docRef.id,
+        message: 'Election created successfully'
+      });
+    }
+
+    // CANCEL ELECTION (Admin only)
+    if (action === 'cancel' && req.method === 'POST') {
+      const { adminId, electionId, reason } = req.body;
+
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      const idValidation = validateObjectId(electionId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const election = await getElection(firestore, idValidation.value);
+      if (election.status !== ElectionStatus.SCHEDULED) {
+        return res.status(400).json({ success: false, error: `Election is already ${election.status}` });
+      }
+
+      await firestore.collection('elections').doc(election.id).update({
+        status: ElectionStatus.CANCELLED,
+        cancelledBy: adminId,
+        cancelReason: reason || null,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Election cancelled successfully'
+      });
+    }
+
+    // CERTIFY RESULTS (Admin only, during the certification window)
+    if (action === 'certify' && req.method === 'POST') {
+      const { adminId, electionId } = req.body;
+
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      const idValidation = validateObjectId(electionId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      // Only the request that moves the election to certifying counts and seats
+      const election = await claimCertification(firestore, idValidation.value);
+
+      // Candidates who no longer meet the requirements are dropped before counting
+      const verification = await reverifyCandidates(firestore, election, 'certification');
+
+      const results = await tallyElection(firestore, election);
+      const winners = Object.fromEntries(
+        Object.entries(results).map(([position, result]) => [position, result.winner])
+      );
+
+      // Seat the winners in the same batch so the roster always matches the certified result.
+      // Primaries only pick nominees, so nobody takes office from them; their winners
+      // are registered as the party's candidates in the general election instead.
+      const batch = firestore.batch();
+      const isPrimary = election.electionType === 'primary';
+      const { seats, unfilled } = isPrimary
+        ? { seats: {}, unfilled: [] }
+        : await seatElectionWinners(firestore, batch, election, winners, { changedBy: adminId });
+      const { nominees, skipped: nomineesSkipped } = isPrimary && election.generalElectionId
+        ? await registerPrimaryNominees(firestore, batch, election, winners)
+        : { nominees: {}, skipped: {} };
+
+      batch.update(firestore.collection('elections').doc(election.id), {
+        status: ElectionStatus.CERTIFIED,
+        results,
+        winners,
+        seats,
+        unfilledPositions: unfilled,
+        nominees,
+        nomineesSkipped,
+        certificationVerification: verification,
+        certifiedBy: adminId,
+        certifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        certifyingAt: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await batch.commit();
+
+      logger.info('Election certified', { electionId: election.id, adminId });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Election certified successfully',
+        results,
+        winners,
+        seats,
+        unfilledPositions: unfilled,
+        nominees,
+        nomineesSkipped,
+        disqualified: verification.disqualified
+      });
+    }
+
+    // SCHEDULED JOBS (Vercel cron) - re-verify candidates and freeze token
+    // balances just before voting opens, since ballots wait on the snapshot
+    if (action === 'run-scheduled') {
+      let authorized = false;
+      requireCronSecret(req, res, () => { authorized = true; });
+      if (!authorized) return;
+
+      const snapshot = await firestore.collection('elections')
+        .where('status', '==', ElectionStatus.SCHEDULED)
+        .get();
+
+      const snapshotted = [];
+      const reverified = [];
+      const now = new Date();
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const phase = getElectionPhase(data, now);
+
+        // The cron runs every 15 minutes, so a 30 minute lead always catches it;
+        // a missed run is caught up on the first run after voting opens
+        const opensSoon = phase === ElectionPhases.CAMPAIGN &&
+          toDate(data.votingOpensAt) - now <= PRE_VOTING_REVERIFY_LEAD_MS;
+        if ((opensSoon || phase === ElectionPhases.VOTING) && !data.preVotingVerification) {
+          const verification = await reverifyCandidates(firestore, { id: doc.id, ...data }, 'pre_voting');
+          await doc.ref.update({
+            preVotingVerification: { ...verification, verifiedAt: now.toISOString() }
+          });
+          reverified.push(doc.id);
+        }
+
+        if ((opensSoon || phase === ElectionPhases.VOTING) &&
+            requiresSnapshot(data.weighting) && !data.balanceSnapshotAt) {
+          await ensureBalanceSnapshot(firestore, doc.ref);
+          snapshotted.push(doc.id);
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        reverified,
+        snapshotted
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Elections API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,124 @@
+import { getFirestore } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { validateFirebaseUid, validateObjectId } from '../lib/validation.js';
+import { endorseCandidate, listEndorsements, withdrawEndorsement } from '../lib/endorsements.js';
+
+/**
+ * Candidate endorsements API
+ *
+ * GET    ?candidateId=  - list a candidate's endorsers with their role badges
+ * POST   { candidateId, userId } - endorse a candidate
+ * DELETE { candidateId, userId } - withdraw an endorsement
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Endorsements API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  try {
+    // LIST ENDORSEMENTS
+    if (req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.candidateId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const candidateDoc = await firestore.collection('candidates').doc(idValidation.value).get();
+      if (!candidateDoc.exists) {
+        return res.status(404).json({ success: false, error: 'Candidate not found' });
+      }
+
+      const candidate = candidateDoc.data();
+      let minEndorsements = 0;
+      if (candidate.electionId) {
+        const electionDoc = await firestore.collection('elections').doc(candidate.electionId).get();
+        minEndorsements = electionDoc.data()?.minEndorsements || 0;
+      }
+
+      const endorsements = await listEndorsements(firestore, idValidation.value);
+
+      return res.status(200).json({
+        success: true,
+        candidateId: idValidation.value,
+        endorsementCount: candidate.endorsementCount || 0,
+        minEndorsements,
+        qualified: (candidate.endorsementCount || 0) >= minEndorsements,
+        endorsements
+      });
+    }
+
+    // ENDORSE / WITHDRAW ENDORSEMENT
+    if (req.method === 'POST' || req.method === 'DELETE') {
+      const { candidateId, userId } = req.body;
+
+      const idValidation = validateObjectId(candidateId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const userValidation = validateFirebaseUid(userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      if (req.method === 'POST') {
+        const { badge } = await endorseCandidate(firestore, {
+          candidateId: idValidation.value,
+          userId: userValidation.value
+        });
+
+        logger.info('Candidate endorsed', { candidateId: idValidation.value, userId: userValidation.value });
+
+        return res.status(201).json({
+          success: true,
+          message: 'Candidate endorsed successfully',
+          badge
+        });
+      }
+
+      await withdrawEndorsement(firestore, {
+        candidateId: idValidation.value,
+        userId: userValidation.value
+      });
+
+      logger.info('Endorsement withdrawn', { candidateId: idValidation.value, userId: userValidation.value });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Endorsement withdrawn successfully'
+      });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Endorsements API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,187 @@
+import { getFirestore } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { validateObjectId } from '../lib/validation.js';
+import { ElectionPhases, ElectionStatus, getElection, getElectionPhase } from '../lib/elections.js';
+import { isCountedVote, tallyElection } from '../lib/tally.js';
+import { loadBallotLog, replayBallotLog } from '../lib/ballot-log.js';
+import { summarizePollResults } from '../lib/polls.js';
+import {
+  EXPORT_SCHEMA_VERSION,
+  ExportColumns,
+  ExportFormats,
+  buildElectionExport,
+  buildPollExport,
+  toCsv
+} from '../lib/result-export.js';
+
+/**
+ * Result export API
+ *
+ * GET ?action=poll&id=&format=json|csv&table=results|votes
+ * GET ?action=election&id=&format=json|csv&table=results|votes
+ *
+ * JSON returns every table plus the schema version; CSV returns one table
+ * (results by default) as a download. Polls can be exported once closed
+ * and elections once voting has closed. See lib/result-export.js for the
+ * columns.
+ */
+
+// Election phases whose results are still private
+const OPEN_ELECTION_PHASES = [
+  ElectionPhases.UPCOMING,
+  ElectionPhases.NOMINATION,
+  ElectionPhases.CAMPAIGN,
+  ElectionPhases.VOTING,
+  ElectionPhases.CANCELLED
+];
+
+/**
+ * Send export tables in the requested format
+ * @param {Object} res
+ * @param {Object} exported
+ * @param {string} exported.format - One of ExportFormats
+ * @param {string} exported.table - results or votes (CSV only)
+ * @param {string} exported.filename - CSV filename prefix
+ * @param {Object} exported.tables - Tables keyed by ExportColumns name
+ * @param {{results: string, votes: string}} exported.names - Which table is which
+ */
+function sendExport(res, { format, table, filename, tables, names }) {
+  if (format === ExportFormats.JSON) {
+    return res.status(200).json({
+      success: true,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      ...tables
+    });
+  }
+
+  const name = names[table];
+  if (tables[name] === null) {
+    return res.status(403).json({ success: false, error: 'Vote lists are not available for secret ballots' });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${table}.csv"`);
+  return res.status(200).send(toCsv(ExportColumns[name], tables[name]));
+}
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Export API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action, format = ExportFormats.JSON, table = 'results' } = req.query;
+
+  try {
+    if (req.method !== 'GET') {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    if (!Object.values(ExportFormats).includes(format)) {
+      return res.status(400).json({ success: false, error: `Format must be one of: ${Object.values(ExportFormats).join(', ')}` });
+    }
+    if (!['results', 'votes'].includes(table)) {
+      return res.status(400).json({ success: false, error: 'Table must be results or votes' });
+    }
+
+    const idValidation = validateObjectId(req.query.id);
+    if (!idValidation.valid) {
+      return res.status(400).json({ success: false, error: idValidation.error });
+    }
+
+    // EXPORT A CLOSED POLL
+    if (action === 'poll') {
+      const pollRef = firestore.collection('government_polls').doc(idValidation.value);
+      const pollDoc = await pollRef.get();
+      if (!pollDoc.exists) {
+        return res.status(404).json({ success: false, error: 'Poll not found' });
+      }
+
+      const pollData = pollDoc.data();
+      if (pollData.isActive !== false) {
+        return res.status(403).json({ success: false, error: 'Results can be exported once the poll has closed' });
+      }
+
+      const results = summarizePollResults(pollDoc.id, pollData);
+      const [directSnapshot, delegatedSnapshot] = pollData.anonymous
+        ? [{ docs: [] }, { docs: [] }]
+        : await Promise.all([
+          pollRef.collection('ballots').where('withdrawn', '==', false).get(),
+          pollRef.collection('delegated_ballots').get()
+        ]);
+
+      const tables = buildPollExport(pollDoc.id, results, pollData, {
+        direct: directSnapshot.docs,
+        delegated: delegatedSnapshot.docs
+      });
+
+      return sendExport(res, {
+        format,
+        table,
+        filename: `poll-${pollDoc.id}`,
+        tables,
+        names: { results: 'pollResults', votes: 'pollVotes' }
+      });
+    }
+
+    // EXPORT AN ELECTION
+    if (action === 'election') {
+      const election = await getElection(firestore, idValidation.value);
+      if (OPEN_ELECTION_PHASES.includes(getElectionPhase(election))) {
+        return res.status(403).json({ success: false, error: 'Results are available once voting has closed' });
+      }
+
+      const electionRef = firestore.collection('elections').doc(election.id);
+      const [results, entries, votesSnapshot] = await Promise.all([
+        election.status === ElectionStatus.CERTIFIED ? election.results : tallyElection(firestore, election),
+        loadBallotLog(electionRef),
+        firestore.collection('votes').where('electionId', '==', election.id).get()
+      ]);
+
+      // Voters are counted once however many positions they voted for
+      const turnout = new Set(
+        votesSnapshot.docs.map(doc => doc.data()).filter(isCountedVote).map(vote => vote.voterId)
+      ).size;
+
+      const tables = buildElectionExport(election, results, [...replayBallotLog(entries).values()], turnout);
+
+      return sendExport(res, {
+        format,
+        table,
+        filename: `election-${election.id}`,
+        tables,
+        names: { results: 'electionResults', votes: 'electionVotes' }
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Export API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -1,5 +1,23 @@
 import admin from 'firebase-admin';
 import { setSecureCorsHeaders } from '../lib/cors.js';
+import { requireCronSecret } from '../lib/middleware.js';
+import { isUserAdmin } from '../lib/firebase-init.js';
+import {
+  PollWindow,
+  castPollVote,
+  closeEndedPolls,
+  closePoll,
+  getPollWindow,
+  validatePollSchedule
+} from '../lib/polls.js';
+import { validatePollTopic } from '../lib/delegations.js';
+import { validatePollType } from '../lib/poll-types.js';
+import { validateEligibilityCriteria } from '../lib/poll-eligibility.js';
+import { validateAnonymity } from '../lib/secret-ballot.js';
+import { loadLiveCounts } from '../lib/poll-counters.js';
+import { validateQuorumRules } from '../lib/poll-quorum.js';
+import { loadCommentCounts } from '../lib/poll-comments.js';
+import { ensureBalanceSnapshot, isSnapshotDue, requiresSnapshot, validateWeighting } from '../lib/weights.js';
 
 // Initialize Firebase Admin
 let db = null;
@@ -58,25 +76,39 @@ export default async function handler(req, res) {
           .collection('government_polls')
           .where('isActive', '==', true)
           .orderBy('createdAt', 'desc')
-          .limit(10)
           .get();
         
-        const polls = [];
-        if (!pollsSnapshot.empty) {
-          pollsSnapshot.forEach(doc => {
-            const data = doc.data();
-            polls.push({
-              id: doc.id,
-              question: data.question,
-              options: data.options || [],
-              createdBy: data.createdBy,
-              createdByRole: data.createdByRole || 'government',
-              createdAt: data.createdAt?.toDate() || new Date(),
-              isActive: data.isActive,
-              totalVotes: data.totalVotes || 0
-            });
-          });
-        }
+        // Scheduled polls stay hidden until they open, ended ones drop off before the close job runs;
+        // filter before taking the newest 10 so they can't crowd out open polls
+        const openDocs = pollsSnapshot.docs
+          .filter(doc => getPollWindow(doc.data()) === PollWindow.OPEN)
+          .slice(0, 10);
+        const commentCounts = await loadCommentCounts(firestore, openDocs.map(doc => doc.id));
+        const polls = await Promise.all(openDocs.map(async doc => {
+          const data = await loadLiveCounts(doc);
+          return {
+            id: doc.id,
+            question: data.question,
+            options: data.options || [],
+            createdBy: data.createdBy,
+            createdByRole: data.createdByRole || 'government',
+            createdAt: data.createdAt?.toDate() || new Date(),
+            opensAt: data.opensAt?.toDate() || null,
+            closesAt: data.closesAt?.toDate() || null,
+            topic: data.topic || 'general',
+            pollType: data.pollType || 'single',
+            maxPicks: data.maxPicks || null,
+            eligibility: data.eligibility || null,
+            anonymous: Boolean(data.anonymous),
+            quorum: data.quorum || null,
+            threshold: data.threshold || null,
+            isActive: data.isActive,
+            totalVotes: data.totalVotes || 0,
+            weighting: data.weighting || 'equal',
+            totalWeightedVotes: data.totalWeightedVotes ?? data.totalVotes ?? 0,
+            commentCount: commentCounts.get(doc.id) || 0
+          };
+        }));
 
         return res.status(200).json({
           success: true,
@@ -93,7 +125,10 @@ export default async function handler(req, res) {
 
     // CREATE POLL
     if (action === 'create-poll') {
-      const { question, options, createdBy, createdByRole } = req.body;
+      const {
+        question, options, createdBy, createdByRole, weighting, topic, opensAt, closesAt, pollType, maxPicks,
+        eligibility, anonymous, quorum, threshold
+      } = req.body;
 
       if (!question || !options || options.length < 2) {
         return res.status(400).json({ 
@@ -102,22 +137,97 @@ export default async function handler(req, res) {
         });
       }
 
+      const weightingValidation = validateWeighting(weighting);
+      if (!weightingValidation.valid) {
+        return res.status(400).json({ 
+          error: weightingValidation.error,
+          success: false 
+        });
+      }
+
+      // Secret ballots only work with equal weighting
+      const anonymityValidation = validateAnonymity({ anonymous, weighting: weightingValidation.value });
+      if (!anonymityValidation.valid) {
+        return res.status(400).json({ 
+          error: anonymityValidation.error,
+          success: false 
+        });
+      }
+
+      const typeValidation = validatePollType({ pollType, maxPicks }, options.length);
+      if (!typeValidation.valid) {
+        return res.status(400).json({ 
+          error: typeValidation.error,
+          success: false 
+        });
+      }
+
+      const eligibilityValidation = validateEligibilityCriteria(eligibility);
+      if (!eligibilityValidation.valid) {
+        return res.status(400).json({ 
+          error: eligibilityValidation.error,
+          success: false 
+        });
+      }
+
+      const rulesValidation = validateQuorumRules({ quorum, threshold });
+      if (!rulesValidation.valid) {
+        return res.status(400).json({ 
+          error: rulesValidation.error,
+          success: false 
+        });
+      }
+
+      const topicValidation = validatePollTopic(topic);
+      if (!topicValidation.valid) {
+        return res.status(400).json({ 
+          error: topicValidation.error,
+          success: false 
+        });
+      }
+
+      const scheduleValidation = validatePollSchedule({ opensAt, closesAt });
+      if (!scheduleValidation.valid) {
+        return res.status(400).json({ 
+          error: scheduleValidation.error,
+          success: false 
+        });
+      }
+      const schedule = scheduleValidation.value;
+
       const pollData = {
         question,
+        topic: topicValidation.value,
+        pollType: typeValidation.value.pollType,
+        maxPicks: typeValidation.value.maxPicks,
+        eligibility: eligibilityValidation.value,
+        anonymous: anonymityValidation.value,
+        quorum: rulesValidation.value.quorum,
+        threshold: rulesValidation.value.threshold,
+        opensAt: schedule.opensAt ? admin.firestore.Timestamp.fromDate(schedule.opensAt) : null,
+        closesAt: schedule.closesAt ? admin.firestore.Timestamp.fromDate(schedule.closesAt) : null,
         options: options.map(opt => ({
           text: opt,
-          votes: 0
+          votes: 0,
+          weightedVotes: 0
         })),
         createdBy: createdBy || 'Government',
         createdByRole: createdByRole || 'government',
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         isActive: true,
+        weighting: weightingValidation.value,
         totalVotes: 0,
-        voters: []
+        totalWeightedVotes: 0
       };
 
       const docRef = await firestore.collection('government_polls').add(pollData);
 
+      // Weighted polls opening now or within the snapshot lead freeze balances
+      // here; later ones are frozen by the scheduled job before they open
+      if (requiresSnapshot(pollData.weighting) && isSnapshotDue(schedule.opensAt)) {
+        await ensureBalanceSnapshot(firestore, docRef);
+      }
+
       return res.status(200).json({
         success: true,
         pollId: docRef.id
@@ -126,70 +236,83 @@ export default async function handler(req, res) {
 
     // VOTE ON POLL
     if (action === 'vote') {
-      const { pollId, optionIndex, userId } = req.body;
+      const { pollId, optionIndex, optionIndexes, userId } = req.body;
 
-      if (!pollId || optionIndex === undefined || !userId) {
+      if (!pollId || (optionIndex === undefined && !optionIndexes) || !userId) {
         return res.status(400).json({ 
-          error: 'Poll ID, option index, and user ID are required',
+          error: 'Poll ID, option index (or indexes), and user ID are required',
           success: false 
         });
       }
 
-      const pollRef = firestore.collection('government_polls').doc(pollId);
-      const pollDoc = await pollRef.get();
+      const result = await castPollVote(firestore, { pollId, optionIndex, optionIndexes, userId });
 
-      if (!pollDoc.exists) {
-        return res.status(404).json({ 
-          error: 'Poll not found',
-          success: false 
-        });
-      }
+      return res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        ...result
+      });
+    }
 
-      const pollData = pollDoc.data();
+    // CLOSE POLL (admin only - closing decides a binding poll's outcome)
+    if (action === 'close-poll') {
+      const { pollId, adminId } = req.body;
 
-      // Check if user already voted
-      if (pollData.voters && pollData.voters.includes(userId)) {
+      if (!pollId) {
         return res.status(400).json({ 
-          error: 'User has already voted on this poll',
+          error: 'Poll ID is required',
           success: false 
         });
       }
 
-      // Update vote count
-      const options = pollData.options;
-      options[optionIndex].votes += 1;
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ 
+          error: 'Unauthorized - Admin access required',
+          success: false 
+        });
+      }
 
-      await pollRef.update({
-        options,
-        totalVotes: admin.firestore.FieldValue.increment(1),
-        voters: admin.firestore.FieldValue.arrayUnion(userId)
-      });
+      const { delegation, outcome } = await closePoll(firestore, pollId, { closedBy: adminId });
 
       return res.status(200).json({
         success: true,
-        message: 'Vote recorded successfully'
+        message: 'Poll closed successfully',
+        delegation,
+        outcome
       });
     }
 
-    // CLOSE POLL
-    if (action === 'close-poll') {
-      const { pollId } = req.body;
+    // SCHEDULED JOBS (Vercel cron) - close polls whose closesAt has passed and
+    // freeze balances for weighted polls about to open (or open without one)
+    if (action === 'run-scheduled') {
+      let authorized = false;
+      requireCronSecret(req, res, () => { authorized = true; });
+      if (!authorized) return;
 
-      if (!pollId) {
-        return res.status(400).json({ 
-          error: 'Poll ID is required',
-          success: false 
-        });
-      }
+      const closed = await closeEndedPolls(firestore);
 
-      await firestore.collection('government_polls').doc(pollId).update({
-        isActive: false,
-        closedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      const openSnapshot = await firestore
+        .collection('government_polls')
+        .where('isActive', '==', true)
+        .get();
+
+      const snapshotted = [];
+      const now = new Date();
+      for (const doc of openSnapshot.docs) {
+        const data = doc.data();
+        const window = getPollWindow(data, now);
+        if ((window === PollWindow.OPEN || window === PollWindow.SCHEDULED) &&
+            isSnapshotDue(data.opensAt?.toDate() || null, now) &&
+            requiresSnapshot(data.weighting) && !data.balanceSnapshotAt) {
+          await ensureBalanceSnapshot(firestore, doc.ref);
+          snapshotted.push(doc.id);
+        }
+      }
 
       return res.status(200).json({
         success: true,
-        message: 'Poll closed successfully'
+        closed,
+        snapshotted
       });
     }
 
@@ -209,7 +332,10 @@ export default async function handler(req, res) {
               id: doc.id,
               username: data.username,
               governmentRole: data.governmentRole,
-              appointedAt: data.appointedAt?.toDate() || null
+              appointedAt: data.appointedAt?.toDate() || null,
+              termStartsAt: data.termStartsAt?.toDate() || null,
+              termEndsAt: data.termEndsAt?.toDate() || null,
+              electedIn: data.electedIn || null
             });
           });
         }
@@ -233,6 +359,14 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('Government API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        error: error.message,
+        success: false 
+      });
+    }
+
     return res.status(200).json({ 
       success: false,
       error: error.message,
@@ -1,4 +1,5 @@
 import admin from 'firebase-admin';
+import { GOVERNMENT_ROLES } from '../lib/government.js';
 
 // Initialize Firebase Admin
 let db = null;
@@ -152,85 +153,9 @@ export default async function handler(req, res) {
 
     // GET GOVERNMENT ROLES
     if (action === 'get-government-roles') {
-      // Define the government roles directly in the code
-      const governmentRoles = [
-        {
-          id: 'president',
-          name: 'President',
-          description: 'Head of state and government, highest authority in TURDS Nation',
-          level: 10,
-          permissions: ['all'],
-          color: '#DC2626'
-        },
-        {
-          id: 'prime-minister',
-          name: 'Prime Minister',
-          description: 'Second in command, assists the President in governance',
-          level: 9,
-          permissions: ['manage_ministers', 'approve_policies', 'emergency_powers'],
-          color: '#7C3AED'
-        },
-        {
-          id: 'secretary',
-          name: 'Secretary',
-          description: 'Handles official communications and documentation',
-          level: 8,
-          permissions: ['manage_documents', 'official_communications', 'record_keeping'],
-          color: '#059669'
-        },
-        {
-          id: 'minister-marketing-finance',
-          name: 'Minister of Marketing and Finance',
-          description: 'Manages financial resources and marketing strategies',
-          level: 7,
-          permissions: ['budget_management', 'marketing_campaigns', 'financial_oversight'],
-          color: '#D97706'
-        },
-        {
-          id: 'minister-creativity',
-          name: 'Minister of Creativity',
-          description: 'Oversees creative projects and cultural initiatives',
-          level: 6,
-          permissions: ['creative_projects', 'cultural_events', 'content_approval'],
-          color: '#DB2777'
-        },
-        {
-          id: 'minister-raid-corps',
-          name: 'Minister of Raid Corps',
-          description: 'Commands military operations and defense strategies',
-          level: 7,
-          permissions: ['military_operations', 'defense_planning', 'security_oversight'],
-          color: '#DC2626'
-        },
-        {
-          id: 'minister-development',
-          name: 'Minister of Development',
-          description: 'Manages infrastructure and technological advancement',
-          level: 6,
-          permissions: ['infrastructure_projects', 'tech_development', 'urban_planning'],
-          color: '#2563EB'
-        },
-        {
-          id: 'minister-citizens',
-          name: 'Minister of Citizens',
-          description: 'Represents citizen interests and handles public services',
-          level: 5,
-          permissions: ['citizen_services', 'public_welfare', 'community_outreach'],
-          color: '#16A34A'
-        },
-        {
-          id: 'minister-justice',
-          name: 'Minister of Justice',
-          description: 'Oversees legal matters and judicial processes',
-          level: 8,
-          permissions: ['legal_oversight', 'judicial_appointments', 'law_enforcement'],
-          color: '#7C2D12'
-        }
-      ];
-      
       return res.status(200).json({
         success: true,
-        roles: governmentRoles.sort((a, b) => b.level - a.level) // Sort by level descending
+        roles: [...GOVERNMENT_ROLES].sort((a, b) => b.level - a.level) // Sort by level descending
       });
     }
 
@@ -0,0 +1,187 @@
+import { getFirestore } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { validateFirebaseUid, validateObjectId } from '../lib/validation.js';
+import {
+  createParty,
+  getUserPartyId,
+  joinParty,
+  leaveParty,
+  listMembers,
+  serializeParty,
+  transferLeadership,
+  validatePartyInput
+} from '../lib/parties.js';
+
+/**
+ * Political parties API
+ *
+ * GET  ?action=list                                - active parties
+ * GET  ?action=get&id=                             - party with its roster
+ * GET  ?action=membership&userId=                  - the party a user belongs to
+ * POST ?action=create { userId, name, description }
+ * POST ?action=join&id= { userId }
+ * POST ?action=leave { userId }
+ * POST ?action=transfer-leadership&id= { userId, newLeaderId }
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Parties API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST PARTIES
+    if (action === 'list' && req.method === 'GET') {
+      const snapshot = await firestore.collection('parties')
+        .where('isActive', '==', true)
+        .get();
+
+      const parties = snapshot.docs
+        .map(doc => serializeParty(doc.id, doc.data()))
+        .sort((a, b) => b.memberCount - a.memberCount);
+
+      return res.status(200).json({ success: true, parties });
+    }
+
+    // GET PARTY AND ROSTER
+    if (action === 'get' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const partyDoc = await firestore.collection('parties').doc(idValidation.value).get();
+      if (!partyDoc.exists) {
+        return res.status(404).json({ success: false, error: 'Party not found' });
+      }
+
+      const members = await listMembers(firestore, idValidation.value);
+
+      return res.status(200).json({
+        success: true,
+        party: serializeParty(partyDoc.id, partyDoc.data()),
+        members
+      });
+    }
+
+    // A USER'S PARTY
+    if (action === 'membership' && req.method === 'GET') {
+      const userValidation = validateFirebaseUid(req.query.userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      const partyId = await getUserPartyId(firestore, userValidation.value);
+
+      return res.status(200).json({ success: true, userId: userValidation.value, partyId });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    const userValidation = validateFirebaseUid(req.body.userId);
+    if (!userValidation.valid) {
+      return res.status(400).json({ success: false, error: userValidation.error });
+    }
+    const userId = userValidation.value;
+
+    // FOUND A PARTY
+    if (action === 'create') {
+      const validation = validatePartyInput(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: validation.error });
+      }
+
+      const { partyId } = await createParty(firestore, validation.value, userId);
+
+      logger.info('Party created', { partyId, userId });
+
+      return res.status(201).json({
+        success: true,
+        id: partyId,
+        message: 'Party created successfully'
+      });
+    }
+
+    // LEAVE
+    if (action === 'leave') {
+      const { partyId, dissolved } = await leaveParty(firestore, { userId });
+
+      logger.info('Party member left', { partyId, userId, dissolved });
+
+      return res.status(200).json({
+        success: true,
+        message: dissolved ? 'You left the party and it has been dissolved' : 'You left the party',
+        partyId,
+        dissolved
+      });
+    }
+
+    const idValidation = validateObjectId(req.query.id);
+    if (!idValidation.valid) {
+      return res.status(400).json({ success: false, error: idValidation.error });
+    }
+    const partyId = idValidation.value;
+
+    // JOIN
+    if (action === 'join') {
+      const { memberCount } = await joinParty(firestore, { partyId, userId });
+
+      logger.info('Party member joined', { partyId, userId });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Joined party successfully',
+        memberCount
+      });
+    }
+
+    // HAND OVER LEADERSHIP
+    if (action === 'transfer-leadership') {
+      const leaderValidation = validateFirebaseUid(req.body.newLeaderId);
+      if (!leaderValidation.valid) {
+        return res.status(400).json({ success: false, error: leaderValidation.error });
+      }
+
+      await transferLeadership(firestore, { partyId, userId, newLeaderId: leaderValidation.value });
+
+      logger.info('Party leadership transferred', { partyId, from: userId, to: leaderValidation.value });
+
+      return res.status(200).json({ success: true, message: 'Party leadership transferred successfully' });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Parties API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
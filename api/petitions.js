@@ -0,0 +1,203 @@
+import { getFirestore } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { requireCronSecret } from '../lib/middleware.js';
+import { validateFirebaseUid, validateObjectId } from '../lib/validation.js';
+import {
+  castRecallVote,
+  createRecallPetition,
+  processRecallPetitions,
+  serializePetition,
+  signRecallPetition
+} from '../lib/petitions.js';
+
+/**
+ * Recall petitions API
+ *
+ * GET  ?action=list[&status=&targetUserId=]    - list petitions
+ * GET  ?action=get&id=[&userId=]               - petition detail, with the user's signature/vote
+ * POST ?action=create { targetUserId, userId, reason }
+ * POST ?action=sign&id= { userId }
+ * POST ?action=vote&id= { userId, choice }     - 'yes' to remove, 'no' to retain
+ * GET  ?action=run-scheduled                   - cron: expire petitions and decide closed votes
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Petitions API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST PETITIONS
+    if (action === 'list' && req.method === 'GET') {
+      const { status, targetUserId } = req.query;
+
+      let query = firestore.collection('recall_petitions');
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+      if (targetUserId) {
+        query = query.where('targetUserId', '==', targetUserId);
+      }
+
+      const snapshot = await query.get();
+      const petitions = snapshot.docs
+        .map(doc => serializePetition(doc.id, doc.data()))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+      return res.status(200).json({ success: true, petitions });
+    }
+
+    // GET PETITION
+    if (action === 'get' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const petitionRef = firestore.collection('recall_petitions').doc(idValidation.value);
+      const petitionDoc = await petitionRef.get();
+      if (!petitionDoc.exists) {
+        return res.status(404).json({ success: false, error: 'Petition not found' });
+      }
+
+      const petition = serializePetition(petitionDoc.id, petitionDoc.data());
+
+      if (req.query.userId) {
+        const userValidation = validateFirebaseUid(req.query.userId);
+        if (!userValidation.valid) {
+          return res.status(400).json({ success: false, error: userValidation.error });
+        }
+
+        const [signatureDoc, voteDoc] = await Promise.all([
+          petitionRef.collection('signatures').doc(userValidation.value).get(),
+          petitionRef.collection('votes').doc(userValidation.value).get()
+        ]);
+        petition.hasSigned = signatureDoc.exists;
+        petition.hasVoted = voteDoc.exists;
+      }
+
+      return res.status(200).json({ success: true, petition });
+    }
+
+    // START A PETITION
+    if (action === 'create' && req.method === 'POST') {
+      const { targetUserId, userId, reason } = req.body;
+
+      const targetValidation = validateFirebaseUid(targetUserId);
+      if (!targetValidation.valid) {
+        return res.status(400).json({ success: false, error: targetValidation.error });
+      }
+
+      const userValidation = validateFirebaseUid(userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      const result = await createRecallPetition(firestore, {
+        targetUserId: targetValidation.value,
+        createdBy: userValidation.value,
+        reason
+      });
+
+      logger.info('Recall petition created', { ...result, targetUserId: targetValidation.value });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recall petition created successfully',
+        ...result
+      });
+    }
+
+    // SIGN / VOTE
+    if ((action === 'sign' || action === 'vote') && req.method === 'POST') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const userValidation = validateFirebaseUid(req.body.userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      if (action === 'sign') {
+        const result = await signRecallPetition(firestore, {
+          petitionId: idValidation.value,
+          userId: userValidation.value
+        });
+
+        logger.info('Recall petition signed', { petitionId: idValidation.value, ...result });
+
+        return res.status(200).json({
+          success: true,
+          message: result.status === 'voting'
+            ? 'Petition signed - the threshold was reached and the recall vote is now open'
+            : 'Petition signed successfully',
+          ...result
+        });
+      }
+
+      const result = await castRecallVote(firestore, {
+        petitionId: idValidation.value,
+        userId: userValidation.value,
+        choice: req.body.choice
+      });
+
+      logger.info('Recall vote cast', { petitionId: idValidation.value });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        ...result
+      });
+    }
+
+    // SCHEDULED JOB
+    if (action === 'run-scheduled') {
+      let authorized = false;
+      requireCronSecret(req, res, () => { authorized = true; });
+      if (!authorized) return;
+
+      const { expired, decided } = await processRecallPetitions(firestore);
+
+      return res.status(200).json({
+        success: true,
+        expired,
+        decided
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Petitions API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,211 @@
+import { getFirestore, isUserAdmin } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { validateFirebaseUid, validateObjectId } from '../lib/validation.js';
+import {
+  COMMENT_REACTIONS,
+  addComment,
+  deleteComment,
+  editComment,
+  listComments,
+  listHiddenComments,
+  listReplies,
+  reactToComment,
+  setCommentVisibility
+} from '../lib/poll-comments.js';
+
+/**
+ * Poll discussion API
+ *
+ * GET  ?action=list&pollId=[&cursor=&limit=]          - a page of top-level comments, oldest first
+ * GET  ?action=replies&id=[&cursor=&limit=]           - a page of replies to a comment
+ * POST ?action=add { pollId, userId, body, parentId? } - parentId makes it a reply
+ * POST ?action=edit&id= { userId, body }              - author only
+ * POST ?action=delete&id= { userId }                  - author only
+ * POST ?action=react&id= { userId, reaction }         - reaction null removes it
+ * GET  ?action=moderation&adminId=                    - hidden comments
+ * POST ?action=hide|unhide&id= { adminId, reason }    - admin only
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Poll Comments API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST A POLL'S COMMENTS
+    if (action === 'list' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.pollId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const { comments, nextCursor } = await listComments(firestore, idValidation.value, {
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+
+      return res.status(200).json({
+        success: true,
+        pollId: idValidation.value,
+        reactions: COMMENT_REACTIONS,
+        comments,
+        nextCursor
+      });
+    }
+
+    // ADD A COMMENT OR REPLY
+    if (action === 'add' && req.method === 'POST') {
+      const { pollId, userId, body, parentId } = req.body;
+
+      const idValidation = validateObjectId(pollId);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const userValidation = validateFirebaseUid(userId);
+      if (!userValidation.valid) {
+        return res.status(400).json({ success: false, error: userValidation.error });
+      }
+
+      if (parentId !== undefined && parentId !== null && !validateObjectId(parentId).valid) {
+        return res.status(400).json({ success: false, error: 'Invalid parent comment ID' });
+      }
+
+      const result = await addComment(firestore, {
+        pollId: idValidation.value,
+        userId: userValidation.value,
+        body,
+        parentId: parentId || null
+      });
+
+      logger.info('Poll comment added', { pollId: idValidation.value, commentId: result.commentId });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Comment posted successfully',
+        ...result
+      });
+    }
+
+    // MODERATION QUEUE
+    if (action === 'moderation' && req.method === 'GET') {
+      const { adminId } = req.query;
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      const hidden = await listHiddenComments(firestore);
+
+      return res.status(200).json({ success: true, hidden });
+    }
+
+    // Everything below acts on one comment
+    const idValidation = validateObjectId(req.query.id);
+    if (!idValidation.valid) {
+      return res.status(400).json({ success: false, error: idValidation.error });
+    }
+    const commentId = idValidation.value;
+
+    // LIST REPLIES
+    if (action === 'replies' && req.method === 'GET') {
+      const { comments, nextCursor } = await listReplies(firestore, commentId, {
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+
+      return res.status(200).json({ success: true, commentId, replies: comments, nextCursor });
+    }
+
+    // HIDE / RESTORE
+    if ((action === 'hide' || action === 'unhide') && req.method === 'POST') {
+      const { adminId, reason } = req.body;
+      if (!adminId || !(await isUserAdmin(adminId))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized - Admin access required' });
+      }
+
+      await setCommentVisibility(firestore, {
+        commentId,
+        adminId,
+        hidden: action === 'hide',
+        reason
+      });
+
+      logger.info(action === 'hide' ? 'Poll comment hidden' : 'Poll comment restored', { commentId, adminId });
+
+      return res.status(200).json({
+        success: true,
+        message: action === 'hide' ? 'Comment hidden successfully' : 'Comment restored successfully'
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    const userValidation = validateFirebaseUid(req.body.userId);
+    if (!userValidation.valid) {
+      return res.status(400).json({ success: false, error: userValidation.error });
+    }
+    const userId = userValidation.value;
+
+    // EDIT
+    if (action === 'edit') {
+      await editComment(firestore, { commentId, userId, body: req.body.body });
+
+      return res.status(200).json({ success: true, message: 'Comment updated successfully' });
+    }
+
+    // DELETE
+    if (action === 'delete') {
+      await deleteComment(firestore, { commentId, userId });
+
+      logger.info('Poll comment deleted', { commentId });
+
+      return res.status(200).json({ success: true, message: 'Comment deleted successfully' });
+    }
+
+    // REACT / REMOVE REACTION
+    if (action === 'react') {
+      const { reactionCounts } = await reactToComment(firestore, {
+        commentId,
+        userId,
+        reaction: req.body.reaction ?? null
+      });
+
+      return res.status(200).json({ success: true, reactionCounts });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Poll Comments API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
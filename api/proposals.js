@@ -0,0 +1,251 @@
+import { getFirestore } from '../lib/firebase-init.js';
+import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
+import logger from '../lib/logger.js';
+import { requireCronSecret } from '../lib/middleware.js';
+import { validateFirebaseUid, validateObjectId } from '../lib/validation.js';
+import {
+  castProposalVote,
+  createProposal,
+  openDebate,
+  processProposals,
+  serializeLaw,
+  serializeProposal,
+  updateProposal,
+  withdrawProposal
+} from '../lib/proposals.js';
+
+/**
+ * Legislative proposals API
+ *
+ * GET  ?action=list[&status=&kind=&authorId=]         - list proposals
+ * GET  ?action=get&id=[&userId=]                       - proposal detail, with the user's vote
+ * GET  ?action=laws                                    - the enacted-laws register
+ * GET  ?action=law&number=                             - one enacted law
+ * POST ?action=create { userId, title, summary, text } - approve_policies holders only
+ *      amendments add { kind: 'amendment', articleNumber, articleTitle? }
+ * POST ?action=update&id= { userId, title, summary, text, articleTitle? } - author, drafts only
+ * POST ?action=open-debate&id= { userId }              - author; schedules the vote
+ * POST ?action=withdraw&id= { userId }                 - author, before voting opens
+ * POST ?action=vote&id= { userId, choice }             - 'for', 'against' or 'abstain'
+ * GET  ?action=run-scheduled                           - cron: open votes and decide closed ones
+ */
+
+export default async function handler(req, res) {
+  // Apply security middleware
+  if (setSecureCorsHeaders(req, res)) {
+    return; // Preflight request handled
+  }
+
+  // Apply rate limiting
+  rateLimit(req, res);
+
+  // Sanitize inputs
+  sanitizeInput(req, res);
+
+  // Log request
+  logger.logRequest(req, 'Proposals API');
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    logger.error('Database not configured');
+    return res.status(500).json({ success: false, error: 'Database initialization failed' });
+  }
+
+  const { action } = req.query;
+
+  try {
+    // LIST PROPOSALS
+    if (action === 'list' && req.method === 'GET') {
+      const { status, kind, authorId } = req.query;
+
+      let query = firestore.collection('proposals');
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+      if (kind) {
+        query = query.where('kind', '==', kind);
+      }
+      if (authorId) {
+        query = query.where('authorId', '==', authorId);
+      }
+
+      const snapshot = await query.get();
+      const proposals = snapshot.docs
+        .map(doc => serializeProposal(doc.id, doc.data()))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+      return res.status(200).json({ success: true, proposals });
+    }
+
+    // GET PROPOSAL
+    if (action === 'get' && req.method === 'GET') {
+      const idValidation = validateObjectId(req.query.id);
+      if (!idValidation.valid) {
+        return res.status(400).json({ success: false, error: idValidation.error });
+      }
+
+      const proposalRef = firestore.collection('proposals').doc(idValidation.value);
+      const proposalDoc = await proposalRef.get();
+      if (!proposalDoc.exists) {
+        return res.status(404).json({ success: false, error: 'Proposal not found' });
+      }
+
+      const proposal = serializeProposal(proposalDoc.id, proposalDoc.data());
+
+      if (req.query.userId) {
+        const userValidation = validateFirebaseUid(req.query.userId);
+        if (!userValidation.valid) {
+          return res.status(400).json({ success: false, error: userValidation.error });
+        }
+
+        const voteDoc = await proposalRef.collection('votes').doc(userValidation.value).get();
+        proposal.hasVoted = voteDoc.exists;
+        proposal.userVote = voteDoc.exists ? voteDoc.data().choice : null;
+      }
+
+      return res.status(200).json({ success: true, proposal });
+    }
+
+    // ENACTED LAWS REGISTER
+    if (action === 'laws' && req.method === 'GET') {
+      const snapshot = await firestore.collection('enacted_laws').orderBy('lawNumber', 'asc').get();
+      const laws = snapshot.docs.map(doc => serializeLaw(doc.data()));
+
+      return res.status(200).json({ success: true, laws });
+    }
+
+    // ONE ENACTED LAW
+    if (action === 'law' && req.method === 'GET') {
+      const lawNumber = Number(req.query.number);
+      if (!Number.isInteger(lawNumber) || lawNumber < 1) {
+        return res.status(400).json({ success: false, error: 'Invalid law number' });
+      }
+
+      const lawDoc = await firestore.collection('enacted_laws').doc(String(lawNumber).padStart(6, '0')).get();
+      if (!lawDoc.exists) {
+        return res.status(404).json({ success: false, error: 'Law not found' });
+      }
+
+      return res.status(200).json({ success: true, law: serializeLaw(lawDoc.data()) });
+    }
+
+    // SCHEDULED JOB
+    if (action === 'run-scheduled') {
+      let authorized = false;
+      requireCronSecret(req, res, () => { authorized = true; });
+      if (!authorized) return;
+
+      const { opened, decided } = await processProposals(firestore);
+
+      return res.status(200).json({
+        success: true,
+        opened,
+        decided
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    const userValidation = validateFirebaseUid(req.body.userId);
+    if (!userValidation.valid) {
+      return res.status(400).json({ success: false, error: userValidation.error });
+    }
+    const userId = userValidation.value;
+
+    // DRAFT A PROPOSAL
+    if (action === 'create') {
+      const { kind, title, summary, text, articleNumber, articleTitle } = req.body;
+
+      const result = await createProposal(firestore, {
+        userId,
+        kind,
+        title,
+        summary,
+        text,
+        articleNumber: articleNumber === undefined || articleNumber === null ? undefined : Number(articleNumber),
+        articleTitle
+      });
+
+      logger.info('Proposal drafted', { ...result, userId });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Proposal drafted successfully',
+        ...result
+      });
+    }
+
+    // Everything below acts on one proposal
+    const idValidation = validateObjectId(req.query.id);
+    if (!idValidation.valid) {
+      return res.status(400).json({ success: false, error: idValidation.error });
+    }
+    const proposalId = idValidation.value;
+
+    // REVISE A DRAFT
+    if (action === 'update') {
+      const { title, summary, text, articleTitle } = req.body;
+
+      await updateProposal(firestore, { proposalId, userId, title, summary, text, articleTitle });
+
+      return res.status(200).json({ success: true, message: 'Proposal updated successfully' });
+    }
+
+    // OPEN FOR DEBATE
+    if (action === 'open-debate') {
+      const result = await openDebate(firestore, { proposalId, userId });
+
+      logger.info('Proposal opened for debate', { proposalId, userId });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Proposal opened for debate - voting opens when the debate period ends',
+        status: result.status,
+        voteOpensAt: result.voteOpensAt.toISOString(),
+        voteClosesAt: result.voteClosesAt.toISOString()
+      });
+    }
+
+    // WITHDRAW
+    if (action === 'withdraw') {
+      await withdrawProposal(firestore, { proposalId, userId });
+
+      logger.info('Proposal withdrawn', { proposalId, userId });
+
+      return res.status(200).json({ success: true, message: 'Proposal withdrawn successfully' });
+    }
+
+    // VOTE
+    if (action === 'vote') {
+      const result = await castProposalVote(firestore, {
+        proposalId,
+        userId,
+        choice: req.body.choice
+      });
+
+      logger.info('Proposal vote cast', { proposalId });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        ...result
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Invalid action' });
+  } catch (error) {
+    console.error('Proposals API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -1,5 +1,16 @@
 import admin from 'firebase-admin';
 import { setSecureCorsHeaders } from '../lib/cors.js';
+import {
+  PollWindow,
+  castPollVote,
+  changePollVote,
+  getPollWindow,
+  hasVotedOnPoll,
+  summarizePollResults,
+  withdrawPollVote
+} from '../lib/polls.js';
+import { loadLiveCounts } from '../lib/poll-counters.js';
+import { loadCommentCounts } from '../lib/poll-comments.js';
 
 // Initialize Firebase Admin
 let db = null;
@@ -59,22 +70,34 @@ export default async function handler(req, res) {
           .orderBy('createdAt', 'desc')
           .get();
         
-        const polls = [];
-        if (!pollsSnapshot.empty) {
-          pollsSnapshot.forEach(doc => {
-            const data = doc.data();
-            polls.push({
-              id: doc.id,
-              question: data.question,
-              options: data.options || [],
-              createdBy: data.createdBy,
-              createdByRole: data.createdByRole || 'government',
-              createdAt: data.createdAt?.toDate() || new Date(),
-              totalVotes: data.totalVotes || 0,
-              voters: data.voters || []
-            });
-          });
-        }
+        // Only polls currently inside their voting window. Who has voted
+        // isn't listed here; clients ask check-vote-status for their own user
+        const openDocs = pollsSnapshot.docs.filter(doc => getPollWindow(doc.data()) === PollWindow.OPEN);
+        const commentCounts = await loadCommentCounts(firestore, openDocs.map(doc => doc.id));
+        const polls = await Promise.all(openDocs.map(async doc => {
+          const data = await loadLiveCounts(doc);
+          return {
+            id: doc.id,
+            question: data.question,
+            topic: data.topic || 'general',
+            pollType: data.pollType || 'single',
+            maxPicks: data.maxPicks || null,
+            eligibility: data.eligibility || null,
+            anonymous: Boolean(data.anonymous),
+            quorum: data.quorum || null,
+            threshold: data.threshold || null,
+            options: data.options || [],
+            createdBy: data.createdBy,
+            createdByRole: data.createdByRole || 'government',
+            createdAt: data.createdAt?.toDate() || new Date(),
+            opensAt: data.opensAt?.toDate() || null,
+            closesAt: data.closesAt?.toDate() || null,
+            totalVotes: data.totalVotes || 0,
+            weighting: data.weighting || 'equal',
+            totalWeightedVotes: data.totalWeightedVotes ?? data.totalVotes ?? 0,
+            commentCount: commentCounts.get(doc.id) || 0
+          };
+        }));
 
         return res.status(200).json({
           success: true,
@@ -89,66 +112,90 @@ export default async function handler(req, res) {
     }
 
     // CAST VOTE
+    // Single choice polls take optionIndex; multiple choice, approval and
+    // ranked polls take optionIndexes (in preference order when ranked)
     if (action === 'cast-vote') {
-      const { pollId, optionIndex, userId, userWallet } = req.body;
+      const { pollId, optionIndex, optionIndexes, userId, userWallet } = req.body;
 
-      if (!pollId || optionIndex === undefined || !userId) {
+      if (!pollId || (optionIndex === undefined && !optionIndexes) || !userId) {
         return res.status(400).json({ 
-          error: 'Poll ID, option index, and user ID are required',
+          error: 'Poll ID, option index (or indexes), and user ID are required',
           success: false 
         });
       }
 
-      const pollRef = firestore.collection('government_polls').doc(pollId);
-      const pollDoc = await pollRef.get();
+      const result = await castPollVote(firestore, { pollId, optionIndex, optionIndexes, userId, userWallet });
 
-      if (!pollDoc.exists) {
-        return res.status(404).json({ 
-          error: 'Poll not found',
+      return res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        ...result
+      });
+    }
+
+    // CHANGE VOTE (while the poll is open; anonymous polls also need the
+    // receiptId returned when the vote was cast)
+    if (action === 'change-vote') {
+      const { pollId, optionIndex, optionIndexes, userId, receiptId, userWallet } = req.body;
+
+      if (!pollId || (optionIndex === undefined && !optionIndexes) || !userId) {
+        return res.status(400).json({ 
+          error: 'Poll ID, option index (or indexes), and user ID are required',
           success: false 
         });
       }
 
-      const pollData = pollDoc.data();
+      const result = await changePollVote(firestore, { pollId, optionIndex, optionIndexes, userId, receiptId, userWallet });
 
-      // Check if user already voted
-      if (pollData.voters && pollData.voters.includes(userId)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Vote changed successfully',
+        ...result
+      });
+    }
+
+    // WITHDRAW VOTE (while the poll is open; anonymous polls need the receiptId)
+    if (action === 'withdraw-vote') {
+      const { pollId, userId, receiptId, userWallet } = req.body;
+
+      if (!pollId || !userId) {
         return res.status(400).json({ 
-          error: 'You have already voted on this poll',
+          error: 'Poll ID and user ID are required',
           success: false 
         });
       }
 
-      // Update vote count
-      const options = [...pollData.options];
-      if (optionIndex >= 0 && optionIndex < options.length) {
-        options[optionIndex].votes = (options[optionIndex].votes || 0) + 1;
-      } else {
+      const result = await withdrawPollVote(firestore, { pollId, userId, receiptId, userWallet });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Vote withdrawn successfully',
+        ...result
+      });
+    }
+
+    // GET POLL RESULTS (direct and delegated votes)
+    if (action === 'get-results') {
+      const { pollId } = req.query;
+
+      if (!pollId) {
         return res.status(400).json({ 
-          error: 'Invalid option selected',
+          error: 'Poll ID is required',
           success: false 
         });
       }
 
-      // Update poll with new vote
-      await pollRef.update({
-        options,
-        totalVotes: admin.firestore.FieldValue.increment(1),
-        voters: admin.firestore.FieldValue.arrayUnion(userId)
-      });
-
-      // Log the vote
-      await firestore.collection('vote_logs').add({
-        pollId,
-        userId,
-        userWallet,
-        optionIndex,
-        votedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      const pollDoc = await firestore.collection('government_polls').doc(pollId).get();
+      if (!pollDoc.exists) {
+        return res.status(404).json({ 
+          error: 'Poll not found',
+          success: false 
+        });
+      }
 
       return res.status(200).json({
         success: true,
-        message: 'Vote recorded successfully'
+        results: summarizePollResults(pollDoc.id, await loadLiveCounts(pollDoc))
       });
     }
 
@@ -171,14 +218,11 @@ export default async function handler(req, res) {
           .get();
         
         const voteStatus = {};
-        if (!pollsSnapshot.empty) {
-          pollsSnapshot.forEach(doc => {
-            const data = doc.data();
-            voteStatus[doc.id] = {
-              hasVoted: data.voters ? data.voters.includes(userId) : false
-            };
-          });
-        }
+        await Promise.all(pollsSnapshot.docs.map(async doc => {
+          voteStatus[doc.id] = {
+            hasVoted: await hasVotedOnPoll(doc, userId)
+          };
+        }));
 
         return res.status(200).json({
           success: true,
@@ -199,6 +243,14 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('Vote Hub API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        error: error.message,
+        success: false 
+      });
+    }
+
     return res.status(500).json({ 
       error: 'Internal server error',
       success: false,
@@ -6,6 +6,8 @@ import {
   checkRateLimit 
 } from '../lib/validation.js';
 import { setSecureCorsHeaders } from '../lib/cors.js';
+import { castBallot, changeBallot, getVoteStatus, withdrawBallot } from '../lib/ballots.js';
+import { ELECTION_POSITIONS } from '../lib/elections.js';
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -46,10 +48,10 @@ export default async function handler(req, res) {
                    'unknown';
 
   try {
-    // Cast a vote
-    if (req.method === 'POST') {
-      // Rate limiting - 5 votes per minute per IP
-      const rateLimit = checkRateLimit(`vote_${clientIp}`, 5, 60000);
+    // Cast (POST) or change (PUT) a vote
+    if (req.method === 'POST' || req.method === 'PUT') {
+      // Rate limiting - 10 ballots per minute per IP (enough for every position on a ballot)
+      const rateLimit = checkRateLimit(`vote_${clientIp}`, 10, 60000);
       if (!rateLimit.allowed) {
         return res.status(429).json({ 
           error: rateLimit.error,
@@ -57,7 +59,7 @@ export default async function handler(req, res) {
         });
       }
       
-      const { voterId, candidateId, electionType } = req.body;
+      const { voterId, candidateId, rankings, position, electionId, electionType } = req.body;
       
       // Validate inputs
       const voterValidation = validateFirebaseUid(voterId);
@@ -65,9 +67,32 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: voterValidation.error });
       }
       
-      const candidateValidation = validateObjectId(candidateId);
-      if (!candidateValidation.valid) {
-        return res.status(400).json({ error: candidateValidation.error });
+      // Ranked ballots send an ordered list of candidate IDs instead of a single candidate
+      if (rankings !== undefined) {
+        if (!Array.isArray(rankings)) {
+          return res.status(400).json({ error: 'Rankings must be a list of candidate IDs' });
+        }
+        
+        const invalidRanking = rankings.map(validateObjectId).find(result => !result.valid);
+        if (invalidRanking) {
+          return res.status(400).json({ error: invalidRanking.error });
+        }
+      } else {
+        const candidateValidation = validateObjectId(candidateId);
+        if (!candidateValidation.valid) {
+          return res.status(400).json({ error: candidateValidation.error });
+        }
+      }
+      
+      if (position !== undefined && !ELECTION_POSITIONS.includes(position)) {
+        return res.status(400).json({ error: 'Invalid position' });
+      }
+      
+      if (electionId !== undefined) {
+        const electionIdValidation = validateObjectId(electionId);
+        if (!electionIdValidation.valid) {
+          return res.status(400).json({ error: electionIdValidation.error });
+        }
       }
       
       const electionValidation = validateElectionType(electionType || 'general');
@@ -75,89 +100,78 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: electionValidation.error });
       }
       
-      // Use validated values
-      const validVoterId = voterValidation.value;
-      const validCandidateId = candidateValidation.value;
-      const validElectionType = electionValidation.value;
+      // Cast or change the ballot in a transaction for vote integrity
+      const submitBallot = req.method === 'PUT' ? changeBallot : castBallot;
+      const voteResult = await submitBallot(db, {
+        voterId: voterValidation.value,
+        candidateId,
+        rankings,
+        position,
+        electionId,
+        electionType: electionValidation.value,
+        ip: clientIp, // Store for audit purposes
+        userAgent: req.headers['user-agent']
+      });
       
-      // Start transaction for vote integrity
-      const voteResult = await db.runTransaction(async (transaction) => {
-        // Check voter eligibility
-        const voterRef = db.collection('users').doc(validVoterId);
-        const voterDoc = await transaction.get(voterRef);
-        
-        if (!voterDoc.exists) {
-          throw new Error('User not found');
-        }
-        
-        const voterData = voterDoc.data();
-        
-        // Verify account age (6+ months)
-        if (!voterData.eligibleToVote || voterData.twitterAccountAgeMonths < 6) {
-          throw new Error('Account must be at least 6 months old to vote');
-        }
-        
-        // Check if already voted
-        const votesRef = db.collection('votes');
-        const existingVoteQuery = await transaction.get(
-          votesRef
-            .where('voterId', '==', validVoterId)
-            .where('electionType', '==', validElectionType)
-            .limit(1)
-        );
-        
-        if (!existingVoteQuery.empty) {
-          throw new Error('Already voted in this election');
-        }
-        
-        // Verify candidate exists
-        const candidateRef = db.collection('candidates').doc(validCandidateId);
-        const candidateDoc = await transaction.get(candidateRef);
-        
-        if (!candidateDoc.exists) {
-          throw new Error('Candidate not found');
-        }
-        
-        // Create vote record with timestamp
-        const voteData = {
-          voterId: validVoterId,
-          candidateId: validCandidateId,
-          electionType: validElectionType,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          ip: clientIp, // Store for audit purposes
-          userAgent: req.headers['user-agent']
-        };
-        
-        const voteRef = votesRef.doc(); // Create new document
-        transaction.set(voteRef, voteData);
-        
-        // Update candidate vote count
-        transaction.update(candidateRef, {
-          votes: admin.firestore.FieldValue.increment(1),
-          supportersCount: admin.firestore.FieldValue.increment(1),
-          lastVoteAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // Log the vote for audit
-        const auditRef = db.collection('audit_logs').doc();
-        transaction.set(auditRef, {
-          type: 'vote_cast',
-          voterId: validVoterId,
-          candidateId: validCandidateId,
-          electionType: validElectionType,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          ip: clientIp
+      return res.status(200).json({ 
+        success: true, 
+        message: req.method === 'PUT' ? 'Vote changed successfully' : 'Vote recorded successfully',
+        voteId: voteResult.voteId,
+        electionId: voteResult.electionId,
+        receipt: voteResult.receipt
+      });
+      
+    }
+
+    // Withdraw a vote
+    if (req.method === 'DELETE') {
+      const rateLimit = checkRateLimit(`vote_${clientIp}`, 10, 60000);
+      if (!rateLimit.allowed) {
+        return res.status(429).json({ 
+          error: rateLimit.error,
+          retryAfter: rateLimit.remainingTime 
         });
-        
-        return { success: true, voteId: voteRef.id };
+      }
+      
+      const { voterId, position, electionId, electionType } = req.body;
+      
+      const voterValidation = validateFirebaseUid(voterId);
+      if (!voterValidation.valid) {
+        return res.status(400).json({ error: voterValidation.error });
+      }
+      
+      if (position !== undefined && !ELECTION_POSITIONS.includes(position)) {
+        return res.status(400).json({ error: 'Invalid position' });
+      }
+      
+      if (electionId !== undefined) {
+        const electionIdValidation = validateObjectId(electionId);
+        if (!electionIdValidation.valid) {
+          return res.status(400).json({ error: electionIdValidation.error });
+        }
+      }
+      
+      const electionValidation = validateElectionType(electionType || 'general');
+      if (!electionValidation.valid) {
+        return res.status(400).json({ error: electionValidation.error });
+      }
+      
+      const withdrawResult = await withdrawBallot(db, {
+        voterId: voterValidation.value,
+        position,
+        electionId,
+        electionType: electionValidation.value,
+        ip: clientIp,
+        userAgent: req.headers['user-agent']
       });
       
       return res.status(200).json({ 
         success: true, 
-        message: 'Vote recorded successfully',
-        voteId: voteResult.voteId
+        message: 'Vote withdrawn successfully',
+        voteId: withdrawResult.voteId,
+        electionId: withdrawResult.electionId,
+        receipt: withdrawResult.receipt
       });
-      
     }
 
     // Get vote status
@@ -171,7 +185,7 @@ export default async function handler(req, res) {
         });
       }
       
-      const { voterId, electionType } = req.query;
+      const { voterId, electionId, electionType } = req.query;
       
       // Validate voter ID
       const voterValidation = validateFirebaseUid(voterId);
@@ -179,31 +193,23 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: voterValidation.error });
       }
       
-      const validVoterId = voterValidation.value;
-      const validElectionType = electionType || 'general';
+      if (electionId !== undefined) {
+        const electionIdValidation = validateObjectId(electionId);
+        if (!electionIdValidation.valid) {
+          return res.status(400).json({ error: electionIdValidation.error });
+        }
+      }
       
       // Check vote status
-      const voteQuery = await db.collection('votes')
-        .where('voterId', '==', validVoterId)
-        .where('electionType', '==', validElectionType)
-        .limit(1)
-        .get();
-      
-      const hasVoted = !voteQuery.empty;
-      let votedFor = null;
-      let votedAt = null;
-      
-      if (hasVoted) {
-        const voteData = voteQuery.docs[0].data();
-        votedFor = voteData.candidateId;
-        votedAt = voteData.timestamp?.toDate?.()?.toISOString() || null;
-      }
+      const status = await getVoteStatus(db, {
+        voterId: voterValidation.value,
+        electionId,
+        electionType: electionType || 'general'
+      });
 
       return res.status(200).json({ 
         success: true, 
-        hasVoted,
-        votedFor,
-        votedAt
+        ...status
       });
     }
 
@@ -212,18 +218,9 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('Vote API error:', error);
     
-    // Handle specific errors
-    if (error.message === 'User not found') {
-      return res.status(404).json({ error: error.message });
-    }
-    
-    if (error.message === 'Already voted in this election' || 
-        error.message === 'Account must be at least 6 months old to vote') {
-      return res.status(403).json({ error: error.message });
-    }
-    
-    if (error.message === 'Candidate not found') {
-      return res.status(404).json({ error: error.message });
+    // Handle known application errors (not found, window closed, already voted)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
     
     // Generic error
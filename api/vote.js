@@ -1,8 +1,9 @@
-import { admin, getFirestore } from '../lib/firebase-init.js';
+import { getFirestore } from '../lib/firebase-init.js';
 import { setSecureCorsHeaders, rateLimit, sanitizeInput } from '../lib/cors.js';
 import logger from '../lib/logger.js';
 import { requireAuth, validateRequest } from '../lib/middleware.js';
 import { validateFirebaseUid } from '../lib/validation.js';
+import { castBallot, changeBallot, getVoteStatus, withdrawBallot } from '../lib/ballots.js';
 
 // Validation schemas
 const voteSchema = {
@@ -47,93 +48,88 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Cast a vote
-    if (req.method === 'POST') {
-      const { voterId, candidateId, electionType } = req.body;
+    // Cast (POST) or change (PUT) a vote
+    if (req.method === 'POST' || req.method === 'PUT') {
+      const { voterId, candidateId, rankings, position, electionId, electionType } = req.body;
       
-      if (!voterId || !candidateId) {
+      if (!voterId || (!candidateId && !rankings)) {
         return res.status(400).json({ error: 'Voter and candidate IDs required' });
       }
 
-      // Check voter eligibility (6+ months old Twitter account)
-      const voterDoc = await db.collection('users').doc(voterId).get();
-      
-      if (!voterDoc.exists) {
-        return res.status(403).json({ error: 'User not found' });
-      }
-      
-      const voterData = voterDoc.data();
-      
-      // Check if account is old enough to vote
-      if (!voterData.eligibleToVote || voterData.twitterAccountAgeMonths < 6) {
-        return res.status(403).json({ 
-          error: 'Your Twitter account must be at least 6 months old to vote',
-          accountAge: voterData.twitterAccountAgeMonths || 0,
-          required: 6
-        });
-      }
-
-      // Check if already voted
-      const existingVote = await db.collection('votes')
-        .where('voterId', '==', voterId)
-        .where('electionType', '==', electionType || 'general')
-        .get();
-      
-      if (!existingVote.empty) {
-        return res.status(400).json({ error: 'Already voted in this election' });
-      }
-
-      // Create vote record
-      await db.collection('votes').add({
+      // Eligibility, duplicate and election window checks happen in the transaction
+      const submitBallot = req.method === 'PUT' ? changeBallot : castBallot;
+      const { voteId, electionId: votedElectionId, receipt } = await submitBallot(db, {
         voterId,
         candidateId,
+        rankings,
+        position,
+        electionId,
         electionType: electionType || 'general',
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
+        ip
       });
 
-      // Increment candidate vote count
-      await db.collection('candidates').doc(candidateId).update({
-        votes: admin.firestore.FieldValue.increment(1),
-        supportersCount: admin.firestore.FieldValue.increment(1)
+      return res.status(200).json({ 
+        success: true, 
+        message: req.method === 'PUT' ? 'Vote changed successfully' : 'Vote recorded successfully',
+        voteId,
+        electionId: votedElectionId,
+        receipt
+      });
+    }
+
+    // Withdraw a vote
+    if (req.method === 'DELETE') {
+      const { voterId, position, electionId, electionType } = req.body;
+
+      if (!voterId) {
+        return res.status(400).json({ error: 'Voter ID required' });
+      }
+
+      const { voteId, electionId: votedElectionId, receipt } = await withdrawBallot(db, {
+        voterId,
+        position,
+        electionId,
+        electionType: electionType || 'general',
+        ip
       });
 
       return res.status(200).json({ 
         success: true, 
-        message: 'Vote recorded successfully'
+        message: 'Vote withdrawn successfully',
+        voteId,
+        electionId: votedElectionId,
+        receipt
       });
     }
 
     // Get vote status
     if (req.method === 'GET') {
-      const { voterId, electionType } = req.query;
+      const { voterId, electionId, electionType } = req.query;
       
       if (!voterId) {
         return res.status(400).json({ error: 'Voter ID required' });
       }
 
-      const voteQuery = await db.collection('votes')
-        .where('voterId', '==', voterId)
-        .where('electionType', '==', electionType || 'general')
-        .get();
-      
-      const hasVoted = !voteQuery.empty;
-      let votedFor = null;
-      
-      if (hasVoted) {
-        const voteData = voteQuery.docs[0].data();
-        votedFor = voteData.candidateId;
-      }
+      const status = await getVoteStatus(db, {
+        voterId,
+        electionId,
+        electionType: electionType || 'general'
+      });
 
       return res.status(200).json({ 
         success: true, 
-        hasVoted,
-        votedFor
+        ...status
       });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (error) {
     console.error('Vote API error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     return res.status(500).json({ 
       error: 'Internal server error',
       details: error.message
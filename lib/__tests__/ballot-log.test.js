@@ -0,0 +1,88 @@
+import { appendBallotLogEntry, computeEntryHash, verifyBallotLog } from '../ballot-log.js';
+
+/**
+ * Build a log through appendBallotLogEntry with a stand-in transaction
+ */
+function buildLog(count) {
+  const entries = [];
+  let head;
+  const transaction = {
+    set: (ref, entry) => entries.push(entry),
+    update: (ref, data) => { head = data.ballotLogHead; }
+  };
+  const electionRef = { collection: () => ({ doc: () => ({}) }) };
+
+  for (let i = 0; i < count; i++) {
+    appendBallotLogEntry(transaction, electionRef, { ballotLogHead: head }, {
+      type: 'cast',
+      receiptId: `receipt-${i}`,
+      position: 'president',
+      candidateId: `candidate-${i % 2}`,
+      weight: 1
+    });
+  }
+
+  return { entries, head };
+}
+
+describe('verifyBallotLog', () => {
+  test('an untouched chain ending at the head is valid', () => {
+    const { entries, head } = buildLog(3);
+
+    expect(verifyBallotLog(entries, head)).toEqual({ valid: true, length: 3, brokenAt: null, reason: null });
+  });
+
+  test('an empty log with no head is valid', () => {
+    expect(verifyBallotLog([], null).valid).toBe(true);
+  });
+
+  test('an edited entry no longer matches its hash', () => {
+    const { entries, head } = buildLog(3);
+    entries[1] = { ...entries[1], candidateId: 'candidate-9' };
+
+    const result = verifyBallotLog(entries, head);
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toBe(2);
+    expect(result.reason).toBe('Entry hash does not match its contents');
+  });
+
+  test('an edited entry with a recomputed hash breaks the next link', () => {
+    const { entries, head } = buildLog(3);
+    const edited = { ...entries[1], candidateId: 'candidate-9' };
+    entries[1] = { ...edited, hash: computeEntryHash(edited) };
+
+    const result = verifyBallotLog(entries, head);
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toBe(3);
+    expect(result.reason).toBe('Entry does not link to previous hash');
+  });
+
+  test('a removed entry leaves a gap in the sequence', () => {
+    const { entries, head } = buildLog(3);
+    entries.splice(1, 1);
+
+    const result = verifyBallotLog(entries, head);
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toBe(2);
+    expect(result.reason).toBe('Missing or out-of-order entry');
+  });
+
+  test('a log cut short of the published head is rejected', () => {
+    const { entries, head } = buildLog(3);
+
+    const result = verifyBallotLog(entries.slice(0, 2), head);
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toBe(3);
+    expect(result.reason).toBe('Chain does not end at the published head');
+  });
+
+  test('a head with a different hash is rejected', () => {
+    const { entries, head } = buildLog(2);
+
+    expect(verifyBallotLog(entries, { ...head, hash: 'f'.repeat(64) }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+import { PassingThresholds, PollResults, QuorumTypes, evaluatePollRules } from '../poll-quorum.js';
+
+const winner = { winningOptionIndexes: [0], tie: false };
+const tie = { winningOptionIndexes: [0, 1], tie: true };
+
+describe('evaluatePollRules', () => {
+  test('polls without a quorum or threshold are advisory', () => {
+    expect(evaluatePollRules({}, winner, { participation: 10, ballotWeight: 10, winnerWeight: 8 }))
+      .toEqual({ result: null });
+  });
+
+  test('an absolute quorum counts voters', () => {
+    const poll = { quorum: { type: QuorumTypes.ABSOLUTE, value: 5 } };
+
+    const short = evaluatePollRules(poll, winner, { participation: 4, ballotWeight: 4, winnerWeight: 4 });
+    expect(short.result).toBe(PollResults.NO_QUORUM);
+    expect(short.quorum).toMatchObject({ required: 5, participation: 4, met: false });
+
+    const met = evaluatePollRules(poll, winner, { participation: 5, ballotWeight: 5, winnerWeight: 5 });
+    expect(met.result).toBe(PollResults.PASSED);
+  });
+
+  test('a share quorum rounds the required voters up', () => {
+    const poll = { quorum: { type: QuorumTypes.SHARE, value: 0.25 } };
+
+    const short = evaluatePollRules(poll, winner, { participation: 2, ballotWeight: 2, winnerWeight: 2, eligibleCitizens: 10 });
+    expect(short.quorum.required).toBe(3);
+    expect(short.result).toBe(PollResults.NO_QUORUM);
+
+    const met = evaluatePollRules(poll, winner, { participation: 3, ballotWeight: 3, winnerWeight: 3, eligibleCitizens: 10 });
+    expect(met.result).toBe(PollResults.PASSED);
+  });
+
+  test('a simple majority needs more than half the ballot weight', () => {
+    const poll = { threshold: PassingThresholds.SIMPLE_MAJORITY };
+
+    expect(evaluatePollRules(poll, winner, { participation: 10, ballotWeight: 10, winnerWeight: 5 }).result)
+      .toBe(PollResults.FAILED);
+    expect(evaluatePollRules(poll, winner, { participation: 10, ballotWeight: 10, winnerWeight: 6 }).result)
+      .toBe(PollResults.PASSED);
+  });
+
+  test('a supermajority passes at exactly two thirds', () => {
+    const poll = { threshold: PassingThresholds.SUPERMAJORITY };
+
+    const exact = evaluatePollRules(poll, winner, { participation: 3, ballotWeight: 3, winnerWeight: 2 });
+    expect(exact.result).toBe(PollResults.PASSED);
+    expect(exact.winningShare).toBeCloseTo(2 / 3);
+
+    expect(evaluatePollRules(poll, winner, { participation: 10, ballotWeight: 10, winnerWeight: 6 }).result)
+      .toBe(PollResults.FAILED);
+  });
+
+  test('the threshold is weighed by ballot weight, not headcount', () => {
+    const poll = { threshold: PassingThresholds.SIMPLE_MAJORITY };
+
+    // One heavy voter outweighs three light ones
+    expect(evaluatePollRules(poll, winner, { participation: 4, ballotWeight: 10, winnerWeight: 7 }).result)
+      .toBe(PollResults.PASSED);
+  });
+
+  test('a tie fails with no winning share', () => {
+    const poll = { threshold: PassingThresholds.SIMPLE_MAJORITY };
+
+    const result = evaluatePollRules(poll, tie, { participation: 4, ballotWeight: 4, winnerWeight: 2 });
+    expect(result.result).toBe(PollResults.FAILED);
+    expect(result.winningShare).toBe(0);
+  });
+
+  test('a binding poll with no ballots fails', () => {
+    const poll = { threshold: PassingThresholds.SIMPLE_MAJORITY };
+
+    const noWinner = { winningOptionIndexes: [], tie: false };
+    expect(evaluatePollRules(poll, noWinner, { participation: 0, ballotWeight: 0, winnerWeight: 0 }).result)
+      .toBe(PollResults.FAILED);
+  });
+});
@@ -0,0 +1,96 @@
+import { runInstantRunoff } from '../tally.js';
+
+const ballot = (rankings, weight) => (weight === undefined ? { rankings } : { rankings, weight });
+const repeat = (count, make) => Array.from({ length: count }, make);
+
+describe('runInstantRunoff', () => {
+  test('a first-round majority wins without eliminations', () => {
+    const result = runInstantRunoff(['A', 'B', 'C'], [
+      ...repeat(3, () => ballot(['A'])),
+      ballot(['B']),
+      ballot(['C'])
+    ]);
+
+    expect(result.winner).toBe('A');
+    expect(result.tied).toBe(false);
+    expect(result.rounds).toHaveLength(1);
+    expect(result.rounds[0].eliminated).toEqual([]);
+  });
+
+  test('eliminated ballots transfer to their next continuing preference', () => {
+    const result = runInstantRunoff(['A', 'B', 'C'], [
+      ...repeat(4, () => ballot(['A'])),
+      ...repeat(3, () => ballot(['C'])),
+      ...repeat(2, () => ballot(['B', 'C']))
+    ]);
+
+    expect(result.winner).toBe('C');
+    expect(result.rounds).toHaveLength(2);
+    expect(result.rounds[0].eliminated).toEqual(['B']);
+    expect(result.rounds[0].transfers).toEqual({ B: { C: 2 } });
+    expect(result.rounds[1].counts).toEqual({ A: 4, C: 5 });
+  });
+
+  test('candidates tied for last place are eliminated together', () => {
+    const result = runInstantRunoff(['A', 'B', 'C'], [
+      ...repeat(3, () => ballot(['A'])),
+      ...repeat(2, () => ballot(['B'])),
+      ...repeat(2, () => ballot(['C', 'B']))
+    ]);
+
+    expect(result.rounds[0].eliminated.sort()).toEqual(['B', 'C']);
+    expect(result.rounds[0].transfers).toEqual({
+      B: { exhausted: 2 },
+      C: { exhausted: 2 }
+    });
+    expect(result.winner).toBe('A');
+  });
+
+  test('exhausted ballots drop out of the majority needed', () => {
+    const result = runInstantRunoff(['A', 'B', 'C'], [
+      ...repeat(3, () => ballot(['A'])),
+      ...repeat(2, () => ballot(['B'])),
+      ...repeat(2, () => ballot(['C', 'B']))
+    ]);
+    const [, finalRound] = result.rounds;
+
+    // A's 3 of the 7 ballots is a majority of the 3 still active
+    expect(finalRound.exhausted).toBe(4);
+    expect(finalRound.counts).toEqual({ A: 3 });
+    expect(result.winner).toBe('A');
+  });
+
+  test('transfers carry ballot weight while headcounts count ballots', () => {
+    const result = runInstantRunoff(['A', 'B', 'C'], [
+      ballot(['A'], 5),
+      ballot(['B', 'C'], 2),
+      ballot(['C'], 4)
+    ]);
+
+    expect(result.rounds[0].counts).toEqual({ A: 5, B: 2, C: 4 });
+    expect(result.rounds[0].transfers).toEqual({ B: { C: 2 } });
+    expect(result.rounds[1].counts).toEqual({ A: 5, C: 6 });
+    expect(result.rounds[1].headcounts).toEqual({ A: 1, C: 2 });
+    expect(result.winner).toBe('C');
+  });
+
+  test('a tie left after eliminations is reported with no winner', () => {
+    const result = runInstantRunoff(['A', 'B', 'C'], [
+      ...repeat(3, () => ballot(['A'])),
+      ...repeat(2, () => ballot(['B'])),
+      ballot(['C', 'B'])
+    ]);
+
+    expect(result.rounds[0].eliminated).toEqual(['C']);
+    expect(result.rounds[1].counts).toEqual({ A: 3, B: 3 });
+    expect(result.winner).toBeNull();
+    expect(result.tied).toBe(true);
+  });
+
+  test('no ballots means no winner and no tie', () => {
+    const result = runInstantRunoff(['A', 'B'], []);
+
+    expect(result.winner).toBeNull();
+    expect(result.tied).toBe(false);
+  });
+});
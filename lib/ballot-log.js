@@ -0,0 +1,161 @@
+/**
+ * Tamper-evident ballot log
+ *
+ * Every accepted ballot is appended to elections/{id}/ballot_log as an
+ * entry that commits to the hash of the entry before it. The current head
+ * (sequence number and hash) lives on the election document, so editing or
+ * removing any past entry breaks the chain. Entries carry a random receipt
+ * ID instead of the voter's ID, which lets voters find their own ballot
+ * without revealing anyone else's.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * prevHash of the first entry in every chain
+ */
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serialize a value with sorted object keys so hashes are reproducible
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash a log entry (everything except its own hash)
+ */
+export function computeEntryHash(entry) {
+  const { hash, ...body } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+}
+
+/**
+ * Generate an unguessable receipt ID
+ */
+export function generateReceiptId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Document ID for a sequence number (zero-padded so IDs sort in order)
+ */
+function entryDocId(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+/**
+ * Append an entry to an election's ballot log inside a transaction
+ * The election document must already have been read in the same transaction
+ * @param {admin.firestore.Transaction} transaction
+ * @param {admin.firestore.DocumentReference} electionRef
+ * @param {Object} electionData - Election data read in this transaction
+ * @param {Object} record - Ballot fields to commit to (no voter identifiers)
+ * @returns {{seq: number, hash: string, prevHash: string}}
+ */
+export function appendBallotLogEntry(transaction, electionRef, electionData, record) {
+  const head = electionData.ballotLogHead || { seq: 0, hash: GENESIS_HASH };
+
+  const entry = {
+    ...record,
+    seq: head.seq + 1,
+    prevHash: head.hash,
+    recordedAt: new Date().toISOString()
+  };
+  entry.hash = computeEntryHash(entry);
+
+  transaction.set(electionRef.collection('ballot_log').doc(entryDocId(entry.seq)), entry);
+  transaction.update(electionRef, {
+    ballotLogHead: { seq: entry.seq, hash: entry.hash }
+  });
+
+  return { seq: entry.seq, hash: entry.hash, prevHash: entry.prevHash };
+}
+
+/**
+ * Load an election's full ballot log in sequence order
+ */
+export async function loadBallotLog(electionRef) {
+  const snapshot = await electionRef.collection('ballot_log').orderBy('seq').get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Check every entry's hash and link, and that the chain ends at the head
+ * @param {Array<Object>} entries - Entries in sequence order
+ * @param {{seq: number, hash: string}} [head] - Head recorded on the election
+ * @returns {{valid: boolean, length: number, brokenAt: number|null, reason: string|null}}
+ */
+export function verifyBallotLog(entries, head = null) {
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+
+    if (entry.seq !== i + 1) {
+      return { valid: false, length: entries.length, brokenAt: i + 1, reason: 'Missing or out-of-order entry' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, length: entries.length, brokenAt: entry.seq, reason: 'Entry does not link to previous hash' };
+    }
+    if (computeEntryHash(entry) !== entry.hash) {
+      return { valid: false, length: entries.length, brokenAt: entry.seq, reason: 'Entry hash does not match its contents' };
+    }
+
+    prevHash = entry.hash;
+  }
+
+  const headSeq = head?.seq || 0;
+  const headHash = head?.hash || GENESIS_HASH;
+  if (headSeq !== entries.length || headHash !== prevHash) {
+    return { valid: false, length: entries.length, brokenAt: entries.length + 1, reason: 'Chain does not end at the published head' };
+  }
+
+  return { valid: true, length: entries.length, brokenAt: null, reason: null };
+}
+
+/**
+ * Replay the log into the set of ballots it describes, keyed by receipt
+ * A change replaces the receipt's ballot and a withdrawal removes it
+ * @returns {Map<string, Object>} receiptId -> ballot
+ */
+export function replayBallotLog(entries) {
+  const ballots = new Map();
+
+  for (const entry of entries) {
+    if (entry.type === 'cast' || entry.type === 'change') {
+      ballots.set(entry.receiptId, {
+        receiptId: entry.receiptId,
+        position: entry.position,
+        candidateId: entry.candidateId,
+        rankings: entry.rankings,
+        weight: entry.weight
+      });
+    } else if (entry.type === 'withdraw') {
+      ballots.delete(entry.receiptId);
+    }
+  }
+
+  return ballots;
+}
+
+export default {
+  GENESIS_HASH,
+  canonicalJson,
+  computeEntryHash,
+  generateReceiptId,
+  appendBallotLogEntry,
+  loadBallotLog,
+  verifyBallotLog,
+  replayBallotLog
+};
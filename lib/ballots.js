@@ -0,0 +1,492 @@
+/**
+ * Candidate ballot casting
+ * Single transactional write path used by both vote endpoints
+ *
+ * A voter casts one ballot per position on an election's ballot, so the
+ * duplicate, change and withdraw checks are all scoped to (election, position).
+ *
+ * Ballots can be changed or withdrawn while voting is open. The vote
+ * document always holds the current choice; every change is kept in its
+ * history subcollection and appended to the public ballot log under the
+ * same receipt.
+ */
+
+import { admin } from './firebase-init.js';
+import { AuthorizationError, NotFoundError, ValidationError } from './errors.js';
+import { ElectionPhases, assertElectionPhase, resolveElection } from './elections.js';
+import { BallotModes, VoteStatus, qualifiesForBallot } from './tally.js';
+import { appendBallotLogEntry, generateReceiptId } from './ballot-log.js';
+import { assertBalanceSnapshot, getSnapshotWeight } from './weights.js';
+import { assertPartyMember } from './parties.js';
+
+/**
+ * Longest preference list accepted on a ranked ballot
+ */
+export const MAX_RANKINGS = 20;
+
+/**
+ * Cast a ballot for one position in the election that is currently voting
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} ballot
+ * @param {string} ballot.voterId - Voting user
+ * @param {string} [ballot.candidateId] - Candidate document ID (plurality elections)
+ * @param {Array<string>} [ballot.rankings] - Candidate IDs in order of preference (ranked elections)
+ * @param {string} [ballot.position] - Position being voted for; must match the candidates when given
+ * @param {string} [ballot.electionId] - Election to vote in
+ * @param {string} [ballot.electionType] - Used to find the current election when no ID is given
+ * @param {string} [ballot.ip] - Client IP, stored for audit purposes
+ * @param {string} [ballot.userAgent] - Client user agent, stored for audit purposes
+ * @returns {Promise<{voteId: string, electionId: string, weight: number, receipt: {receiptId: string, seq: number, hash: string}}>}
+ */
+export async function castBallot(firestore, { voterId, candidateId, rankings, position: expectedPosition = null, electionId, electionType, ip = null, userAgent = null }) {
+  const election = await resolveElection(firestore, {
+    electionId,
+    electionType,
+    phase: ElectionPhases.VOTING
+  });
+
+  const choices = getBallotChoices(election, { candidateId, rankings });
+  const electionRef = firestore.collection('elections').doc(election.id);
+
+  return firestore.runTransaction(async (transaction) => {
+    // Re-read the election so a cancellation mid-vote is respected
+    const electionDoc = await transaction.get(electionRef);
+    const electionData = electionDoc.data();
+    assertElectionPhase(electionData, ElectionPhases.VOTING);
+    // Token-weighted elections take ballots once the scheduled job has frozen balances
+    assertBalanceSnapshot(electionData);
+
+    // Check voter eligibility
+    const voterRef = firestore.collection('users').doc(voterId);
+    const voterDoc = await transaction.get(voterRef);
+
+    if (!voterDoc.exists) {
+      throw new NotFoundError('User not found');
+    }
+
+    const voterData = voterDoc.data();
+
+    // Verify account age (6+ months)
+    if (!voterData.eligibleToVote || voterData.twitterAccountAgeMonths < 6) {
+      throw new AuthorizationError('Account must be at least 6 months old to vote');
+    }
+
+    if (electionData.electionType === 'primary') {
+      await assertPartyMember(
+        firestore, electionData.partyId, voterId, 'Only party members can vote in this primary', transaction
+      );
+    }
+
+    const { candidateRefs, position } = await readBallotCandidates(
+      firestore, transaction, election.id, electionData, choices, expectedPosition
+    );
+
+    // Check if already voted for this position
+    const votesRef = firestore.collection('votes');
+    if (await findActiveVote(transaction, votesRef, voterId, election.id, position)) {
+      throw new AuthorizationError('Already voted for this position');
+    }
+
+    const [candidateRef] = candidateRefs;
+    const { weight, tokenBalance } = await getSnapshotWeight(
+      electionRef, voterId, electionData.weighting, transaction
+    );
+
+    const receiptId = generateReceiptId();
+    const ballotRankings = electionData.ballotMode === BallotModes.RANKED ? choices : null;
+
+    // Commit the ballot to the public hash chain (no voter identifiers)
+    const logEntry = appendBallotLogEntry(transaction, electionRef, electionData, {
+      type: 'cast',
+      receiptId,
+      position,
+      candidateId: candidateRef.id,
+      rankings: ballotRankings,
+      weight
+    });
+
+    const voteRef = votesRef.doc();
+    transaction.set(voteRef, {
+      voterId,
+      candidateId: candidateRef.id,
+      rankings: ballotRankings,
+      receiptId,
+      electionId: election.id,
+      electionType: electionData.electionType,
+      position,
+      weight,
+      tokenBalance,
+      status: VoteStatus.ACTIVE,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      ip,
+      userAgent
+    });
+
+    adjustCandidateCounters(transaction, candidateRef, 1, weight);
+
+    // Log the vote for audit
+    const auditRef = firestore.collection('audit_logs').doc();
+    transaction.set(auditRef, {
+      type: 'vote_cast',
+      voterId,
+      candidateId: candidateRef.id,
+      electionId: election.id,
+      electionType: electionData.electionType,
+      position,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      ip
+    });
+
+    return {
+      voteId: voteRef.id,
+      electionId: election.id,
+      weight,
+      receipt: { receiptId, seq: logEntry.seq, hash: logEntry.hash }
+    };
+  });
+}
+
+/**
+ * Find a voter's active (not withdrawn) votes in an election inside a transaction
+ * @returns {Promise<Array<admin.firestore.QueryDocumentSnapshot>>}
+ */
+async function findActiveVotes(transaction, votesRef, voterId, electionId) {
+  const snapshot = await transaction.get(
+    votesRef
+      .where('voterId', '==', voterId)
+      .where('electionId', '==', electionId)
+  );
+
+  return snapshot.docs.filter(doc => doc.data().status !== VoteStatus.WITHDRAWN);
+}
+
+/**
+ * Find a voter's active vote for one position inside a transaction
+ * @returns {Promise<admin.firestore.QueryDocumentSnapshot|null>}
+ */
+async function findActiveVote(transaction, votesRef, voterId, electionId, position) {
+  const votes = await findActiveVotes(transaction, votesRef, voterId, electionId);
+  return votes.find(doc => doc.data().position === position) || null;
+}
+
+/**
+ * Verify every chosen candidate is standing for the same position in this election
+ * @param {string} [expectedPosition] - Position the voter meant to vote for
+ * @returns {Promise<{candidateRefs: Array<admin.firestore.DocumentReference>, position: string}>}
+ */
+async function readBallotCandidates(firestore, transaction, electionId, electionData, choices, expectedPosition = null) {
+  const candidateRefs = choices.map(id => firestore.collection('candidates').doc(id));
+  const candidateDocs = await transaction.getAll(...candidateRefs);
+  let position = null;
+
+  for (const candidateDoc of candidateDocs) {
+    const candidateData = candidateDoc.data();
+
+    if (!candidateDoc.exists || candidateData.electionId !== electionId || candidateData.isActive === false) {
+      throw new NotFoundError('Candidate not found');
+    }
+
+    if (!electionData.positions.includes(candidateData.position)) {
+      throw new AuthorizationError('Candidate position is not on this ballot');
+    }
+
+    if (!qualifiesForBallot(candidateData, electionData)) {
+      throw new AuthorizationError('Candidate has not qualified for the ballot');
+    }
+
+    position = position || candidateData.position;
+    if (candidateData.position !== position) {
+      throw new ValidationError('All ranked candidates must be standing for the same position');
+    }
+  }
+
+  if (expectedPosition && position !== expectedPosition) {
+    throw new ValidationError('Candidate is not standing for this position');
+  }
+
+  return { candidateRefs, position };
+}
+
+/**
+ * Move one vote of the given weight onto (direction 1) or off (direction -1) a candidate
+ */
+function adjustCandidateCounters(transaction, candidateRef, direction, weight) {
+  transaction.update(candidateRef, {
+    votes: admin.firestore.FieldValue.increment(direction),
+    weightedVotes: admin.firestore.FieldValue.increment(direction * weight),
+    supportersCount: admin.firestore.FieldValue.increment(direction),
+    lastVoteAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Change a voter's ballot for a position while voting is open
+ * The position is taken from the newly chosen candidates; the vote keeps
+ * its receipt and snapshotted weight
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} ballot - Same fields as castBallot
+ * @returns {Promise<{voteId: string, electionId: string, weight: number, receipt: {receiptId: string, seq: number, hash: string}}>}
+ */
+export async function changeBallot(firestore, { voterId, candidateId, rankings, position: expectedPosition = null, electionId, electionType, ip = null, userAgent = null }) {
+  const election = await resolveElection(firestore, {
+    electionId,
+    electionType,
+    phase: ElectionPhases.VOTING
+  });
+
+  const choices = getBallotChoices(election, { candidateId, rankings });
+  const electionRef = firestore.collection('elections').doc(election.id);
+
+  return firestore.runTransaction(async (transaction) => {
+    const electionDoc = await transaction.get(electionRef);
+    const electionData = electionDoc.data();
+    assertElectionPhase(electionData, ElectionPhases.VOTING);
+
+    const { candidateRefs, position } = await readBallotCandidates(
+      firestore, transaction, election.id, electionData, choices, expectedPosition
+    );
+
+    const voteDoc = await findActiveVote(transaction, firestore.collection('votes'), voterId, election.id, position);
+    if (!voteDoc) {
+      throw new NotFoundError('You have not voted for this position');
+    }
+
+    const previous = voteDoc.data();
+    const [candidateRef] = candidateRefs;
+    const ballotRankings = electionData.ballotMode === BallotModes.RANKED ? choices : null;
+    const weight = previous.weight ?? 1;
+
+    if (candidateRef.id === previous.candidateId &&
+      JSON.stringify(ballotRankings) === JSON.stringify(previous.rankings ?? null)) {
+      throw new ValidationError('Ballot is unchanged');
+    }
+
+    // Older votes have no receipt; give them one so the change can be logged
+    const receiptId = previous.receiptId || generateReceiptId();
+    const logEntry = appendBallotLogEntry(transaction, electionRef, electionData, {
+      type: 'change',
+      receiptId,
+      position,
+      candidateId: candidateRef.id,
+      rankings: ballotRankings,
+      weight
+    });
+
+    if (candidateRef.id !== previous.candidateId) {
+      adjustCandidateCounters(transaction, firestore.collection('candidates').doc(previous.candidateId), -1, weight);
+      adjustCandidateCounters(transaction, candidateRef, 1, weight);
+    }
+
+    transaction.update(voteDoc.ref, {
+      candidateId: candidateRef.id,
+      rankings: ballotRankings,
+      position,
+      receiptId,
+      changeCount: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.set(voteDoc.ref.collection('history').doc(), {
+      action: 'change',
+      previous: {
+        candidateId: previous.candidateId,
+        rankings: previous.rankings ?? null,
+        position: previous.position ?? null
+      },
+      current: { candidateId: candidateRef.id, rankings: ballotRankings, position },
+      changedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ip,
+      userAgent
+    });
+
+    const auditRef = firestore.collection('audit_logs').doc();
+    transaction.set(auditRef, {
+      type: 'vote_changed',
+      voterId,
+      previousCandidateId: previous.candidateId,
+      candidateId: candidateRef.id,
+      electionId: election.id,
+      electionType: electionData.electionType,
+      position,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      ip
+    });
+
+    return {
+      voteId: voteDoc.id,
+      electionId: election.id,
+      weight,
+      receipt: { receiptId, seq: logEntry.seq, hash: logEntry.hash }
+    };
+  });
+}
+
+/**
+ * Withdraw a voter's ballot for a position while voting is open
+ * The voter may cast a new ballot for that position afterwards
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} ballot
+ * @param {string} ballot.voterId - Voting user
+ * @param {string} [ballot.position] - Position to withdraw from; optional when the voter has a single ballot
+ * @param {string} [ballot.electionId] - Election voted in
+ * @param {string} [ballot.electionType] - Used to find the current election when no ID is given
+ * @param {string} [ballot.ip] - Client IP, stored for audit purposes
+ * @param {string} [ballot.userAgent] - Client user agent, stored for audit purposes
+ * @returns {Promise<{voteId: string, electionId: string, receipt: {receiptId: string, seq: number, hash: string}}>}
+ */
+export async function withdrawBallot(firestore, { voterId, position = null, electionId, electionType, ip = null, userAgent = null }) {
+  const election = await resolveElection(firestore, {
+    electionId,
+    electionType,
+    phase: ElectionPhases.VOTING
+  });
+
+  const electionRef = firestore.collection('elections').doc(election.id);
+
+  return firestore.runTransaction(async (transaction) => {
+    const electionDoc = await transaction.get(electionRef);
+    const electionData = electionDoc.data();
+    assertElectionPhase(electionData, ElectionPhases.VOTING);
+
+    const activeVotes = await findActiveVotes(transaction, firestore.collection('votes'), voterId, election.id);
+    if (!position && activeVotes.length > 1) {
+      throw new ValidationError('Position is required when you have voted for more than one position');
+    }
+
+    const voteDoc = position
+      ? activeVotes.find(doc => doc.data().position === position)
+      : activeVotes[0];
+    if (!voteDoc) {
+      throw new NotFoundError('You have not voted for this position');
+    }
+
+    const previous = voteDoc.data();
+    const weight = previous.weight ?? 1;
+    const receiptId = previous.receiptId || generateReceiptId();
+
+    const logEntry = appendBallotLogEntry(transaction, electionRef, electionData, {
+      type: 'withdraw',
+      receiptId,
+      position: previous.position ?? null
+    });
+
+    adjustCandidateCounters(transaction, firestore.collection('candidates').doc(previous.candidateId), -1, weight);
+
+    transaction.update(voteDoc.ref, {
+      status: VoteStatus.WITHDRAWN,
+      receiptId,
+      withdrawnAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.set(voteDoc.ref.collection('history').doc(), {
+      action: 'withdraw',
+      previous: {
+        candidateId: previous.candidateId,
+        rankings: previous.rankings ?? null,
+        position: previous.position ?? null
+      },
+      current: null,
+      changedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ip,
+      userAgent
+    });
+
+    const auditRef = firestore.collection('audit_logs').doc();
+    transaction.set(auditRef, {
+      type: 'vote_withdrawn',
+      voterId,
+      candidateId: previous.candidateId,
+      electionId: election.id,
+      electionType: electionData.electionType,
+      position: previous.position ?? null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      ip
+    });
+
+    return {
+      voteId: voteDoc.id,
+      electionId: election.id,
+      receipt: { receiptId, seq: logEntry.seq, hash: logEntry.hash }
+    };
+  });
+}
+
+/**
+ * Work out which candidates a ballot selects, in order of preference
+ * Ranked elections take a rankings list, plurality elections a single candidate
+ * @throws {ValidationError}
+ */
+export function getBallotChoices(election, { candidateId, rankings }) {
+  if (election.ballotMode !== BallotModes.RANKED) {
+    if (rankings) {
+      throw new ValidationError('This election does not accept ranked ballots');
+    }
+    if (!candidateId) {
+      throw new ValidationError('Candidate ID is required');
+    }
+    return [candidateId];
+  }
+
+  if (!Array.isArray(rankings) || rankings.length === 0) {
+    throw new ValidationError('Ranked elections require a rankings list');
+  }
+
+  if (rankings.length > MAX_RANKINGS) {
+    throw new ValidationError(`A ballot can rank at most ${MAX_RANKINGS} candidates`);
+  }
+
+  if (new Set(rankings).size !== rankings.length) {
+    throw new ValidationError('A candidate can only be ranked once');
+  }
+
+  return rankings;
+}
+
+/**
+ * Look up a voter's ballots in an election, grouped by position
+ * Falls back to the most recent election of the given type when no ID is given
+ * @returns {Promise<{electionId: string, hasVoted: boolean, ballots: Object, votedPositions: Array<string>, remainingPositions: Array<string>}>}
+ */
+export async function getVoteStatus(firestore, { voterId, electionId, electionType }) {
+  const election = await resolveElection(firestore, { electionId, electionType });
+
+  const voteQuery = await firestore.collection('votes')
+    .where('voterId', '==', voterId)
+    .where('electionId', '==', election.id)
+    .get();
+
+  const ballots = {};
+  voteQuery.docs
+    .filter(doc => doc.data().status !== VoteStatus.WITHDRAWN)
+    .forEach(doc => {
+      const voteData = doc.data();
+      ballots[voteData.position] = {
+        voteId: doc.id,
+        votedFor: voteData.candidateId,
+        rankings: voteData.rankings || null,
+        weight: voteData.weight ?? 1,
+        receiptId: voteData.receiptId || null,
+        votedAt: voteData.timestamp?.toDate?.()?.toISOString() || null,
+        updatedAt: voteData.updatedAt?.toDate?.()?.toISOString() || null
+      };
+    });
+
+  const votedPositions = Object.keys(ballots);
+
+  return {
+    electionId: election.id,
+    hasVoted: votedPositions.length > 0,
+    ballots,
+    votedPositions,
+    remainingPositions: election.positions.filter(position => !ballots[position])
+  };
+}
+
+export default {
+  MAX_RANKINGS,
+  castBallot,
+  changeBallot,
+  withdrawBallot,
+  getBallotChoices,
+  getVoteStatus
+};
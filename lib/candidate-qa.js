@@ -0,0 +1,388 @@
+/**
+ * Candidate Q&A
+ * Citizens put questions to candidates and upvote each other's questions;
+ * the candidate answers on their own board. Upvotes and flags are kept one
+ * per user under deterministic subcollection keys, with denormalized counts
+ * on the question for sorting. Admins can hide abusive questions.
+ */
+
+import { admin } from './firebase-init.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { civicBadge } from './government.js';
+import { toDate } from './elections.js';
+
+export const QuestionStatus = {
+  VISIBLE: 'visible',
+  HIDDEN: 'hidden'
+};
+
+export const MAX_QUESTION_LENGTH = 500;
+export const MAX_ANSWER_LENGTH = 5000;
+
+/**
+ * How many unanswered questions the board surfaces at the top
+ */
+export const TOP_UNANSWERED_LIMIT = 5;
+
+/**
+ * Check free text against a length limit and return it trimmed
+ * @throws {ValidationError}
+ */
+function validateText(value, label, maxLength) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${label} is required`);
+  }
+  if (value.length > maxLength) {
+    throw new ValidationError(`${label} must be less than ${maxLength} characters`);
+  }
+  return value.trim();
+}
+
+/**
+ * Read a question inside a transaction
+ * @throws {NotFoundError}
+ */
+async function readQuestion(firestore, transaction, questionId) {
+  const questionRef = firestore.collection('candidate_questions').doc(questionId);
+  const questionDoc = await transaction.get(questionRef);
+  if (!questionDoc.exists) {
+    throw new NotFoundError('Question not found');
+  }
+  return { questionRef, question: questionDoc.data() };
+}
+
+/**
+ * Read a question that citizens can still interact with
+ * Hidden questions behave as if they don't exist for everyone but admins
+ * @throws {NotFoundError}
+ */
+async function readVisibleQuestion(firestore, transaction, questionId) {
+  const result = await readQuestion(firestore, transaction, questionId);
+  if (result.question.status === QuestionStatus.HIDDEN) {
+    throw new NotFoundError('Question not found');
+  }
+  return result;
+}
+
+/**
+ * Ask a candidate a question
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.candidateId
+ * @param {string} params.userId - Asking citizen
+ * @param {string} params.question
+ * @returns {Promise<{questionId: string}>}
+ */
+export async function askQuestion(firestore, { candidateId, userId, question }) {
+  const text = validateText(question, 'Question', MAX_QUESTION_LENGTH);
+  const questionRef = firestore.collection('candidate_questions').doc();
+
+  return firestore.runTransaction(async (transaction) => {
+    const [candidateDoc, userDoc, citizenDoc] = await transaction.getAll(
+      firestore.collection('candidates').doc(candidateId),
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId)
+    );
+
+    if (!candidateDoc.exists || candidateDoc.data().isActive === false) {
+      throw new NotFoundError('Candidate not found');
+    }
+
+    const candidate = candidateDoc.data();
+    if ((candidate.status || 'active') !== 'active') {
+      throw new AppError('This candidate is no longer standing', 403, 'CANDIDATE_INACTIVE');
+    }
+    if (candidate.userId === userId) {
+      throw new AuthorizationError('Candidates cannot ask themselves questions');
+    }
+
+    if (!userDoc.exists) {
+      throw new NotFoundError('User not found');
+    }
+
+    const badge = civicBadge(userDoc.data(), citizenDoc);
+    if (!badge) {
+      throw new AuthorizationError('Only registered citizens and government members can ask questions');
+    }
+
+    transaction.set(questionRef, {
+      candidateId,
+      electionId: candidate.electionId || null,
+      askedBy: userId,
+      askerUsername: userDoc.data().username || 'Anonymous',
+      askerBadge: badge,
+      question: text,
+      upvoteCount: 0,
+      flagCount: 0,
+      answer: null,
+      answeredAt: null,
+      status: QuestionStatus.VISIBLE,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { questionId: questionRef.id };
+  });
+}
+
+/**
+ * Upvote a question, or take an upvote back
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.questionId
+ * @param {string} params.userId
+ * @param {boolean} [params.remove] - Remove the user's upvote instead of adding one
+ * @returns {Promise<{upvoteCount: number}>}
+ */
+export async function voteOnQuestion(firestore, { questionId, userId, remove = false }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { questionRef, question } = await readVisibleQuestion(firestore, transaction, questionId);
+
+    const upvoteRef = questionRef.collection('upvotes').doc(userId);
+    const [upvoteDoc, userDoc, citizenDoc] = await transaction.getAll(
+      upvoteRef,
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId)
+    );
+
+    let upvoteCount = question.upvoteCount || 0;
+
+    if (remove) {
+      if (!upvoteDoc.exists) {
+        throw new NotFoundError('You have not upvoted this question');
+      }
+      transaction.delete(upvoteRef);
+      upvoteCount -= 1;
+    } else {
+      if (upvoteDoc.exists) {
+        throw new ConflictError('You have already upvoted this question');
+      }
+      if (question.askedBy === userId) {
+        throw new AuthorizationError('You cannot upvote your own question');
+      }
+      if (!userDoc.exists || !civicBadge(userDoc.data(), citizenDoc)) {
+        throw new AuthorizationError('Only registered citizens and government members can upvote questions');
+      }
+      transaction.set(upvoteRef, {
+        userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      upvoteCount += 1;
+    }
+
+    transaction.update(questionRef, {
+      upvoteCount,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { upvoteCount };
+  });
+}
+
+/**
+ * Answer a question (or revise an existing answer) as the candidate
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.questionId
+ * @param {string} params.userId - Must be the candidate's owner
+ * @param {string} params.answer
+ */
+export async function answerQuestion(firestore, { questionId, userId, answer }) {
+  const text = validateText(answer, 'Answer', MAX_ANSWER_LENGTH);
+
+  return firestore.runTransaction(async (transaction) => {
+    const { questionRef, question } = await readVisibleQuestion(firestore, transaction, questionId);
+
+    const candidateDoc = await transaction.get(firestore.collection('candidates').doc(question.candidateId));
+    if (!candidateDoc.exists || candidateDoc.data().userId !== userId) {
+      throw new AuthorizationError('Only the candidate can answer their questions');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(questionRef, {
+      answer: text,
+      answeredAt: question.answeredAt || now,
+      answerEditedAt: question.answer ? now : null,
+      updatedAt: now
+    });
+  });
+}
+
+/**
+ * Flag a question for moderator review
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.questionId
+ * @param {string} params.userId
+ * @param {string} [params.reason]
+ * @returns {Promise<{flagCount: number}>}
+ */
+export async function flagQuestion(firestore, { questionId, userId, reason = null }) {
+  const flagReason = reason ? validateText(reason, 'Reason', MAX_QUESTION_LENGTH) : null;
+
+  return firestore.runTransaction(async (transaction) => {
+    const { questionRef, question } = await readVisibleQuestion(firestore, transaction, questionId);
+
+    const flagRef = questionRef.collection('flags').doc(userId);
+    const flagDoc = await transaction.get(flagRef);
+    if (flagDoc.exists) {
+      throw new ConflictError('You have already flagged this question');
+    }
+
+    const flagCount = (question.flagCount || 0) + 1;
+    transaction.set(flagRef, {
+      userId,
+      reason: flagReason,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(questionRef, {
+      flagCount,
+      lastFlaggedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { flagCount };
+  });
+}
+
+/**
+ * Hide or restore a question
+ * Caller is responsible for checking the user is an admin.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.questionId
+ * @param {string} params.adminId
+ * @param {boolean} params.hidden
+ * @param {string} [params.reason] - Required when hiding
+ */
+export async function setQuestionVisibility(firestore, { questionId, adminId, hidden, reason = null }) {
+  const moderationReason = hidden ? validateText(reason, 'Reason', MAX_QUESTION_LENGTH) : null;
+  const status = hidden ? QuestionStatus.HIDDEN : QuestionStatus.VISIBLE;
+
+  return firestore.runTransaction(async (transaction) => {
+    const { questionRef, question } = await readQuestion(firestore, transaction, questionId);
+
+    if ((question.status || QuestionStatus.VISIBLE) === status) {
+      throw new ConflictError(hidden ? 'Question is already hidden' : 'Question is not hidden');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(questionRef, {
+      status,
+      moderatedBy: adminId,
+      moderationReason,
+      moderatedAt: now,
+      updatedAt: now
+    });
+
+    transaction.set(firestore.collection('audit_logs').doc(), {
+      type: hidden ? 'candidate_question_hidden' : 'candidate_question_restored',
+      questionId,
+      candidateId: question.candidateId,
+      askedBy: question.askedBy,
+      reason: moderationReason,
+      changedBy: adminId,
+      timestamp: now
+    });
+  });
+}
+
+/**
+ * Convert a question document into an API response object
+ */
+export function serializeQuestion(id, data) {
+  return {
+    id,
+    candidateId: data.candidateId,
+    electionId: data.electionId || null,
+    askedBy: data.askedBy,
+    askerUsername: data.askerUsername,
+    askerBadge: data.askerBadge,
+    question: data.question,
+    upvoteCount: data.upvoteCount || 0,
+    answer: data.answer || null,
+    answered: Boolean(data.answer),
+    status: data.status || QuestionStatus.VISIBLE,
+    createdAt: toDate(data.createdAt)?.toISOString() || null,
+    answeredAt: toDate(data.answeredAt)?.toISOString() || null,
+    answerEditedAt: toDate(data.answerEditedAt)?.toISOString() || null
+  };
+}
+
+/**
+ * Most upvoted first, oldest first among ties
+ */
+function byUpvotes(a, b) {
+  return b.upvoteCount - a.upvoteCount || (a.createdAt || '').localeCompare(b.createdAt || '');
+}
+
+/**
+ * Load a candidate's Q&A board
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} candidateId
+ * @param {Object} [options]
+ * @param {string} [options.sort] - 'top' (default) or 'recent'
+ * @returns {Promise<{questions: Array<Object>, topUnanswered: Array<Object>}>}
+ */
+export async function listQuestions(firestore, candidateId, { sort = 'top' } = {}) {
+  const snapshot = await firestore.collection('candidate_questions')
+    .where('candidateId', '==', candidateId)
+    .get();
+
+  const questions = snapshot.docs
+    .map(doc => serializeQuestion(doc.id, doc.data()))
+    .filter(question => question.status === QuestionStatus.VISIBLE);
+
+  const topUnanswered = questions
+    .filter(question => !question.answered)
+    .sort(byUpvotes)
+    .slice(0, TOP_UNANSWERED_LIMIT);
+
+  questions.sort(sort === 'recent'
+    ? (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')
+    : byUpvotes);
+
+  return { questions, topUnanswered };
+}
+
+/**
+ * Questions waiting on moderation: visible questions with flags, most flagged
+ * first, plus hidden ones so they can be restored
+ * @returns {Promise<{flagged: Array<Object>, hidden: Array<Object>}>}
+ */
+export async function listModerationQueue(firestore) {
+  const questionsRef = firestore.collection('candidate_questions');
+  const [flaggedSnapshot, hiddenSnapshot] = await Promise.all([
+    questionsRef.where('flagCount', '>', 0).get(),
+    questionsRef.where('status', '==', QuestionStatus.HIDDEN).get()
+  ]);
+
+  const withModeration = doc => ({
+    ...serializeQuestion(doc.id, doc.data()),
+    flagCount: doc.data().flagCount || 0,
+    moderatedBy: doc.data().moderatedBy || null,
+    moderationReason: doc.data().moderationReason || null
+  });
+
+  return {
+    flagged: flaggedSnapshot.docs
+      .map(withModeration)
+      .filter(question => question.status === QuestionStatus.VISIBLE)
+      .sort((a, b) => b.flagCount - a.flagCount),
+    hidden: hiddenSnapshot.docs.map(withModeration)
+  };
+}
+
+export default {
+  QuestionStatus,
+  MAX_QUESTION_LENGTH,
+  MAX_ANSWER_LENGTH,
+  TOP_UNANSWERED_LIMIT,
+  askQuestion,
+  voteOnQuestion,
+  answerQuestion,
+  flagQuestion,
+  setQuestionVisibility,
+  serializeQuestion,
+  listQuestions,
+  listModerationQueue
+};
@@ -0,0 +1,540 @@
+/**
+ * Candidate profiles and standing
+ * Owners can edit a small allowlist of profile fields; every edit is kept
+ * as a numbered revision in candidates/{id}/revisions so voters can see
+ * what changed during the campaign.
+ *
+ * A candidate's status (active, withdrawn, disqualified) is separate from
+ * deletion (isActive); every status change is kept in
+ * candidates/{id}/status_history.
+ */
+
+import { admin } from './firebase-init.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { ElectionPhases, getElectionPhase } from './elections.js';
+import { validateContent } from './validation.js';
+import { fetchTokenBalance } from './token-balance.js';
+import logger from './logger.js';
+
+/**
+ * Candidate statuses (candidates without a status are active)
+ */
+export const CandidateStatus = {
+  ACTIVE: 'active',
+  WITHDRAWN: 'withdrawn',
+  DISQUALIFIED: 'disqualified'
+};
+
+/**
+ * Requirements to stand for office (tokens in the base units stored on users.tokenBalance)
+ */
+export const CANDIDACY_REQUIREMENTS = {
+  minFollowers: 500,
+  minTokens: 50000
+};
+
+/**
+ * Profile fields a candidate may edit, with their length limits
+ */
+export const EDITABLE_FIELDS = {
+  slogan: 200,
+  platform: 5000,
+  links: 10,
+  image: 2000
+};
+
+// Editing stops once the votes are being counted
+const LOCKED_PHASES = [
+  ElectionPhases.COUNTING,
+  ElectionPhases.CERTIFICATION,
+  ElectionPhases.EXPIRED,
+  ElectionPhases.CERTIFIED,
+  ElectionPhases.CANCELLED
+];
+
+/**
+ * Validate an http(s) URL
+ */
+function validateUrl(value, maxLength) {
+  if (typeof value !== 'string' || value.length > maxLength) {
+    return { valid: false };
+  }
+
+  try {
+    const url = new URL(value.trim());
+    return { valid: ['http:', 'https:'].includes(url.protocol), value: url.toString() };
+  } catch {
+    return { valid: false };
+  }
+}
+
+/**
+ * Validate a profile update against the allowlist
+ * @param {Object} input - Request body
+ * @returns {{valid: boolean, error?: string, value?: Object}} Only the editable fields that were sent
+ */
+export function validateProfileUpdate(input = {}) {
+  const value = {};
+
+  for (const field of ['slogan', 'platform']) {
+    if (input[field] === undefined) continue;
+
+    const validation = validateContent(input[field], EDITABLE_FIELDS[field]);
+    if (!validation.valid) {
+      return { valid: false, error: `${field}: ${validation.error}` };
+    }
+    value[field] = validation.value;
+  }
+
+  if (input.links !== undefined) {
+    if (!Array.isArray(input.links) || input.links.length > EDITABLE_FIELDS.links) {
+      return { valid: false, error: `links must be a list of at most ${EDITABLE_FIELDS.links} URLs` };
+    }
+
+    const links = input.links.map(link => validateUrl(link, 500));
+    if (links.some(link => !link.valid)) {
+      return { valid: false, error: 'links must be http(s) URLs' };
+    }
+    value.links = links.map(link => link.value);
+  }
+
+  if (input.image !== undefined) {
+    const image = validateUrl(input.image, EDITABLE_FIELDS.image);
+    if (!image.valid) {
+      return { valid: false, error: 'image must be an http(s) URL' };
+    }
+    value.image = image.value;
+  }
+
+  if (Object.keys(value).length === 0) {
+    return { valid: false, error: `Nothing to update; editable fields are ${Object.keys(EDITABLE_FIELDS).join(', ')}` };
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Identity fields a new candidacy may set, with their length limits
+ */
+const IDENTITY_FIELDS = {
+  name: 100,
+  username: 100,
+  userId: 128
+};
+
+/**
+ * Validate the body of a new candidacy against the allowlist
+ * Only the identity fields and the editable profile fields are kept; counters,
+ * standing and election fields are set by the server.
+ * @param {Object} input - Request body
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function validateNewCandidate(input = {}) {
+  const value = {};
+
+  for (const [field, maxLength] of Object.entries(IDENTITY_FIELDS)) {
+    if (input[field] === undefined || input[field] === null) continue;
+
+    const validation = validateContent(input[field], maxLength);
+    if (!validation.valid) {
+      return { valid: false, error: `${field}: ${validation.error}` };
+    }
+    value[field] = validation.value;
+  }
+
+  if (Object.keys(EDITABLE_FIELDS).some(field => input[field] !== undefined)) {
+    const profile = validateProfileUpdate(input);
+    if (!profile.valid) {
+      return profile;
+    }
+    Object.assign(value, profile.value);
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Pick the editable fields from a candidate document
+ */
+export function pickProfile(data) {
+  return Object.fromEntries(
+    Object.keys(EDITABLE_FIELDS).map(field => [field, data[field] ?? null])
+  );
+}
+
+/**
+ * Field-by-field differences between two profiles
+ * @returns {Object} { field: { from, to } } for every field that differs
+ */
+export function diffProfiles(before, after) {
+  const changes = {};
+
+  for (const field of Object.keys(EDITABLE_FIELDS)) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Apply a profile edit and record it as a new revision
+ *
+ * Candidates created before revisions existed get their current profile
+ * stored as revision 0 first, so the first edit can still be diffed.
+ *
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} edit
+ * @param {string} edit.candidateId - Candidate document ID
+ * @param {string} edit.userId - Must be the candidate's owner
+ * @param {Object} edit.updates - Validated editable fields
+ * @returns {Promise<{revision: number, changes: Object}>}
+ */
+export async function updateCandidateProfile(firestore, { candidateId, userId, updates }) {
+  const candidateRef = firestore.collection('candidates').doc(candidateId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const candidateDoc = await transaction.get(candidateRef);
+
+    if (!candidateDoc.exists || candidateDoc.data().isActive === false) {
+      throw new NotFoundError('Candidate not found');
+    }
+
+    const candidate = candidateDoc.data();
+    if (candidate.userId !== userId) {
+      throw new AuthorizationError('Not authorized to edit this profile');
+    }
+
+    if (candidate.electionId) {
+      const electionDoc = await transaction.get(firestore.collection('elections').doc(candidate.electionId));
+      if (electionDoc.exists && LOCKED_PHASES.includes(getElectionPhase(electionDoc.data()))) {
+        throw new AppError('Profiles can no longer be edited for this election', 403, 'ELECTION_WINDOW_CLOSED');
+      }
+    }
+
+    const before = pickProfile(candidate);
+    const after = { ...before, ...updates };
+    const changes = diffProfiles(before, after);
+
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('No changes to save');
+    }
+
+    const revisionsRef = candidateRef.collection('revisions');
+    const previousRevision = candidate.revisionCount || 0;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    if (previousRevision === 0) {
+      transaction.set(revisionsRef.doc('0'), {
+        revision: 0,
+        profile: before,
+        changes: {},
+        editedBy: candidate.userId,
+        editedAt: candidate.createdAt || now
+      });
+    }
+
+    const revision = previousRevision + 1;
+    transaction.set(revisionsRef.doc(String(revision)), {
+      revision,
+      profile: after,
+      changes,
+      editedBy: userId,
+      editedAt: now
+    });
+
+    transaction.update(candidateRef, {
+      ...updates,
+      revisionCount: revision,
+      lastEditedAt: now,
+      updatedAt: now
+    });
+
+    return { revision, changes };
+  });
+}
+
+/**
+ * List a candidate's revisions, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRevisions(firestore, candidateId) {
+  const snapshot = await firestore.collection('candidates').doc(candidateId)
+    .collection('revisions')
+    .orderBy('revision')
+    .get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      revision: data.revision,
+      changes: data.changes,
+      editedAt: data.editedAt?.toDate?.()?.toISOString() || null
+    };
+  });
+}
+
+/**
+ * Diff two revisions of a candidate's profile
+ * @param {number} [fromRevision] - Defaults to the original profile (0)
+ * @param {number} [toRevision] - Defaults to the latest revision
+ * @returns {Promise<{from: number, to: number, changes: Object}>}
+ */
+export async function diffRevisions(firestore, candidateId, fromRevision = 0, toRevision = null) {
+  const candidateDoc = await firestore.collection('candidates').doc(candidateId).get();
+  if (!candidateDoc.exists) {
+    throw new NotFoundError('Candidate not found');
+  }
+
+  const latest = candidateDoc.data().revisionCount || 0;
+  const to = toRevision ?? latest;
+
+  if (!Number.isInteger(fromRevision) || !Number.isInteger(to) ||
+    fromRevision < 0 || to > latest || fromRevision > to) {
+    throw new ValidationError(`Revisions must be between 0 and ${latest}`);
+  }
+
+  // Never edited: nothing has changed
+  if (latest === 0) {
+    return { from: 0, to: 0, changes: {} };
+  }
+
+  const revisionsRef = candidateDoc.ref.collection('revisions');
+  const [fromDoc, toDoc] = await firestore.getAll(
+    revisionsRef.doc(String(fromRevision)),
+    revisionsRef.doc(String(to))
+  );
+
+  return {
+    from: fromRevision,
+    to,
+    changes: diffProfiles(fromDoc.data().profile, toDoc.data().profile)
+  };
+}
+
+/**
+ * Check a user against the candidacy requirements
+ * @param {{twitterFollowers?: number, tokenBalance?: number}} userData
+ * @returns {{eligible: boolean, reasons: Array<string>}}
+ */
+export function checkCandidacyRequirements(userData) {
+  const reasons = [];
+
+  if ((userData.twitterFollowers || 0) < CANDIDACY_REQUIREMENTS.minFollowers) {
+    reasons.push(`Fewer than ${CANDIDACY_REQUIREMENTS.minFollowers} Twitter followers`);
+  }
+  if ((userData.tokenBalance || 0) < CANDIDACY_REQUIREMENTS.minTokens) {
+    reasons.push(`Fewer than ${CANDIDACY_REQUIREMENTS.minTokens.toLocaleString()} TURDS tokens`);
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+/**
+ * Queue a status change and its history entry on a transaction or batch
+ */
+function queueStatusChange(writer, candidateRef, candidate, { status, reason, changedBy }) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  writer.update(candidateRef, {
+    status,
+    statusReason: reason || null,
+    statusChangedBy: changedBy,
+    statusChangedAt: now,
+    updatedAt: now
+  });
+
+  writer.set(candidateRef.collection('status_history').doc(), {
+    previousStatus: candidate.status || CandidateStatus.ACTIVE,
+    status,
+    reason: reason || null,
+    changedBy,
+    changedAt: now
+  });
+}
+
+/**
+ * Read a candidate and its election phase inside a transaction
+ */
+async function readCandidateForStatusChange(firestore, transaction, candidateId) {
+  const candidateRef = firestore.collection('candidates').doc(candidateId);
+  const candidateDoc = await transaction.get(candidateRef);
+
+  if (!candidateDoc.exists || candidateDoc.data().isActive === false) {
+    throw new NotFoundError('Candidate not found');
+  }
+
+  const candidate = candidateDoc.data();
+  let phase = null;
+  if (candidate.electionId) {
+    const electionDoc = await transaction.get(firestore.collection('elections').doc(candidate.electionId));
+    phase = electionDoc.exists ? getElectionPhase(electionDoc.data()) : null;
+  }
+
+  return { candidateRef, candidate, phase };
+}
+
+/**
+ * Voluntarily withdraw from an election
+ * The profile stays visible with a withdrawn status; it just leaves the ballot
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} withdrawal
+ * @param {string} withdrawal.candidateId - Candidate document ID
+ * @param {string} withdrawal.userId - Must be the candidate's owner
+ * @param {string} [withdrawal.reason] - Optional public statement
+ */
+export async function withdrawCandidacy(firestore, { candidateId, userId, reason = null }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { candidateRef, candidate, phase } = await readCandidateForStatusChange(firestore, transaction, candidateId);
+
+    if (candidate.userId !== userId) {
+      throw new AuthorizationError('Not authorized to withdraw this candidacy');
+    }
+    if ((candidate.status || CandidateStatus.ACTIVE) !== CandidateStatus.ACTIVE) {
+      throw new ConflictError(`Candidacy is already ${candidate.status}`);
+    }
+    if (LOCKED_PHASES.includes(phase)) {
+      throw new AppError('Voting has closed for this election', 403, 'ELECTION_WINDOW_CLOSED');
+    }
+
+    queueStatusChange(transaction, candidateRef, candidate, {
+      status: CandidateStatus.WITHDRAWN,
+      reason,
+      changedBy: userId
+    });
+  });
+}
+
+/**
+ * Disqualify or reinstate a candidate (admin only; a reason is required)
+ * Reinstating only undoes a disqualification; withdrawals are the candidate's call
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} change
+ * @param {string} change.candidateId - Candidate document ID
+ * @param {string} change.status - CandidateStatus.DISQUALIFIED or CandidateStatus.ACTIVE
+ * @param {string} change.reason - Shown on the candidate record
+ * @param {string} change.changedBy - Admin user ID
+ */
+export async function setCandidateStanding(firestore, { candidateId, status, reason, changedBy }) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new ValidationError('A reason is required');
+  }
+
+  return firestore.runTransaction(async (transaction) => {
+    const { candidateRef, candidate, phase } = await readCandidateForStatusChange(firestore, transaction, candidateId);
+    const current = candidate.status || CandidateStatus.ACTIVE;
+
+    if (status === CandidateStatus.DISQUALIFIED && current !== CandidateStatus.ACTIVE) {
+      throw new ConflictError(`Cannot disqualify a candidate who is ${current}`);
+    }
+    if (status === CandidateStatus.ACTIVE && current !== CandidateStatus.DISQUALIFIED) {
+      throw new ConflictError('Only disqualified candidates can be reinstated');
+    }
+    if ([ElectionPhases.CERTIFIED, ElectionPhases.CANCELLED].includes(phase)) {
+      throw new AppError('This election is closed', 403, 'ELECTION_WINDOW_CLOSED');
+    }
+
+    queueStatusChange(transaction, candidateRef, candidate, { status, reason: reason.trim(), changedBy });
+  });
+}
+
+/**
+ * Re-check every active candidate in an election against fresh balances
+ *
+ * Balances are read on-chain from the candidate's wallet and written back
+ * to their user record. Candidates who no longer meet the requirements are
+ * disqualified. If a balance can't be fetched the candidate is left alone
+ * and the error is recorded, so an RPC outage never knocks anyone off.
+ *
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} election - Election with id
+ * @param {string} stage - 'pre_voting' or 'certification'
+ * @returns {Promise<{stage: string, checked: number, disqualified: Array<string>, errors: Array<string>}>}
+ */
+export async function reverifyCandidates(firestore, election, stage) {
+  const snapshot = await firestore.collection('candidates')
+    .where('electionId', '==', election.id)
+    .where('isActive', '==', true)
+    .get();
+
+  const result = { stage, checked: 0, disqualified: [], errors: [] };
+
+  for (const doc of snapshot.docs) {
+    const candidate = doc.data();
+    if ((candidate.status || CandidateStatus.ACTIVE) !== CandidateStatus.ACTIVE) continue;
+
+    result.checked++;
+    const userRef = firestore.collection('users').doc(candidate.userId || '_');
+    const userDoc = await userRef.get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+    let tokenBalance = userData.tokenBalance || 0;
+
+    if (userData.walletAddress) {
+      try {
+        ({ balance: tokenBalance } = await fetchTokenBalance(userData.walletAddress));
+        await userRef.update({
+          tokenBalance,
+          lastBalanceCheck: admin.firestore.FieldValue.serverTimestamp()
+        });
+      } catch (error) {
+        logger.warn('Candidate balance re-check failed', { candidateId: doc.id, error: error.message });
+        result.errors.push(doc.id);
+        await doc.ref.update({
+          lastVerification: { stage, eligible: null, error: error.message, checkedAt: new Date().toISOString() }
+        });
+        continue;
+      }
+    }
+
+    const { eligible, reasons } = userDoc.exists
+      ? checkCandidacyRequirements({ ...userData, tokenBalance })
+      : { eligible: false, reasons: ['User account no longer exists'] };
+
+    const batch = firestore.batch();
+    batch.update(doc.ref, {
+      lastVerification: {
+        stage,
+        eligible,
+        reasons,
+        tokenBalance,
+        twitterFollowers: userData.twitterFollowers || 0,
+        checkedAt: new Date().toISOString()
+      }
+    });
+
+    if (!eligible) {
+      queueStatusChange(batch, doc.ref, candidate, {
+        status: CandidateStatus.DISQUALIFIED,
+        reason: `Failed re-verification (${stage}): ${reasons.join('; ')}`,
+        changedBy: 'system'
+      });
+      result.disqualified.push(doc.id);
+    }
+
+    await batch.commit();
+  }
+
+  logger.info('Candidates re-verified', { electionId: election.id, ...result });
+
+  return result;
+}
+
+export default {
+  CandidateStatus,
+  CANDIDACY_REQUIREMENTS,
+  EDITABLE_FIELDS,
+  validateProfileUpdate,
+  validateNewCandidate,
+  pickProfile,
+  diffProfiles,
+  updateCandidateProfile,
+  listRevisions,
+  diffRevisions,
+  checkCandidacyRequirements,
+  withdrawCandidacy,
+  setCandidateStanding,
+  reverifyCandidates
+};
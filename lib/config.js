@@ -25,7 +25,14 @@ const OPTIONAL_ENV_VARS = {
   MAX_REQUEST_SIZE: '10mb',
   CORS_MAX_AGE: '3600',
   RATE_LIMIT_WINDOW_MS: '900000', // 15 minutes
-  RATE_LIMIT_MAX_REQUESTS: '100'
+  RATE_LIMIT_MAX_REQUESTS: '100',
+  RECALL_SIGNATURE_THRESHOLD: '100',
+  RECALL_PETITION_DAYS: '14',
+  RECALL_VOTE_DAYS: '3',
+  PROPOSAL_DEBATE_DAYS: '5',
+  PROPOSAL_VOTE_DAYS: '3',
+  PROPOSAL_QUORUM: '10',
+  AMENDMENT_SUPERMAJORITY: '2/3'
 };
 
 /**
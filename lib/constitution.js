@@ -0,0 +1,289 @@
+/**
+ * Nation constitution
+ * The constitution is a numbered list of articles. Every change produces a
+ * new immutable version in constitution_versions holding the full text, so
+ * any past version can be read back as it stood; constitution/head points
+ * at the current one.
+ *
+ * An admin adopts the first version once. After that articles only change
+ * through amendment proposals (see lib/proposals.js), which need the
+ * AMENDMENT_SUPERMAJORITY share of for/against votes to pass.
+ */
+
+import { admin } from './firebase-init.js';
+import config from './config.js';
+import { ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { toDate } from './elections.js';
+
+const MAX_ARTICLES = 200;
+const MAX_ARTICLE_TITLE_LENGTH = 200;
+const MAX_ARTICLE_TEXT_LENGTH = 20000;
+
+/**
+ * Document ID for a version number (zero-padded so IDs sort in order)
+ */
+function versionDocId(version) {
+  return String(version).padStart(6, '0');
+}
+
+/**
+ * Validate one article's title and text
+ * @returns {{title: string, text: string}} Trimmed fields
+ * @throws {ValidationError}
+ */
+export function validateArticle({ title, text } = {}) {
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    throw new ValidationError('Every article needs a title');
+  }
+  if (title.length > MAX_ARTICLE_TITLE_LENGTH) {
+    throw new ValidationError(`Article titles must be less than ${MAX_ARTICLE_TITLE_LENGTH} characters`);
+  }
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    throw new ValidationError('Every article needs text');
+  }
+  if (text.length > MAX_ARTICLE_TEXT_LENGTH) {
+    throw new ValidationError(`Article text must be less than ${MAX_ARTICLE_TEXT_LENGTH} characters`);
+  }
+  return { title: title.trim(), text: text.trim() };
+}
+
+/**
+ * Supermajority an amendment needs, parsed from AMENDMENT_SUPERMAJORITY
+ * Accepts a fraction ('2/3') or a decimal share ('0.75'); kept as a ratio so
+ * exactly two thirds isn't lost to rounding.
+ * @returns {{numerator: number, denominator: number}}
+ */
+export function amendmentThreshold() {
+  const raw = String(config.get('AMENDMENT_SUPERMAJORITY'));
+  const fraction = raw.match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+  const [numerator, denominator] = fraction
+    ? [Number(fraction[1]), Number(fraction[2])]
+    : [Math.round(Number(raw) * 10000), 10000];
+
+  if (!Number.isFinite(numerator) || !denominator || numerator <= 0 || numerator > denominator) {
+    throw new Error('AMENDMENT_SUPERMAJORITY must be a share between 0 and 1, e.g. 2/3');
+  }
+  return { numerator, denominator };
+}
+
+/**
+ * Whether for votes reach a supermajority of the for/against votes
+ * @param {{numerator: number, denominator: number}} threshold
+ */
+export function meetsSupermajority(threshold, forVotes, againstVotes) {
+  const decisive = forVotes + againstVotes;
+  return decisive > 0 && forVotes * threshold.denominator >= decisive * threshold.numerator;
+}
+
+/**
+ * Read the current constitution inside a transaction
+ * @returns {Promise<{headRef: admin.firestore.DocumentReference, version: number, articles: Array<Object>}|null>}
+ *   null if no constitution has been adopted
+ */
+export async function readCurrentConstitution(firestore, transaction) {
+  const headRef = firestore.collection('constitution').doc('head');
+  const headDoc = await transaction.get(headRef);
+  if (!headDoc.exists) {
+    return null;
+  }
+
+  const version = headDoc.data().currentVersion;
+  const versionDoc = await transaction.get(
+    firestore.collection('constitution_versions').doc(versionDocId(version))
+  );
+  return { headRef, version, articles: versionDoc.data().articles };
+}
+
+/**
+ * Whether an article's title or text changed between a past version and
+ * the current one, e.g. because another amendment to it passed
+ * Must be called before any writes in the transaction.
+ * @param {Object} current - Output of readCurrentConstitution
+ * @param {number} baseVersion - Version the change was drafted against
+ * @param {number} articleNumber
+ * @returns {Promise<boolean>}
+ */
+export async function articleChangedSince(firestore, transaction, current, baseVersion, articleNumber) {
+  if (current.version === baseVersion) {
+    return false;
+  }
+
+  const baseDoc = await transaction.get(
+    firestore.collection('constitution_versions').doc(versionDocId(baseVersion))
+  );
+  const before = baseDoc.exists ? baseDoc.data().articles.find(article => article.number === articleNumber) : null;
+  const after = current.articles.find(article => article.number === articleNumber);
+  return !before || !after || before.title !== after.title || before.text !== after.text;
+}
+
+/**
+ * Queue a new version and move the head to it
+ * @param {Object} current - Output of readCurrentConstitution, or null for the first version
+ * @param {Object} change
+ * @param {Array<Object>} change.articles - Full article list of the new version
+ * @param {string} change.changedBy - Admin adopting it, or 'system' for amendments
+ * @param {string} change.reason - 'adopted' or 'amended'
+ * @param {number|null} [change.articleNumber] - Article an amendment changed
+ * @param {string|null} [change.proposalId] - Amendment proposal that passed
+ * @returns {number} The new version number
+ */
+function queueVersion(firestore, transaction, current, change) {
+  const version = (current?.version || 0) + 1;
+
+  transaction.set(firestore.collection('constitution_versions').doc(versionDocId(version)), {
+    version,
+    articles: change.articles,
+    reason: change.reason,
+    articleNumber: change.articleNumber ?? null,
+    proposalId: change.proposalId ?? null,
+    changedBy: change.changedBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  transaction.set(firestore.collection('constitution').doc('head'), {
+    currentVersion: version,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  transaction.set(firestore.collection('audit_logs').doc(), {
+    type: change.reason === 'adopted' ? 'constitution_adopted' : 'constitution_amended',
+    version,
+    articleNumber: change.articleNumber ?? null,
+    proposalId: change.proposalId ?? null,
+    changedBy: change.changedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return version;
+}
+
+/**
+ * Adopt the first version of the constitution
+ * Articles are numbered in the order given.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} adoption
+ * @param {Array<{title: string, text: string}>} adoption.articles
+ * @param {string} adoption.adminId
+ * @returns {Promise<{version: number}>}
+ * @throws {ConflictError} If a constitution is already in force
+ */
+export async function adoptConstitution(firestore, { articles, adminId }) {
+  if (!Array.isArray(articles) || articles.length === 0) {
+    throw new ValidationError('The constitution needs at least one article');
+  }
+  if (articles.length > MAX_ARTICLES) {
+    throw new ValidationError(`The constitution can have at most ${MAX_ARTICLES} articles`);
+  }
+  const numbered = articles.map((article, index) => ({ number: index + 1, ...validateArticle(article) }));
+
+  return firestore.runTransaction(async (transaction) => {
+    const current = await readCurrentConstitution(firestore, transaction);
+    if (current) {
+      throw new ConflictError('A constitution is already in force - change it through amendments');
+    }
+
+    const version = queueVersion(firestore, transaction, null, {
+      articles: numbered,
+      changedBy: adminId,
+      reason: 'adopted'
+    });
+
+    return { version };
+  });
+}
+
+/**
+ * Queue an amendment replacing one article's text
+ * The current constitution must already have been read in the same
+ * transaction; the article keeps its number and, unless a new one is
+ * given, its title.
+ * @param {Object} current - Output of readCurrentConstitution
+ * @param {Object} amendment
+ * @param {number} amendment.articleNumber
+ * @param {string|null} [amendment.title] - New article title
+ * @param {string} amendment.text - New article text
+ * @param {string} amendment.proposalId
+ * @returns {number} The new version number
+ * @throws {NotFoundError}
+ */
+export function queueAmendment(firestore, transaction, current, { articleNumber, title, text, proposalId }) {
+  if (!current?.articles.some(article => article.number === articleNumber)) {
+    throw new NotFoundError(`Article ${articleNumber} not found`);
+  }
+
+  const articles = current.articles.map(article => (
+    article.number === articleNumber
+      ? { number: articleNumber, title: title || article.title, text }
+      : article
+  ));
+
+  return queueVersion(firestore, transaction, current, {
+    articles,
+    changedBy: 'system',
+    reason: 'amended',
+    articleNumber,
+    proposalId
+  });
+}
+
+/**
+ * Get one version of the constitution, or the current one
+ * @param {admin.firestore.Firestore} firestore
+ * @param {number} [version] - Omit for the version in force
+ * @returns {Promise<Object>} Serialized version
+ * @throws {NotFoundError}
+ */
+export async function getConstitution(firestore, version) {
+  if (version === undefined || version === null) {
+    const headDoc = await firestore.collection('constitution').doc('head').get();
+    if (!headDoc.exists) {
+      throw new NotFoundError('No constitution has been adopted yet');
+    }
+    version = headDoc.data().currentVersion;
+  }
+
+  const versionDoc = await firestore.collection('constitution_versions').doc(versionDocId(version)).get();
+  if (!versionDoc.exists) {
+    throw new NotFoundError(`Constitution version ${version} not found`);
+  }
+  return serializeConstitutionVersion(versionDoc.data());
+}
+
+/**
+ * List every version, oldest first, without article text
+ * @param {admin.firestore.Firestore} firestore
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listConstitutionVersions(firestore) {
+  const snapshot = await firestore.collection('constitution_versions').orderBy('version', 'asc').get();
+  return snapshot.docs.map(doc => {
+    const { articles, ...version } = serializeConstitutionVersion(doc.data());
+    return { ...version, articleCount: articles.length };
+  });
+}
+
+/**
+ * Convert a constitution_versions document into an API response object
+ */
+export function serializeConstitutionVersion(data) {
+  return {
+    version: data.version,
+    articles: data.articles || [],
+    reason: data.reason,
+    articleNumber: data.articleNumber ?? null,
+    proposalId: data.proposalId ?? null,
+    changedBy: data.changedBy,
+    createdAt: toDate(data.createdAt)?.toISOString() || null
+  };
+}
+
+export default {
+  validateArticle,
+  amendmentThreshold,
+  meetsSupermajority,
+  readCurrentConstitution,
+  articleChangedSince,
+  adoptConstitution,
+  queueAmendment,
+  getConstitution,
+  listConstitutionVersions,
+  serializeConstitutionVersion
+};
@@ -0,0 +1,337 @@
+/**
+ * Poll vote delegation (liquid democracy)
+ * A citizen can hand their poll vote to another citizen, either for every
+ * poll or only for polls on one topic; a topic delegation takes precedence
+ * over a global one. Delegations are stored under a deterministic key per
+ * (delegator, topic) so each user has at most one delegate per scope.
+ *
+ * Chains are only resolved when a poll closes, so a delegator who votes
+ * directly before then always overrides their delegate, and anyone who
+ * delegates to them follows their direct vote.
+ */
+
+import { admin } from './firebase-init.js';
+import { AuthorizationError, NotFoundError, ValidationError } from './errors.js';
+import { civicBadge } from './government.js';
+import { toDate } from './elections.js';
+import { getSnapshotWeight } from './weights.js';
+import { ballotSelections, countedSelections } from './poll-types.js';
+import { checkPollEligibility } from './poll-eligibility.js';
+
+/**
+ * Topics a poll can be filed under (one per ministry, plus general business)
+ */
+export const POLL_TOPICS = [
+  'general',
+  'finance',
+  'creativity',
+  'raid_corps',
+  'development',
+  'citizens',
+  'justice'
+];
+
+/**
+ * Scope of a delegation that applies to every topic
+ */
+export const GLOBAL_TOPIC = 'global';
+
+const BATCH_SIZE = 400;
+
+/**
+ * Validate a poll topic, defaulting to 'general'
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validatePollTopic(topic) {
+  const value = topic || 'general';
+  if (!POLL_TOPICS.includes(value)) {
+    return { valid: false, error: `Topic must be one of: ${POLL_TOPICS.join(', ')}` };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Document ID of a user's delegation for a scope
+ */
+export function delegationId(delegatorId, topic = GLOBAL_TOPIC) {
+  return `${delegatorId}_${topic}`;
+}
+
+/**
+ * Load the delegation graph that applies to polls on a topic
+ * @returns {Promise<Map<string, string>>} Delegator ID to delegate ID
+ */
+async function loadDelegationGraph(firestore, topic) {
+  const snapshot = await firestore.collection('delegations')
+    .where('topic', 'in', topic === GLOBAL_TOPIC ? [GLOBAL_TOPIC] : [GLOBAL_TOPIC, topic])
+    .get();
+
+  const graph = new Map();
+  snapshot.docs.forEach(doc => {
+    const { delegatorId, delegateId, topic: scope } = doc.data();
+    // Topic delegations override global ones
+    if (scope !== GLOBAL_TOPIC || !graph.has(delegatorId)) {
+      graph.set(delegatorId, delegateId);
+    }
+  });
+
+  return graph;
+}
+
+/**
+ * Follow a delegation chain until it reaches someone who voted
+ * @param {Map<string, string>} graph - Delegator ID to delegate ID
+ * @param {Set<string>} directVoters - Users who voted themselves
+ * @param {string} delegatorId - Where the chain starts
+ * @returns {{delegateId: string|null, path: Array<string>, cycle: boolean}}
+ *   delegateId is the voter the chain ends at, or null if nobody on it voted
+ */
+export function resolveChain(graph, directVoters, delegatorId) {
+  const path = [delegatorId];
+  const visited = new Set(path);
+  let current = graph.get(delegatorId);
+
+  while (current) {
+    if (directVoters.has(current)) {
+      return { delegateId: current, path: [...path, current], cycle: false };
+    }
+    if (visited.has(current)) {
+      return { delegateId: null, path: [...path, current], cycle: true };
+    }
+    visited.add(current);
+    path.push(current);
+    current = graph.get(current);
+  }
+
+  return { delegateId: null, path, cycle: false };
+}
+
+/**
+ * Delegate poll votes to another citizen
+ * Replaces any existing delegation for the same scope.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} delegation
+ * @param {string} delegation.delegatorId
+ * @param {string} delegation.delegateId
+ * @param {string} [delegation.topic] - A poll topic, or 'global' (default) for every poll
+ */
+export async function setDelegation(firestore, { delegatorId, delegateId, topic = GLOBAL_TOPIC }) {
+  if (topic !== GLOBAL_TOPIC && !POLL_TOPICS.includes(topic)) {
+    throw new ValidationError(`Topic must be '${GLOBAL_TOPIC}' or one of: ${POLL_TOPICS.join(', ')}`);
+  }
+  if (delegatorId === delegateId) {
+    throw new ValidationError('You cannot delegate to yourself');
+  }
+
+  // Reject delegations that would close a loop under the current graph;
+  // chains are checked again when each poll closes
+  const graph = await loadDelegationGraph(firestore, topic);
+  graph.set(delegatorId, delegateId);
+  if (resolveChain(graph, new Set(), delegatorId).cycle) {
+    throw new ValidationError('This delegation would create a cycle');
+  }
+
+  const usersRef = firestore.collection('users');
+  const citizensRef = firestore.collection('citizens');
+
+  return firestore.runTransaction(async (transaction) => {
+    const [delegatorDoc, delegatorCitizenDoc, delegateDoc, delegateCitizenDoc] = await transaction.getAll(
+      usersRef.doc(delegatorId),
+      citizensRef.doc(delegatorId),
+      usersRef.doc(delegateId),
+      citizensRef.doc(delegateId)
+    );
+
+    if (!delegatorDoc.exists || !delegateDoc.exists) {
+      throw new NotFoundError('User not found');
+    }
+    if (!civicBadge(delegatorDoc.data(), delegatorCitizenDoc)) {
+      throw new AuthorizationError('Only registered citizens and government members can delegate their vote');
+    }
+    if (!civicBadge(delegateDoc.data(), delegateCitizenDoc)) {
+      throw new ValidationError('Votes can only be delegated to registered citizens and government members');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.set(firestore.collection('delegations').doc(delegationId(delegatorId, topic)), {
+      delegatorId,
+      delegateId,
+      delegateUsername: delegateDoc.data().username || 'Anonymous',
+      topic,
+      createdAt: now
+    });
+
+    transaction.set(firestore.collection('audit_logs').doc(), {
+      type: 'vote_delegated',
+      delegatorId,
+      delegateId,
+      topic,
+      timestamp: now
+    });
+  });
+}
+
+/**
+ * Take back a delegation
+ * @throws {NotFoundError} If there is no delegation for that scope
+ */
+export async function revokeDelegation(firestore, { delegatorId, topic = GLOBAL_TOPIC }) {
+  const delegationRef = firestore.collection('delegations').doc(delegationId(delegatorId, topic));
+
+  return firestore.runTransaction(async (transaction) => {
+    const delegationDoc = await transaction.get(delegationRef);
+    if (!delegationDoc.exists) {
+      throw new NotFoundError('No delegation found for this topic');
+    }
+
+    transaction.delete(delegationRef);
+    transaction.set(firestore.collection('audit_logs').doc(), {
+      type: 'vote_delegation_revoked',
+      delegatorId,
+      delegateId: delegationDoc.data().delegateId,
+      topic,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * A user's own delegations and how many delegate to them
+ * @returns {Promise<{delegations: Array<Object>, delegatorCount: number}>}
+ */
+export async function listDelegations(firestore, userId) {
+  const delegationsRef = firestore.collection('delegations');
+  const [ownSnapshot, receivedSnapshot] = await Promise.all([
+    delegationsRef.where('delegatorId', '==', userId).get(),
+    delegationsRef.where('delegateId', '==', userId).get()
+  ]);
+
+  return {
+    delegations: ownSnapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        topic: data.topic,
+        delegateId: data.delegateId,
+        delegateUsername: data.delegateUsername,
+        createdAt: toDate(data.createdAt)?.toISOString() || null
+      };
+    }),
+    delegatorCount: new Set(receivedSnapshot.docs.map(doc => doc.data().delegatorId)).size
+  };
+}
+
+/**
+ * Resolve delegated votes for a closed poll and record them
+ *
+ * Every delegator who didn't vote directly has their chain followed to the
+ * first citizen who did, and they are counted as casting that citizen's
+ * ballot with their own weight. Chains that loop or end without a voter are
+ * not counted, and neither are delegators who fail the poll's eligibility
+ * criteria. The resolved ballots are written to
+ * government_polls/{id}/delegated_ballots and the per-option delegated
+ * totals onto the poll.
+ *
+ * Anonymous polls take no delegated votes: their ballots can't be tied back
+ * to the delegate who cast them, so there is no choice for a chain to follow.
+ *
+ * @param {admin.firestore.Firestore} firestore
+ * @param {admin.firestore.DocumentReference} pollRef
+ * @param {Object} pollData - Poll document data
+ * @returns {Promise<{delegatedVotes: number, delegatedWeightedVotes: number, cycles: Array<string>, unresolved: number, ineligible: number}>}
+ */
+export async function resolvePollDelegations(firestore, pollRef, pollData) {
+  const [graph, ballotsSnapshot, legacySnapshot] = pollData.anonymous
+    ? [new Map(), { docs: [] }, { docs: [] }]
+    : await Promise.all([
+      loadDelegationGraph(firestore, pollData.topic || 'general'),
+      pollRef.collection('ballots').where('withdrawn', '==', false).get(),
+      pollRef.collection('ballots').where('legacy', '==', true).get()
+    ]);
+
+  const choices = new Map(ballotsSnapshot.docs.map(doc => [doc.id, ballotSelections(doc.data())]));
+  const directVoters = new Set([
+    ...(pollData.voters || []),
+    ...choices.keys(),
+    ...legacySnapshot.docs.map(doc => doc.id)
+  ]);
+
+  const options = pollData.options.map(option => ({
+    ...option,
+    delegatedVotes: 0,
+    delegatedWeightedVotes: 0
+  }));
+  const resolved = [];
+  const cycles = [];
+  let unresolved = 0;
+  let ineligible = 0;
+
+  for (const delegatorId of graph.keys()) {
+    if (directVoters.has(delegatorId)) continue;
+
+    const { delegateId, path, cycle } = resolveChain(graph, directVoters, delegatorId);
+    // Legacy voters have no known choice to follow
+    if (!delegateId || !choices.has(delegateId)) {
+      if (cycle) cycles.push(delegatorId);
+      unresolved++;
+      continue;
+    }
+
+    const { weight, tokenBalance } = await getSnapshotWeight(pollRef, delegatorId, pollData.weighting);
+    const [userDoc, citizenDoc] = await firestore.getAll(
+      firestore.collection('users').doc(delegatorId),
+      firestore.collection('citizens').doc(delegatorId)
+    );
+    if (!checkPollEligibility(pollData, userDoc, citizenDoc, { tokenBalance }).eligible) {
+      ineligible++;
+      continue;
+    }
+
+    // The delegator's ballot copies the delegate's full selection
+    const optionIndexes = choices.get(delegateId);
+    for (const index of countedSelections(pollData, optionIndexes)) {
+      options[index].delegatedVotes += 1;
+      options[index].delegatedWeightedVotes += weight;
+    }
+    resolved.push({ delegatorId, delegateId, path, optionIndex: optionIndexes[0], optionIndexes, weight });
+  }
+
+  const ballotsRef = pollRef.collection('delegated_ballots');
+  for (let i = 0; i < resolved.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    resolved.slice(i, i + BATCH_SIZE).forEach(({ delegatorId, ...ballot }) => {
+      batch.set(ballotsRef.doc(delegatorId), ballot);
+    });
+    await batch.commit();
+  }
+
+  const delegatedWeightedVotes = resolved.reduce((sum, ballot) => sum + ballot.weight, 0);
+  await pollRef.update({
+    options,
+    totalDelegatedVotes: resolved.length,
+    totalDelegatedWeightedVotes: delegatedWeightedVotes,
+    delegationCycles: cycles,
+    delegationUnresolved: unresolved,
+    delegationIneligible: ineligible,
+    delegationResolvedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return {
+    delegatedVotes: resolved.length,
+    delegatedWeightedVotes,
+    cycles,
+    unresolved,
+    ineligible
+  };
+}
+
+export default {
+  POLL_TOPICS,
+  GLOBAL_TOPIC,
+  validatePollTopic,
+  delegationId,
+  resolveChain,
+  setDelegation,
+  revokeDelegation,
+  listDelegations,
+  resolvePollDelegations
+};
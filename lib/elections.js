@@ -0,0 +1,392 @@
+/**
+ * Election scheduling helpers
+ * Shared by the elections, candidates and vote endpoints so every
+ * nomination and ballot is checked against the same windows
+ */
+
+import { admin } from './firebase-init.js';
+import { AppError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { validateElectionType } from './validation.js';
+import { BallotModes } from './tally.js';
+import { validateWeighting } from './weights.js';
+import { DEFAULT_TERM_MONTHS } from './government.js';
+
+/**
+ * Offices that can be contested in an election
+ */
+export const ELECTION_POSITIONS = [
+  'president', 'prime_minister', 'secretary',
+  'minister_finance', 'minister_creativity', 'minister_raid_corps',
+  'minister_development', 'minister_citizens', 'minister_justice'
+];
+
+/**
+ * Stored election status (set explicitly by admins)
+ */
+export const ElectionStatus = {
+  SCHEDULED: 'scheduled',
+  CERTIFYING: 'certifying', // A certify request is counting and seating the winners
+  CERTIFIED: 'certified',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Election phases (derived from the schedule and status)
+ */
+export const ElectionPhases = {
+  UPCOMING: 'upcoming',
+  NOMINATION: 'nomination',
+  CAMPAIGN: 'campaign',
+  VOTING: 'voting',
+  COUNTING: 'counting',
+  CERTIFICATION: 'certification',
+  EXPIRED: 'expired',
+  CERTIFIED: 'certified',
+  CANCELLED: 'cancelled'
+};
+
+// A certification claim older than this is from a request that has died
+// (longer than any request can run) and may be retaken
+const CERTIFY_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Schedule fields in chronological order
+ */
+export const SCHEDULE_FIELDS = [
+  'nominationOpensAt',
+  'nominationClosesAt',
+  'votingOpensAt',
+  'votingClosesAt',
+  'certificationOpensAt',
+  'certificationClosesAt'
+];
+
+/**
+ * Error messages used when a request arrives outside its window
+ */
+const PHASE_CLOSED_MESSAGES = {
+  [ElectionPhases.NOMINATION]: 'Nominations are not open for this election',
+  [ElectionPhases.VOTING]: 'Voting is not open for this election',
+  [ElectionPhases.CERTIFICATION]: 'This election is not open for certification'
+};
+
+/**
+ * Convert a Firestore Timestamp, Date, ISO string or epoch value to a Date
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out which phase an election is in
+ * @param {Object} election - Election document data
+ * @param {Date} now - Reference time
+ * @returns {string} One of ElectionPhases
+ */
+export function getElectionPhase(election, now = new Date()) {
+  if (election.status === ElectionStatus.CANCELLED) return ElectionPhases.CANCELLED;
+  if (election.status === ElectionStatus.CERTIFIED) return ElectionPhases.CERTIFIED;
+
+  const [nominationOpensAt, nominationClosesAt, votingOpensAt, votingClosesAt,
+    certificationOpensAt, certificationClosesAt] = SCHEDULE_FIELDS.map(field => toDate(election[field]));
+
+  if (now < nominationOpensAt) return ElectionPhases.UPCOMING;
+  if (now < nominationClosesAt) return ElectionPhases.NOMINATION;
+  if (now < votingOpensAt) return ElectionPhases.CAMPAIGN;
+  if (now < votingClosesAt) return ElectionPhases.VOTING;
+  if (now < certificationOpensAt) return ElectionPhases.COUNTING;
+  if (now < certificationClosesAt) return ElectionPhases.CERTIFICATION;
+  return ElectionPhases.EXPIRED;
+}
+
+/**
+ * Validate the body of an election create request
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function validateElectionInput(input = {}) {
+  const {
+    title, description, electionType, positions, ballotMode, weighting, termMonths, minEndorsements,
+    partyId, generalElectionId
+  } = input;
+
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return { valid: false, error: 'Election title is required' };
+  }
+
+  const typeValidation = validateElectionType(electionType || 'general');
+  if (!typeValidation.valid) {
+    return typeValidation;
+  }
+
+  // Primaries pick one party's nominees for a particular general election
+  const isPrimary = typeValidation.value === 'primary';
+  if (isPrimary && (!partyId || typeof partyId !== 'string' || !generalElectionId || typeof generalElectionId !== 'string')) {
+    return { valid: false, error: 'Primaries require a partyId and the generalElectionId they nominate for' };
+  }
+
+  const mode = ballotMode || BallotModes.PLURALITY;
+  if (!Object.values(BallotModes).includes(mode)) {
+    return { valid: false, error: 'Invalid ballot mode' };
+  }
+
+  const weightingValidation = validateWeighting(weighting);
+  if (!weightingValidation.valid) {
+    return weightingValidation;
+  }
+
+  const electionPositions = positions || ELECTION_POSITIONS;
+  if (!Array.isArray(electionPositions) || electionPositions.length === 0) {
+    return { valid: false, error: 'At least one position is required' };
+  }
+
+  const invalidPositions = electionPositions.filter(position => !ELECTION_POSITIONS.includes(position));
+  if (invalidPositions.length > 0) {
+    return { valid: false, error: `Invalid positions: ${invalidPositions.join(', ')}` };
+  }
+
+  const term = termMonths === undefined ? DEFAULT_TERM_MONTHS : Number(termMonths);
+  if (!Number.isInteger(term) || term < 1 || term > 48) {
+    return { valid: false, error: 'termMonths must be a whole number of months between 1 and 48' };
+  }
+
+  const endorsementThreshold = minEndorsements === undefined ? 0 : Number(minEndorsements);
+  if (!Number.isInteger(endorsementThreshold) || endorsementThreshold < 0) {
+    return { valid: false, error: 'minEndorsements must be a whole number of zero or more' };
+  }
+
+  const schedule = {};
+  for (const field of SCHEDULE_FIELDS) {
+    const date = toDate(input[field]);
+    if (!date) {
+      return { valid: false, error: `${field} must be a valid date` };
+    }
+    schedule[field] = date;
+  }
+
+  // Windows must be non-empty and must not overlap
+  for (let i = 1; i < SCHEDULE_FIELDS.length; i++) {
+    const previous = schedule[SCHEDULE_FIELDS[i - 1]];
+    const current = schedule[SCHEDULE_FIELDS[i]];
+    const isWindowStart = i % 2 === 0;
+
+    if (isWindowStart ? current < previous : current <= previous) {
+      return {
+        valid: false,
+        error: `${SCHEDULE_FIELDS[i]} must be after ${SCHEDULE_FIELDS[i - 1]}`
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    value: {
+      title: title.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      electionType: typeValidation.value,
+      ballotMode: mode,
+      weighting: weightingValidation.value,
+      positions: [...new Set(electionPositions)],
+      termMonths: term,
+      minEndorsements: endorsementThreshold,
+      partyId: isPrimary ? partyId : null,
+      generalElectionId: isPrimary ? generalElectionId : null,
+      ...schedule
+    }
+  };
+}
+
+/**
+ * Build the Firestore document for a new election
+ */
+export function buildElectionDocument(value, createdBy) {
+  const doc = {
+    title: value.title,
+    description: value.description,
+    electionType: value.electionType,
+    ballotMode: value.ballotMode,
+    weighting: value.weighting,
+    positions: value.positions,
+    termMonths: value.termMonths,
+    minEndorsements: value.minEndorsements,
+    partyId: value.partyId,
+    generalElectionId: value.generalElectionId,
+    status: ElectionStatus.SCHEDULED,
+    createdBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  for (const field of SCHEDULE_FIELDS) {
+    doc[field] = admin.firestore.Timestamp.fromDate(value[field]);
+  }
+
+  return doc;
+}
+
+/**
+ * Serialize an election document for API responses
+ */
+export function serializeElection(id, data, now = new Date()) {
+  const election = {
+    id,
+    ...data,
+    phase: getElectionPhase(data, now),
+    createdAt: toDate(data.createdAt)?.toISOString() || null,
+    updatedAt: toDate(data.updatedAt)?.toISOString() || null,
+    certifiedAt: toDate(data.certifiedAt)?.toISOString() || null,
+    certifyingAt: toDate(data.certifyingAt)?.toISOString() || null,
+    cancelledAt: toDate(data.cancelledAt)?.toISOString() || null
+  };
+
+  for (const field of SCHEDULE_FIELDS) {
+    election[field] = toDate(data[field])?.toISOString() || null;
+  }
+
+  return election;
+}
+
+/**
+ * Fetch a single election
+ * @throws {NotFoundError} If the election does not exist
+ */
+export async function getElection(firestore, electionId) {
+  const electionDoc = await firestore.collection('elections').doc(electionId).get();
+
+  if (!electionDoc.exists) {
+    throw new NotFoundError('Election not found');
+  }
+
+  return { id: electionDoc.id, ...electionDoc.data() };
+}
+
+/**
+ * Find the current election of a given type
+ * When a phase is given only elections in that phase are considered,
+ * otherwise the most recent non-cancelled election is returned
+ * @returns {Promise<Object|null>}
+ */
+export async function findCurrentElection(firestore, electionType = 'general', phase = null) {
+  const snapshot = await firestore.collection('elections')
+    .where('electionType', '==', electionType)
+    .get();
+
+  const now = new Date();
+  const elections = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(election => {
+      const electionPhase = getElectionPhase(election, now);
+      return phase ? electionPhase === phase : electionPhase !== ElectionPhases.CANCELLED;
+    })
+    .sort((a, b) => toDate(b.votingOpensAt) - toDate(a.votingOpensAt));
+
+  return elections[0] || null;
+}
+
+/**
+ * Resolve the election a request refers to, either by explicit ID or as
+ * the current election of the given type in the required phase
+ * @throws {NotFoundError|AppError}
+ */
+export async function resolveElection(firestore, { electionId, electionType, phase }) {
+  if (electionId) {
+    const election = await getElection(firestore, electionId);
+    assertElectionPhase(election, phase);
+    return election;
+  }
+
+  const typeValidation = validateElectionType(electionType || 'general');
+  if (!typeValidation.valid) {
+    throw new ValidationError(typeValidation.error);
+  }
+
+  const election = await findCurrentElection(firestore, typeValidation.value, phase);
+  if (!election && !phase) {
+    throw new NotFoundError('No current election');
+  }
+
+  if (!election) {
+    throw new AppError(
+      PHASE_CLOSED_MESSAGES[phase] || `No election is in the ${phase} phase`,
+      403,
+      'ELECTION_WINDOW_CLOSED'
+    );
+  }
+
+  return election;
+}
+
+/**
+ * Ensure an election is in the required phase
+ * @throws {AppError} 403 when the window is closed
+ */
+export function assertElectionPhase(election, phase, now = new Date()) {
+  if (!phase) return;
+
+  if (getElectionPhase(election, now) !== phase) {
+    throw new AppError(
+      PHASE_CLOSED_MESSAGES[phase] || `Election is not in the ${phase} phase`,
+      403,
+      'ELECTION_WINDOW_CLOSED'
+    );
+  }
+}
+
+/**
+ * Move an election in its certification window to certifying
+ * The transition happens in a transaction, so when two certify requests
+ * race only the one that made it goes on to count and seat the winners.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} electionId
+ * @returns {Promise<Object>} The election as it was before the claim
+ * @throws {NotFoundError}
+ * @throws {AppError} 403 outside the certification window
+ * @throws {ConflictError} While another request is certifying it
+ */
+export async function claimCertification(firestore, electionId) {
+  const electionRef = firestore.collection('elections').doc(electionId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const electionDoc = await transaction.get(electionRef);
+    if (!electionDoc.exists) {
+      throw new NotFoundError('Election not found');
+    }
+
+    const election = { id: electionDoc.id, ...electionDoc.data() };
+    if (election.status === ElectionStatus.CERTIFYING &&
+        Date.now() - (toDate(election.certifyingAt)?.getTime() || 0) < CERTIFY_LEASE_MS) {
+      throw new ConflictError('This election is already being certified');
+    }
+    assertElectionPhase(election, ElectionPhases.CERTIFICATION);
+
+    transaction.update(electionRef, {
+      status: ElectionStatus.CERTIFYING,
+      certifyingAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return election;
+  });
+}
+
+export default {
+  ELECTION_POSITIONS,
+  ElectionStatus,
+  ElectionPhases,
+  SCHEDULE_FIELDS,
+  toDate,
+  getElectionPhase,
+  validateElectionInput,
+  buildElectionDocument,
+  serializeElection,
+  getElection,
+  findCurrentElection,
+  resolveElection,
+  assertElectionPhase,
+  claimCertification
+};
@@ -0,0 +1,168 @@
+/**
+ * Candidate endorsements
+ * Registered citizens and sitting government members can endorse one
+ * candidate per position in each election. Endorsements live in
+ * candidate_endorsements under a deterministic ID, so the one-per-position
+ * rule is enforced by the document key rather than a query.
+ */
+
+import { admin } from './firebase-init.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError } from './errors.js';
+import { ElectionPhases, getElectionPhase } from './elections.js';
+import { civicBadge } from './government.js';
+
+/**
+ * Phases in which endorsements can be given or taken back
+ * (they decide ballot qualification, so they freeze once voting opens)
+ */
+const ENDORSEMENT_PHASES = [ElectionPhases.NOMINATION, ElectionPhases.CAMPAIGN];
+
+/**
+ * Document ID of a user's endorsement for a position in an election
+ */
+export function endorsementId(electionId, position, userId) {
+  return `${electionId}_${position}_${userId}`;
+}
+
+/**
+ * Read the candidate and election for an endorsement inside a transaction
+ * @throws {NotFoundError|AppError}
+ */
+async function readEndorsableCandidate(firestore, transaction, candidateId) {
+  const candidateRef = firestore.collection('candidates').doc(candidateId);
+  const candidateDoc = await transaction.get(candidateRef);
+
+  if (!candidateDoc.exists || candidateDoc.data().isActive === false) {
+    throw new NotFoundError('Candidate not found');
+  }
+
+  const candidate = candidateDoc.data();
+  if (!candidate.electionId) {
+    throw new AppError('This candidate is not standing in a scheduled election', 400, 'NO_ELECTION');
+  }
+
+  const electionDoc = await transaction.get(firestore.collection('elections').doc(candidate.electionId));
+  if (!electionDoc.exists || !ENDORSEMENT_PHASES.includes(getElectionPhase(electionDoc.data()))) {
+    throw new AppError('Endorsements are closed for this election', 403, 'ELECTION_WINDOW_CLOSED');
+  }
+
+  return { candidateRef, candidate };
+}
+
+/**
+ * Endorse a candidate
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} endorsement
+ * @param {string} endorsement.candidateId - Candidate document ID
+ * @param {string} endorsement.userId - Endorsing user
+ * @returns {Promise<{endorsementId: string, badge: string}>}
+ */
+export async function endorseCandidate(firestore, { candidateId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { candidateRef, candidate } = await readEndorsableCandidate(firestore, transaction, candidateId);
+
+    if (candidate.userId === userId) {
+      throw new AuthorizationError('Candidates cannot endorse themselves');
+    }
+
+    const id = endorsementId(candidate.electionId, candidate.position, userId);
+    const endorsementRef = firestore.collection('candidate_endorsements').doc(id);
+    const [userDoc, citizenDoc, existingDoc] = await transaction.getAll(
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId),
+      endorsementRef
+    );
+
+    if (!userDoc.exists) {
+      throw new NotFoundError('User not found');
+    }
+
+    const badge = civicBadge(userDoc.data(), citizenDoc);
+    if (!badge) {
+      throw new AuthorizationError('Only registered citizens and government members can endorse candidates');
+    }
+
+    if (existingDoc.exists) {
+      throw new ConflictError(existingDoc.data().candidateId === candidateId
+        ? 'You have already endorsed this candidate'
+        : 'You have already endorsed a candidate for this position');
+    }
+
+    transaction.set(endorsementRef, {
+      candidateId,
+      electionId: candidate.electionId,
+      position: candidate.position,
+      userId,
+      username: userDoc.data().username || 'Anonymous',
+      profilePicture: userDoc.data().profilePicture || null,
+      badge,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(candidateRef, {
+      endorsements: admin.firestore.FieldValue.arrayUnion(userId),
+      endorsementCount: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { endorsementId: id, badge };
+  });
+}
+
+/**
+ * Withdraw an endorsement
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} endorsement
+ * @param {string} endorsement.candidateId - Candidate document ID
+ * @param {string} endorsement.userId - Endorsing user
+ */
+export async function withdrawEndorsement(firestore, { candidateId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { candidateRef, candidate } = await readEndorsableCandidate(firestore, transaction, candidateId);
+
+    const endorsementRef = firestore.collection('candidate_endorsements')
+      .doc(endorsementId(candidate.electionId, candidate.position, userId));
+    const endorsementDoc = await transaction.get(endorsementRef);
+
+    if (!endorsementDoc.exists || endorsementDoc.data().candidateId !== candidateId) {
+      throw new NotFoundError('You have not endorsed this candidate');
+    }
+
+    transaction.delete(endorsementRef);
+    transaction.update(candidateRef, {
+      endorsements: admin.firestore.FieldValue.arrayRemove(userId),
+      endorsementCount: admin.firestore.FieldValue.increment(-1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * List a candidate's endorsers, government members first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listEndorsements(firestore, candidateId) {
+  const snapshot = await firestore.collection('candidate_endorsements')
+    .where('candidateId', '==', candidateId)
+    .get();
+
+  return snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        userId: data.userId,
+        username: data.username,
+        profilePicture: data.profilePicture,
+        badge: data.badge,
+        endorsedAt: data.createdAt?.toDate?.()?.toISOString() || null
+      };
+    })
+    .sort((a, b) => Number(a.badge === 'citizen') - Number(b.badge === 'citizen'));
+}
+
+export default {
+  endorsementId,
+  endorseCandidate,
+  withdrawEndorsement,
+  listEndorsements
+};
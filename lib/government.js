@@ -0,0 +1,318 @@
+/**
+ * Government roster
+ * Seats certified election winners into users.governmentRole and demotes
+ * the holders they replace, keeping a role history for every change
+ */
+
+import { admin } from './firebase-init.js';
+import logger from './logger.js';
+
+/**
+ * governmentRole held by the winner of each election position
+ */
+export const POSITION_GOVERNMENT_ROLES = {
+  president: 'president',
+  prime_minister: 'primeMinister',
+  secretary: 'secretary',
+  minister_finance: 'financeMinister',
+  minister_creativity: 'creativityMinister',
+  minister_raid_corps: 'raidMinister',
+  minister_development: 'developmentMinister',
+  minister_citizens: 'citizensMinister',
+  minister_justice: 'justiceMinister'
+};
+
+/**
+ * Government roles, their permissions and the users.governmentRole that holds each
+ * Served by members.js?action=get-government-roles; permission checks read it too
+ */
+export const GOVERNMENT_ROLES = [
+  {
+    id: 'president',
+    governmentRole: 'president',
+    name: 'President',
+    description: 'Head of state and government, highest authority in TURDS Nation',
+    level: 10,
+    permissions: ['all'],
+    color: '#DC2626'
+  },
+  {
+    id: 'prime-minister',
+    governmentRole: 'primeMinister',
+    name: 'Prime Minister',
+    description: 'Second in command, assists the President in governance',
+    level: 9,
+    permissions: ['manage_ministers', 'approve_policies', 'emergency_powers'],
+    color: '#7C3AED'
+  },
+  {
+    id: 'secretary',
+    governmentRole: 'secretary',
+    name: 'Secretary',
+    description: 'Handles official communications and documentation',
+    level: 8,
+    permissions: ['manage_documents', 'official_communications', 'record_keeping'],
+    color: '#059669'
+  },
+  {
+    id: 'minister-marketing-finance',
+    governmentRole: 'financeMinister',
+    name: 'Minister of Marketing and Finance',
+    description: 'Manages financial resources and marketing strategies',
+    level: 7,
+    permissions: ['budget_management', 'marketing_campaigns', 'financial_oversight'],
+    color: '#D97706'
+  },
+  {
+    id: 'minister-creativity',
+    governmentRole: 'creativityMinister',
+    name: 'Minister of Creativity',
+    description: 'Oversees creative projects and cultural initiatives',
+    level: 6,
+    permissions: ['creative_projects', 'cultural_events', 'content_approval'],
+    color: '#DB2777'
+  },
+  {
+    id: 'minister-raid-corps',
+    governmentRole: 'raidMinister',
+    name: 'Minister of Raid Corps',
+    description: 'Commands military operations and defense strategies',
+    level: 7,
+    permissions: ['military_operations', 'defense_planning', 'security_oversight'],
+    color: '#DC2626'
+  },
+  {
+    id: 'minister-development',
+    governmentRole: 'developmentMinister',
+    name: 'Minister of Development',
+    description: 'Manages infrastructure and technological advancement',
+    level: 6,
+    permissions: ['infrastructure_projects', 'tech_development', 'urban_planning'],
+    color: '#2563EB'
+  },
+  {
+    id: 'minister-citizens',
+    governmentRole: 'citizensMinister',
+    name: 'Minister of Citizens',
+    description: 'Represents citizen interests and handles public services',
+    level: 5,
+    permissions: ['citizen_services', 'public_welfare', 'community_outreach'],
+    color: '#16A34A'
+  },
+  {
+    id: 'minister-justice',
+    governmentRole: 'justiceMinister',
+    name: 'Minister of Justice',
+    description: 'Oversees legal matters and judicial processes',
+    level: 8,
+    permissions: ['legal_oversight', 'judicial_appointments', 'law_enforcement'],
+    color: '#7C2D12'
+  }
+];
+
+/**
+ * Whether a user's sitting government role carries a permission
+ * The 'all' permission grants every other.
+ * @param {Object} userData - users document data
+ * @param {string} permission - e.g. 'approve_policies'
+ * @returns {boolean}
+ */
+export function hasGovernmentPermission(userData, permission) {
+  if (userData.role !== 'government' && userData.role !== 'admin') return false;
+
+  const role = GOVERNMENT_ROLES.find(r => r.governmentRole === userData.governmentRole);
+  return Boolean(role && (role.permissions.includes('all') || role.permissions.includes(permission)));
+}
+
+/**
+ * Term length used when an election doesn't set one
+ */
+export const DEFAULT_TERM_MONTHS = 6;
+
+/**
+ * Term end date for a term starting at the given date
+ */
+export function computeTermEnd(termStartsAt, termMonths = DEFAULT_TERM_MONTHS) {
+  const termEndsAt = new Date(termStartsAt);
+  termEndsAt.setMonth(termEndsAt.getMonth() + termMonths);
+  return termEndsAt;
+}
+
+/**
+ * Badge a user carries in citizen-facing features (endorsements, petitions,
+ * candidate Q&A), or null if they are neither a citizen nor in government
+ * Sitting government members show their role; registered citizens show 'citizen'
+ * @param {Object} userData - users document data
+ * @param {admin.firestore.DocumentSnapshot} citizenDoc - citizens/{uid} snapshot
+ * @returns {string|null}
+ */
+export function civicBadge(userData, citizenDoc) {
+  if (userData.role === 'government' && userData.governmentRole) {
+    return userData.governmentRole;
+  }
+  if (citizenDoc.exists && citizenDoc.data().isActive !== false) {
+    return 'citizen';
+  }
+  return null;
+}
+
+/**
+ * Account role to store alongside a governmentRole
+ * Admins keep their admin role; everyone else becomes government or citizen
+ */
+function accountRole(userData, governmentRole) {
+  if (userData.role === 'admin') return 'admin';
+  return governmentRole ? 'government' : 'citizen';
+}
+
+/**
+ * Queue a role change, its history entry and audit log on a batch or transaction
+ * @param {Object} change
+ * @param {string|null} change.governmentRole - New role, or null to return to citizen
+ * @param {string} change.reason - e.g. 'elected', 'replaced_by_election', 'recalled'
+ * @param {string} change.changedBy - Admin or 'system'
+ * @param {string} [change.electionId] - Election that caused the change
+ * @param {string} [change.petitionId] - Recall petition that caused the change
+ */
+export function queueRoleChange(firestore, batch, userRef, userData, change) {
+  const {
+    governmentRole, changedBy, reason,
+    electionId = null, petitionId = null, termStartsAt = null, termEndsAt = null
+  } = change;
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  batch.update(userRef, {
+    role: accountRole(userData, governmentRole),
+    governmentRole,
+    appointedAt: governmentRole ? now : null,
+    termStartsAt: termStartsAt ? admin.firestore.Timestamp.fromDate(termStartsAt) : null,
+    termEndsAt: termEndsAt ? admin.firestore.Timestamp.fromDate(termEndsAt) : null,
+    electedIn: governmentRole ? electionId : null,
+    updatedAt: now
+  });
+
+  batch.set(userRef.collection('role_history').doc(), {
+    previousRole: userData.governmentRole || null,
+    governmentRole,
+    reason,
+    electionId,
+    petitionId,
+    termStartsAt: termStartsAt ? admin.firestore.Timestamp.fromDate(termStartsAt) : null,
+    termEndsAt: termEndsAt ? admin.firestore.Timestamp.fromDate(termEndsAt) : null,
+    changedBy,
+    changedAt: now
+  });
+
+  batch.set(firestore.collection('audit_logs').doc(), {
+    type: 'government_role_change',
+    userId: userRef.id,
+    previousRole: userData.governmentRole || null,
+    governmentRole,
+    reason,
+    electionId,
+    petitionId,
+    changedBy,
+    timestamp: now
+  });
+}
+
+/**
+ * Seat an election's winners, demoting whoever held each role before
+ *
+ * Writes are queued on the given batch so they commit together with the
+ * certification. Positions without a winner (ties, no votes) keep their
+ * current holder. A user who wins more than one position takes the most
+ * senior one; the others are left with their current holder.
+ *
+ * @param {admin.firestore.Firestore} firestore
+ * @param {admin.firestore.WriteBatch} batch
+ * @param {Object} election - Election with id, positions and optional termMonths
+ * @param {Object} winners - Winning candidate ID (or null) keyed by position
+ * @param {Object} options
+ * @param {string} options.changedBy - Admin certifying the election
+ * @param {Date} [options.termStartsAt] - Defaults to now
+ * @returns {Promise<{seats: Object, unfilled: Array<string>}>}
+ */
+export async function seatElectionWinners(firestore, batch, election, winners, { changedBy, termStartsAt = new Date() }) {
+  const termEndsAt = computeTermEnd(termStartsAt, election.termMonths || DEFAULT_TERM_MONTHS);
+  const usersRef = firestore.collection('users');
+  const seats = {};
+  const unfilled = [];
+  const seatedUserIds = new Set();
+  const demotedUserIds = new Set();
+
+  // POSITION_GOVERNMENT_ROLES is in order of seniority
+  const positions = Object.keys(POSITION_GOVERNMENT_ROLES)
+    .filter(position => election.positions.includes(position));
+
+  for (const position of positions) {
+    const governmentRole = POSITION_GOVERNMENT_ROLES[position];
+    const candidateId = winners[position];
+
+    const candidateDoc = candidateId
+      ? await firestore.collection('candidates').doc(candidateId).get()
+      : null;
+    const winnerId = candidateDoc?.exists ? candidateDoc.data().userId : null;
+
+    if (!winnerId || seatedUserIds.has(winnerId)) {
+      unfilled.push(position);
+      continue;
+    }
+
+    const [winnerDoc, holdersSnapshot] = await Promise.all([
+      usersRef.doc(winnerId).get(),
+      usersRef.where('governmentRole', '==', governmentRole).get()
+    ]);
+
+    if (!winnerDoc.exists) {
+      unfilled.push(position);
+      continue;
+    }
+
+    const change = { electionId: election.id, changedBy };
+
+    holdersSnapshot.docs
+      .filter(doc => doc.id !== winnerId && !seatedUserIds.has(doc.id) && !demotedUserIds.has(doc.id))
+      .forEach(doc => {
+        queueRoleChange(firestore, batch, doc.ref, doc.data(), {
+          ...change,
+          governmentRole: null,
+          reason: 'replaced_by_election'
+        });
+        demotedUserIds.add(doc.id);
+      });
+
+    queueRoleChange(firestore, batch, winnerDoc.ref, winnerDoc.data(), {
+      ...change,
+      governmentRole,
+      reason: 'elected',
+      termStartsAt,
+      termEndsAt
+    });
+    seatedUserIds.add(winnerId);
+    demotedUserIds.delete(winnerId);
+
+    seats[position] = {
+      userId: winnerId,
+      candidateId,
+      governmentRole,
+      termStartsAt: termStartsAt.toISOString(),
+      termEndsAt: termEndsAt.toISOString()
+    };
+  }
+
+  logger.info('Election winners seated', { electionId: election.id, seats: Object.keys(seats).length, unfilled });
+
+  return { seats, unfilled };
+}
+
+export default {
+  POSITION_GOVERNMENT_ROLES,
+  GOVERNMENT_ROLES,
+  hasGovernmentPermission,
+  DEFAULT_TERM_MONTHS,
+  computeTermEnd,
+  civicBadge,
+  queueRoleChange,
+  seatElectionWinners
+};
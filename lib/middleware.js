@@ -125,6 +125,35 @@ export function requireApiKey(req, res, next) {
   if (next) next();
 }
 
+/**
+ * Cron secret validation middleware
+ * Vercel cron jobs send CRON_SECRET as a bearer token
+ */
+export function requireCronSecret(req, res, next) {
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (!cronSecret) {
+    logger.error('CRON_SECRET not configured');
+    return res.status(500).json({ 
+      error: 'Server configuration error',
+      message: 'Cron authentication not configured'
+    });
+  }
+
+  if (req.headers.authorization !== `Bearer ${cronSecret}`) {
+    logger.logSecurityEvent('Invalid cron secret attempt', {
+      ip: req.headers['x-forwarded-for'] || req.connection?.remoteAddress
+    });
+    
+    return res.status(401).json({ 
+      error: 'Unauthorized',
+      message: 'Valid cron secret required'
+    });
+  }
+
+  if (next) next();
+}
+
 /**
  * Request validation middleware
  * Validates request body against schema
@@ -298,6 +327,7 @@ export default {
   requireAuth,
   requireAdmin,
   requireApiKey,
+  requireCronSecret,
   validateRequest,
   errorHandler,
   performanceMonitor,
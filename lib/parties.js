@@ -0,0 +1,430 @@
+/**
+ * Political parties
+ * A user belongs to at most one party; membership lives in
+ * party_members/{userId} so the one-party rule is enforced by the document
+ * key. Primaries are restricted to one party's members, and certifying a
+ * primary registers its winners as the party's candidates in the general
+ * election it feeds.
+ */
+
+import { admin } from './firebase-init.js';
+import { AuthorizationError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { ElectionPhases, ElectionStatus, getElectionPhase, toDate } from './elections.js';
+import { civicBadge } from './government.js';
+
+export const PartyRoles = {
+  LEADER: 'leader',
+  MEMBER: 'member'
+};
+
+const MIN_NAME_LENGTH = 3;
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * General election phases in which a primary nominee can still be added
+ */
+const NOMINEE_REGISTRATION_PHASES = [ElectionPhases.UPCOMING, ElectionPhases.NOMINATION, ElectionPhases.CAMPAIGN];
+
+/**
+ * Validate the body of a party create request
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function validatePartyInput({ name, description } = {}) {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'Party name is required' };
+  }
+
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (trimmed.length < MIN_NAME_LENGTH || trimmed.length > MAX_NAME_LENGTH) {
+    return { valid: false, error: `Party name must be between ${MIN_NAME_LENGTH} and ${MAX_NAME_LENGTH} characters` };
+  }
+
+  if (description !== undefined && typeof description !== 'string') {
+    return { valid: false, error: 'Description must be a string' };
+  }
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    return { valid: false, error: `Description must be less than ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  return {
+    valid: true,
+    value: {
+      name: trimmed,
+      nameKey: trimmed.toLowerCase(),
+      description: description ? description.trim() : ''
+    }
+  };
+}
+
+/**
+ * Read an active party inside a transaction
+ * @throws {NotFoundError}
+ */
+async function readParty(firestore, transaction, partyId) {
+  const partyRef = firestore.collection('parties').doc(partyId);
+  const partyDoc = await transaction.get(partyRef);
+  if (!partyDoc.exists || partyDoc.data().isActive === false) {
+    throw new NotFoundError('Party not found');
+  }
+  return { partyRef, party: partyDoc.data() };
+}
+
+/**
+ * Read a prospective member and check they can join a party
+ * @throws {NotFoundError|AuthorizationError|ConflictError}
+ */
+async function readJoiningUser(firestore, transaction, userId) {
+  const membershipRef = firestore.collection('party_members').doc(userId);
+  const [userDoc, citizenDoc, membershipDoc] = await transaction.getAll(
+    firestore.collection('users').doc(userId),
+    firestore.collection('citizens').doc(userId),
+    membershipRef
+  );
+
+  if (!userDoc.exists) {
+    throw new NotFoundError('User not found');
+  }
+  if (!civicBadge(userDoc.data(), citizenDoc)) {
+    throw new AuthorizationError('Only registered citizens and government members can join a party');
+  }
+  if (membershipDoc.exists) {
+    throw new ConflictError('You are already a member of a party - leave it first');
+  }
+
+  return { membershipRef, userData: userDoc.data() };
+}
+
+/**
+ * Membership document for a user joining a party
+ */
+function membershipDocument(partyId, userId, userData, role) {
+  return {
+    partyId,
+    userId,
+    username: userData.username || 'Anonymous',
+    profilePicture: userData.profilePicture || null,
+    role,
+    joinedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Found a party; the founder becomes its leader
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} value - Output of validatePartyInput
+ * @param {string} userId - Founding user
+ * @returns {Promise<{partyId: string}>}
+ */
+export async function createParty(firestore, value, userId) {
+  const partiesRef = firestore.collection('parties');
+  const partyRef = partiesRef.doc();
+
+  return firestore.runTransaction(async (transaction) => {
+    const existing = await transaction.get(
+      partiesRef.where('nameKey', '==', value.nameKey).where('isActive', '==', true).limit(1)
+    );
+    if (!existing.empty) {
+      throw new ConflictError('A party with this name already exists');
+    }
+
+    const { membershipRef, userData } = await readJoiningUser(firestore, transaction, userId);
+
+    transaction.set(partyRef, {
+      name: value.name,
+      nameKey: value.nameKey,
+      description: value.description,
+      leaderId: userId,
+      memberCount: 1,
+      isActive: true,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.set(membershipRef, membershipDocument(partyRef.id, userId, userData, PartyRoles.LEADER));
+
+    return { partyId: partyRef.id };
+  });
+}
+
+/**
+ * Join a party
+ * @returns {Promise<{memberCount: number}>}
+ */
+export async function joinParty(firestore, { partyId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { partyRef, party } = await readParty(firestore, transaction, partyId);
+    const { membershipRef, userData } = await readJoiningUser(firestore, transaction, userId);
+
+    const memberCount = (party.memberCount || 0) + 1;
+    transaction.set(membershipRef, membershipDocument(partyId, userId, userData, PartyRoles.MEMBER));
+    transaction.update(partyRef, {
+      memberCount,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { memberCount };
+  });
+}
+
+/**
+ * Leave whichever party the user belongs to
+ * A leader has to hand over leadership first unless they are the last
+ * member, in which case the party is dissolved.
+ * @returns {Promise<{partyId: string, dissolved: boolean}>}
+ */
+export async function leaveParty(firestore, { userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const membershipRef = firestore.collection('party_members').doc(userId);
+    const membershipDoc = await transaction.get(membershipRef);
+    if (!membershipDoc.exists) {
+      throw new NotFoundError('You are not a member of a party');
+    }
+
+    const { partyId } = membershipDoc.data();
+    const { partyRef, party } = await readParty(firestore, transaction, partyId);
+
+    const memberCount = Math.max((party.memberCount || 1) - 1, 0);
+    const dissolved = memberCount === 0;
+    if (party.leaderId === userId && !dissolved) {
+      throw new ConflictError('Transfer party leadership before leaving');
+    }
+
+    transaction.delete(membershipRef);
+    transaction.update(partyRef, {
+      memberCount,
+      ...(dissolved ? { isActive: false, leaderId: null, dissolvedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { partyId, dissolved };
+  });
+}
+
+/**
+ * Hand party leadership to another member
+ * @param {Object} params
+ * @param {string} params.partyId
+ * @param {string} params.userId - Current leader
+ * @param {string} params.newLeaderId - Must already be a member
+ */
+export async function transferLeadership(firestore, { partyId, userId, newLeaderId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { partyRef, party } = await readParty(firestore, transaction, partyId);
+
+    if (party.leaderId !== userId) {
+      throw new AuthorizationError('Only the party leader can transfer leadership');
+    }
+    if (newLeaderId === userId) {
+      throw new ValidationError('You are already the party leader');
+    }
+
+    const membersRef = firestore.collection('party_members');
+    const newLeaderDoc = await transaction.get(membersRef.doc(newLeaderId));
+    if (!newLeaderDoc.exists || newLeaderDoc.data().partyId !== partyId) {
+      throw new ValidationError('The new leader must be a member of the party');
+    }
+
+    transaction.update(membersRef.doc(userId), { role: PartyRoles.MEMBER });
+    transaction.update(membersRef.doc(newLeaderId), { role: PartyRoles.LEADER });
+    transaction.update(partyRef, {
+      leaderId: newLeaderId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Ensure a user belongs to the given party
+ * Works inside a transaction when one is passed
+ * @throws {AuthorizationError}
+ */
+export async function assertPartyMember(firestore, partyId, userId, message, transaction = null) {
+  const membershipRef = firestore.collection('party_members').doc(userId);
+  const membershipDoc = transaction ? await transaction.get(membershipRef) : await membershipRef.get();
+
+  if (!membershipDoc.exists || membershipDoc.data().partyId !== partyId) {
+    throw new AuthorizationError(message);
+  }
+}
+
+/**
+ * The party a user belongs to, or null
+ * @returns {Promise<string|null>}
+ */
+export async function getUserPartyId(firestore, userId) {
+  const membershipDoc = await firestore.collection('party_members').doc(userId).get();
+  return membershipDoc.exists ? membershipDoc.data().partyId : null;
+}
+
+/**
+ * Check a primary's party and the general election it nominates for
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} value - Output of validateElectionInput for a primary
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function validatePrimaryTargets(firestore, value) {
+  const [partyDoc, generalDoc] = await Promise.all([
+    firestore.collection('parties').doc(value.partyId).get(),
+    firestore.collection('elections').doc(value.generalElectionId).get()
+  ]);
+
+  if (!partyDoc.exists || partyDoc.data().isActive === false) {
+    throw new NotFoundError('Party not found');
+  }
+  if (!generalDoc.exists) {
+    throw new NotFoundError('General election not found');
+  }
+
+  const general = generalDoc.data();
+  if (general.electionType !== 'general' || general.status !== ElectionStatus.SCHEDULED) {
+    throw new ValidationError('Primaries must feed a scheduled general election');
+  }
+
+  const uncontested = value.positions.filter(position => !general.positions.includes(position));
+  if (uncontested.length > 0) {
+    throw new ValidationError(`Positions not contested in the general election: ${uncontested.join(', ')}`);
+  }
+
+  if (value.certificationClosesAt > toDate(general.votingOpensAt)) {
+    throw new ValidationError('The primary must be certified before the general election opens for voting');
+  }
+}
+
+/**
+ * Register a certified primary's winners as the party's candidates in the
+ * general election
+ *
+ * Writes are queued on the given batch so they commit together with the
+ * certification. A winner is skipped (with a reason) if the general election
+ * is already voting, they are no longer a party member, or they already
+ * stand for that position in the general election.
+ *
+ * @param {admin.firestore.Firestore} firestore
+ * @param {admin.firestore.WriteBatch} batch
+ * @param {Object} primary - Primary election with id, partyId and generalElectionId
+ * @param {Object} winners - Winning candidate ID (or null) keyed by position
+ * @returns {Promise<{nominees: Object, skipped: Object}>}
+ */
+export async function registerPrimaryNominees(firestore, batch, primary, winners) {
+  const nominees = {};
+  const skipped = {};
+
+  const generalDoc = await firestore.collection('elections').doc(primary.generalElectionId).get();
+  const general = generalDoc.exists ? generalDoc.data() : null;
+  const canRegister = general && NOMINEE_REGISTRATION_PHASES.includes(getElectionPhase(general));
+
+  const candidatesRef = firestore.collection('candidates');
+  for (const [position, candidateId] of Object.entries(winners)) {
+    if (!candidateId) continue;
+
+    if (!canRegister) {
+      skipped[position] = 'general_election_closed';
+      continue;
+    }
+
+    const candidateDoc = await candidatesRef.doc(candidateId).get();
+    if (!candidateDoc.exists) {
+      skipped[position] = 'candidate_not_found';
+      continue;
+    }
+
+    const candidate = candidateDoc.data();
+    if (await getUserPartyId(firestore, candidate.userId) !== primary.partyId) {
+      skipped[position] = 'not_party_member';
+      continue;
+    }
+
+    const existing = await candidatesRef
+      .where('electionId', '==', primary.generalElectionId)
+      .where('userId', '==', candidate.userId)
+      .where('position', '==', position)
+      .limit(1)
+      .get();
+    if (!existing.empty) {
+      skipped[position] = 'already_standing';
+      continue;
+    }
+
+    // The nominee keeps their primary profile but starts the general with fresh counters
+    const { lastVerification, ...profile } = candidate;
+    const nomineeRef = candidatesRef.doc();
+    batch.set(nomineeRef, {
+      ...profile,
+      electionId: primary.generalElectionId,
+      electionType: general.electionType,
+      partyId: primary.partyId,
+      nominatedIn: primary.id,
+      primaryCandidateId: candidateId,
+      status: 'active',
+      statusChangedAt: null,
+      isActive: true,
+      supportersCount: 0,
+      votes: 0,
+      weightedVotes: 0,
+      endorsements: [],
+      endorsementCount: 0,
+      revisionCount: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    nominees[position] = nomineeRef.id;
+  }
+
+  return { nominees, skipped };
+}
+
+/**
+ * Convert a party document into an API response object
+ */
+export function serializeParty(id, data) {
+  return {
+    id,
+    name: data.name,
+    description: data.description || '',
+    leaderId: data.leaderId || null,
+    memberCount: data.memberCount || 0,
+    isActive: data.isActive !== false,
+    createdAt: toDate(data.createdAt)?.toISOString() || null
+  };
+}
+
+/**
+ * A party's roster, leader first then by join date
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listMembers(firestore, partyId) {
+  const snapshot = await firestore.collection('party_members')
+    .where('partyId', '==', partyId)
+    .get();
+
+  return snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        userId: data.userId,
+        username: data.username,
+        profilePicture: data.profilePicture,
+        role: data.role,
+        joinedAt: toDate(data.joinedAt)?.toISOString() || null
+      };
+    })
+    .sort((a, b) => Number(a.role !== PartyRoles.LEADER) - Number(b.role !== PartyRoles.LEADER) ||
+      (a.joinedAt || '').localeCompare(b.joinedAt || ''));
+}
+
+export default {
+  PartyRoles,
+  validatePartyInput,
+  createParty,
+  joinParty,
+  leaveParty,
+  transferLeadership,
+  assertPartyMember,
+  getUserPartyId,
+  validatePrimaryTargets,
+  registerPrimaryNominees,
+  serializeParty,
+  listMembers
+};
@@ -0,0 +1,397 @@
+/**
+ * Recall petitions
+ * Citizens sign a petition to recall a sitting official. Once it reaches
+ * its signature threshold a yes/no removal vote opens automatically; if the
+ * vote passes, the official's governmentRole is stripped and the recall is
+ * recorded in their role history.
+ */
+
+import { admin } from './firebase-init.js';
+import config from './config.js';
+import logger from './logger.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { toDate } from './elections.js';
+import { civicBadge, queueRoleChange } from './government.js';
+
+export const PetitionStatus = {
+  COLLECTING: 'collecting',
+  VOTING: 'voting',
+  RECALLED: 'recalled',
+  RETAINED: 'retained',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Statuses in which a petition still blocks a new one against the same official
+ */
+const OPEN_STATUSES = [PetitionStatus.COLLECTING, PetitionStatus.VOTING];
+
+export const RecallChoices = ['yes', 'no'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Read a user and check they can take part in a recall
+ * @throws {NotFoundError|AuthorizationError}
+ */
+async function readParticipant(firestore, transaction, userId) {
+  const [userDoc, citizenDoc] = await transaction.getAll(
+    firestore.collection('users').doc(userId),
+    firestore.collection('citizens').doc(userId)
+  );
+
+  if (!userDoc.exists) {
+    throw new NotFoundError('User not found');
+  }
+  if (!civicBadge(userDoc.data(), citizenDoc)) {
+    throw new AuthorizationError('Only registered citizens and government members can take part in recalls');
+  }
+
+  return userDoc.data();
+}
+
+/**
+ * Read a petition inside a transaction
+ * @throws {NotFoundError}
+ */
+async function readPetition(firestore, transaction, petitionId) {
+  const petitionRef = firestore.collection('recall_petitions').doc(petitionId);
+  const petitionDoc = await transaction.get(petitionRef);
+  if (!petitionDoc.exists) {
+    throw new NotFoundError('Petition not found');
+  }
+  return { petitionRef, petition: petitionDoc.data() };
+}
+
+/**
+ * Fields that move a petition from collecting signatures to voting
+ */
+function openVoteFields(now) {
+  return {
+    status: PetitionStatus.VOTING,
+    thresholdReachedAt: admin.firestore.Timestamp.fromDate(now),
+    voteOpensAt: admin.firestore.Timestamp.fromDate(now),
+    voteClosesAt: admin.firestore.Timestamp.fromDate(new Date(now.getTime() + config.get('RECALL_VOTE_DAYS') * DAY_MS))
+  };
+}
+
+/**
+ * Start a recall petition against a sitting official
+ * The creator's signature is counted as the first one.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} petition
+ * @param {string} petition.targetUserId - Official to recall
+ * @param {string} petition.createdBy - Citizen starting the petition
+ * @param {string} petition.reason - Grounds for the recall
+ * @returns {Promise<{petitionId: string, status: string}>}
+ */
+export async function createRecallPetition(firestore, { targetUserId, createdBy, reason }) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new ValidationError('A reason for the recall is required');
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new ValidationError(`Reason must be less than ${MAX_REASON_LENGTH} characters`);
+  }
+  if (targetUserId === createdBy) {
+    throw new ValidationError('You cannot petition to recall yourself');
+  }
+
+  const petitionsRef = firestore.collection('recall_petitions');
+  const petitionRef = petitionsRef.doc();
+
+  return firestore.runTransaction(async (transaction) => {
+    const targetDoc = await transaction.get(firestore.collection('users').doc(targetUserId));
+    if (!targetDoc.exists) {
+      throw new NotFoundError('Official not found');
+    }
+
+    const target = targetDoc.data();
+    if (!target.governmentRole) {
+      throw new AppError('This user does not hold a government role', 400, 'NOT_AN_OFFICIAL');
+    }
+
+    const openSnapshot = await transaction.get(
+      petitionsRef
+        .where('targetUserId', '==', targetUserId)
+        .where('status', 'in', OPEN_STATUSES)
+        .limit(1)
+    );
+    if (!openSnapshot.empty) {
+      throw new ConflictError('A recall petition against this official is already open');
+    }
+
+    const creator = await readParticipant(firestore, transaction, createdBy);
+
+    const now = new Date();
+    const signatureThreshold = config.get('RECALL_SIGNATURE_THRESHOLD');
+    const petition = {
+      targetUserId,
+      targetUsername: target.username || 'Anonymous',
+      targetRole: target.governmentRole,
+      reason: reason.trim(),
+      createdBy,
+      status: PetitionStatus.COLLECTING,
+      signatureCount: 1,
+      signatureThreshold,
+      expiresAt: admin.firestore.Timestamp.fromDate(new Date(now.getTime() + config.get('RECALL_PETITION_DAYS') * DAY_MS)),
+      voteOpensAt: null,
+      voteClosesAt: null,
+      yesVotes: 0,
+      noVotes: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(signatureThreshold <= 1 ? openVoteFields(now) : {})
+    };
+
+    transaction.set(petitionRef, petition);
+    transaction.set(petitionRef.collection('signatures').doc(createdBy), {
+      userId: createdBy,
+      username: creator.username || 'Anonymous',
+      signedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { petitionId: petitionRef.id, status: petition.status };
+  });
+}
+
+/**
+ * Sign a recall petition, opening the removal vote if this signature
+ * reaches the threshold
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} signature
+ * @param {string} signature.petitionId
+ * @param {string} signature.userId - Signing citizen
+ * @returns {Promise<{signatureCount: number, status: string}>}
+ */
+export async function signRecallPetition(firestore, { petitionId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { petitionRef, petition } = await readPetition(firestore, transaction, petitionId);
+    const now = new Date();
+
+    if (petition.status !== PetitionStatus.COLLECTING || toDate(petition.expiresAt) <= now) {
+      throw new AppError('This petition is no longer collecting signatures', 403, 'PETITION_CLOSED');
+    }
+    if (petition.targetUserId === userId) {
+      throw new AuthorizationError('Officials cannot sign a petition to recall themselves');
+    }
+
+    const signatureRef = petitionRef.collection('signatures').doc(userId);
+    const signatureDoc = await transaction.get(signatureRef);
+    if (signatureDoc.exists) {
+      throw new ConflictError('You have already signed this petition');
+    }
+
+    const signer = await readParticipant(firestore, transaction, userId);
+
+    const signatureCount = (petition.signatureCount || 0) + 1;
+    const thresholdReached = signatureCount >= petition.signatureThreshold;
+
+    transaction.set(signatureRef, {
+      userId,
+      username: signer.username || 'Anonymous',
+      signedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(petitionRef, {
+      signatureCount,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(thresholdReached ? openVoteFields(now) : {})
+    });
+
+    return {
+      signatureCount,
+      status: thresholdReached ? PetitionStatus.VOTING : PetitionStatus.COLLECTING
+    };
+  });
+}
+
+/**
+ * Cast a yes/no vote on removing the official
+ * Each eligible user votes once; votes cannot be changed.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} ballot
+ * @param {string} ballot.petitionId
+ * @param {string} ballot.userId
+ * @param {string} ballot.choice - 'yes' to remove, 'no' to retain
+ * @returns {Promise<{yesVotes: number, noVotes: number}>}
+ */
+export async function castRecallVote(firestore, { petitionId, userId, choice }) {
+  if (!RecallChoices.includes(choice)) {
+    throw new ValidationError(`Choice must be one of: ${RecallChoices.join(', ')}`);
+  }
+
+  return firestore.runTransaction(async (transaction) => {
+    const { petitionRef, petition } = await readPetition(firestore, transaction, petitionId);
+    const now = new Date();
+
+    if (petition.status !== PetitionStatus.VOTING || toDate(petition.voteClosesAt) <= now) {
+      throw new AppError('Voting on this recall is not open', 403, 'RECALL_VOTE_CLOSED');
+    }
+    if (petition.targetUserId === userId) {
+      throw new AuthorizationError('Officials cannot vote on their own recall');
+    }
+
+    const voteRef = petitionRef.collection('votes').doc(userId);
+    const voteDoc = await transaction.get(voteRef);
+    if (voteDoc.exists) {
+      throw new ConflictError('You have already voted on this recall');
+    }
+
+    await readParticipant(firestore, transaction, userId);
+
+    const yesVotes = (petition.yesVotes || 0) + (choice === 'yes' ? 1 : 0);
+    const noVotes = (petition.noVotes || 0) + (choice === 'no' ? 1 : 0);
+
+    transaction.set(voteRef, {
+      userId,
+      choice,
+      votedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(petitionRef, {
+      yesVotes,
+      noVotes,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { yesVotes, noVotes };
+  });
+}
+
+/**
+ * Decide a recall vote
+ * A recall passes on a simple majority of yes votes, provided turnout
+ * reached the petition's signature threshold. If the official still holds
+ * the role they were petitioned over, it is stripped in the same transaction.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} petitionId
+ * @param {Date} [now]
+ * @returns {Promise<{status: string, roleRemoved: boolean}>}
+ */
+export async function finalizeRecallPetition(firestore, petitionId, now = new Date()) {
+  return firestore.runTransaction(async (transaction) => {
+    const { petitionRef, petition } = await readPetition(firestore, transaction, petitionId);
+
+    if (petition.status !== PetitionStatus.VOTING) {
+      throw new AppError('This petition is not in a recall vote', 400, 'NOT_VOTING');
+    }
+    if (toDate(petition.voteClosesAt) > now) {
+      throw new AppError('The recall vote is still open', 403, 'RECALL_VOTE_OPEN');
+    }
+
+    const yesVotes = petition.yesVotes || 0;
+    const noVotes = petition.noVotes || 0;
+    const quorumMet = yesVotes + noVotes >= petition.signatureThreshold;
+    const recalled = quorumMet && yesVotes > noVotes;
+
+    // Read before any writes; the official may have lost the role another way since
+    const targetRef = firestore.collection('users').doc(petition.targetUserId);
+    const targetDoc = recalled ? await transaction.get(targetRef) : null;
+    const roleRemoved = Boolean(targetDoc?.exists && targetDoc.data().governmentRole === petition.targetRole);
+
+    if (roleRemoved) {
+      queueRoleChange(firestore, transaction, targetRef, targetDoc.data(), {
+        governmentRole: null,
+        reason: 'recalled',
+        petitionId,
+        changedBy: 'system'
+      });
+    }
+
+    const status = recalled ? PetitionStatus.RECALLED : PetitionStatus.RETAINED;
+    transaction.update(petitionRef, {
+      status,
+      quorumMet,
+      roleRemoved,
+      decidedAt: admin.firestore.Timestamp.fromDate(now),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { status, roleRemoved };
+  });
+}
+
+/**
+ * Expire petitions that ran out of time and decide votes that have closed
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Date} [now]
+ * @returns {Promise<{expired: Array<string>, decided: Array<{petitionId: string, status?: string, roleRemoved?: boolean, error?: string}>}>}
+ */
+export async function processRecallPetitions(firestore, now = new Date()) {
+  const petitionsRef = firestore.collection('recall_petitions');
+  const cutoff = admin.firestore.Timestamp.fromDate(now);
+
+  const [collectingSnapshot, votingSnapshot] = await Promise.all([
+    petitionsRef
+      .where('status', '==', PetitionStatus.COLLECTING)
+      .where('expiresAt', '<=', cutoff)
+      .get(),
+    petitionsRef
+      .where('status', '==', PetitionStatus.VOTING)
+      .where('voteClosesAt', '<=', cutoff)
+      .get()
+  ]);
+
+  const expired = [];
+  for (const doc of collectingSnapshot.docs) {
+    // One petition failing shouldn't stop the rest
+    try {
+      await doc.ref.update({
+        status: PetitionStatus.EXPIRED,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      expired.push(doc.id);
+    } catch (error) {
+      logger.error('Scheduled petition expiry failed', { petitionId: doc.id, error: error.message });
+    }
+  }
+
+  const decided = [];
+  for (const doc of votingSnapshot.docs) {
+    try {
+      const result = await finalizeRecallPetition(firestore, doc.id, now);
+      decided.push({ petitionId: doc.id, ...result });
+    } catch (error) {
+      logger.error('Scheduled recall decision failed', { petitionId: doc.id, error: error.message });
+      decided.push({ petitionId: doc.id, error: error.message });
+    }
+  }
+
+  return { expired, decided };
+}
+
+/**
+ * Convert a petition document into an API response object
+ */
+export function serializePetition(id, data) {
+  return {
+    id,
+    targetUserId: data.targetUserId,
+    targetUsername: data.targetUsername,
+    targetRole: data.targetRole,
+    reason: data.reason,
+    createdBy: data.createdBy,
+    status: data.status,
+    signatureCount: data.signatureCount || 0,
+    signatureThreshold: data.signatureThreshold,
+    yesVotes: data.yesVotes || 0,
+    noVotes: data.noVotes || 0,
+    quorumMet: data.quorumMet ?? null,
+    roleRemoved: data.roleRemoved ?? null,
+    expiresAt: toDate(data.expiresAt)?.toISOString() || null,
+    voteOpensAt: toDate(data.voteOpensAt)?.toISOString() || null,
+    voteClosesAt: toDate(data.voteClosesAt)?.toISOString() || null,
+    decidedAt: toDate(data.decidedAt)?.toISOString() || null,
+    createdAt: toDate(data.createdAt)?.toISOString() || null
+  };
+}
+
+export default {
+  PetitionStatus,
+  RecallChoices,
+  createRecallPetition,
+  signRecallPetition,
+  castRecallVote,
+  finalizeRecallPetition,
+  processRecallPetitions,
+  serializePetition
+};
@@ -0,0 +1,460 @@
+/**
+ * Poll discussion threads
+ * Each government poll has a thread of comments in poll_comments, with one
+ * level of replies (a reply to a reply joins its parent's thread). Citizens
+ * react to comments with one reaction each, kept under reactions/{userId}
+ * with denormalized counts on the comment. Authors can edit and delete their
+ * own comments; admins can hide abusive ones.
+ *
+ * Deleted and hidden comments stay in the thread as placeholders without
+ * their text, so replies keep their context and pages keep their size.
+ * The poll's comment count (visible comments and replies) lives in
+ * poll_discussions/{pollId} rather than on the poll, so discussion doesn't
+ * contend with voting on the poll document.
+ */
+
+import { admin } from './firebase-init.js';
+import { AuthorizationError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { civicBadge } from './government.js';
+import { toDate } from './elections.js';
+
+export const CommentStatus = {
+  VISIBLE: 'visible',
+  HIDDEN: 'hidden',
+  DELETED: 'deleted'
+};
+
+export const COMMENT_REACTIONS = ['like', 'agree', 'disagree', 'funny'];
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+/**
+ * Check comment text against the length limit and return it trimmed
+ * @throws {ValidationError}
+ */
+function validateBody(value, label = 'Comment') {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${label} is required`);
+  }
+  if (value.length > MAX_COMMENT_LENGTH) {
+    throw new ValidationError(`${label} must be less than ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+/**
+ * Read a comment inside a transaction
+ * @throws {NotFoundError}
+ */
+async function readComment(firestore, transaction, commentId) {
+  const commentRef = firestore.collection('poll_comments').doc(commentId);
+  const commentDoc = await transaction.get(commentRef);
+  if (!commentDoc.exists) {
+    throw new NotFoundError('Comment not found');
+  }
+  return { commentRef, comment: commentDoc.data() };
+}
+
+/**
+ * Read a comment that can still be replied to, reacted to or edited
+ * @throws {NotFoundError}
+ */
+async function readVisibleComment(firestore, transaction, commentId) {
+  const result = await readComment(firestore, transaction, commentId);
+  if ((result.comment.status || CommentStatus.VISIBLE) !== CommentStatus.VISIBLE) {
+    throw new NotFoundError('Comment not found');
+  }
+  return result;
+}
+
+/**
+ * Change a poll's visible comment count inside a transaction
+ */
+function adjustCommentCount(firestore, transaction, pollId, delta) {
+  transaction.set(firestore.collection('poll_discussions').doc(pollId), {
+    commentCount: admin.firestore.FieldValue.increment(delta),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Change the visible counts a comment is part of: its poll's comment
+ * count and, for replies, its thread's reply count
+ */
+function adjustVisibleCounts(firestore, transaction, comment, delta) {
+  adjustCommentCount(firestore, transaction, comment.pollId, delta);
+  if (comment.parentId) {
+    transaction.update(firestore.collection('poll_comments').doc(comment.parentId), {
+      replyCount: admin.firestore.FieldValue.increment(delta)
+    });
+  }
+}
+
+/**
+ * Comment on a poll, or reply to a comment
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.pollId
+ * @param {string} params.userId
+ * @param {string} params.body
+ * @param {string} [params.parentId] - Comment being replied to
+ * @returns {Promise<{commentId: string, parentId: string|null}>}
+ */
+export async function addComment(firestore, { pollId, userId, body, parentId = null }) {
+  const text = validateBody(body);
+  const commentRef = firestore.collection('poll_comments').doc();
+
+  return firestore.runTransaction(async (transaction) => {
+    const [pollDoc, userDoc, citizenDoc] = await transaction.getAll(
+      firestore.collection('government_polls').doc(pollId),
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId)
+    );
+
+    if (!pollDoc.exists) {
+      throw new NotFoundError('Poll not found');
+    }
+    if (!userDoc.exists) {
+      throw new NotFoundError('User not found');
+    }
+
+    const badge = civicBadge(userDoc.data(), citizenDoc);
+    if (!badge) {
+      throw new AuthorizationError('Only registered citizens and government members can comment on polls');
+    }
+
+    // Replies to replies join the top-level comment's thread
+    let threadId = null;
+    let parentRef = null;
+    if (parentId) {
+      const parent = await readVisibleComment(firestore, transaction, parentId);
+      if (parent.comment.pollId !== pollId) {
+        throw new ValidationError('That comment belongs to a different poll');
+      }
+      threadId = parent.comment.parentId || parentId;
+      parentRef = firestore.collection('poll_comments').doc(threadId);
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.set(commentRef, {
+      pollId,
+      parentId: threadId,
+      replyToId: parentId,
+      authorId: userId,
+      authorUsername: userDoc.data().username || 'Anonymous',
+      authorBadge: badge,
+      body: text,
+      reactionCounts: {},
+      replyCount: 0,
+      status: CommentStatus.VISIBLE,
+      editedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (parentRef) {
+      transaction.update(parentRef, { replyCount: admin.firestore.FieldValue.increment(1) });
+    }
+    adjustCommentCount(firestore, transaction, pollId, 1);
+
+    return { commentId: commentRef.id, parentId: threadId };
+  });
+}
+
+/**
+ * Edit one of the user's own comments
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.commentId
+ * @param {string} params.userId - Must be the author
+ * @param {string} params.body
+ */
+export async function editComment(firestore, { commentId, userId, body }) {
+  const text = validateBody(body);
+
+  return firestore.runTransaction(async (transaction) => {
+    const { commentRef, comment } = await readVisibleComment(firestore, transaction, commentId);
+    if (comment.authorId !== userId) {
+      throw new AuthorizationError('You can only edit your own comments');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(commentRef, { body: text, editedAt: now, updatedAt: now });
+  });
+}
+
+/**
+ * Delete one of the user's own comments
+ * The comment stays as a placeholder so its replies keep their thread.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.commentId
+ * @param {string} params.userId - Must be the author
+ */
+export async function deleteComment(firestore, { commentId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { commentRef, comment } = await readComment(firestore, transaction, commentId);
+    if (comment.authorId !== userId) {
+      throw new AuthorizationError('You can only delete your own comments');
+    }
+    if (comment.status === CommentStatus.DELETED) {
+      throw new NotFoundError('Comment not found');
+    }
+
+    transaction.update(commentRef, {
+      body: null,
+      status: CommentStatus.DELETED,
+      deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Hidden comments were already taken out of the count
+    if ((comment.status || CommentStatus.VISIBLE) === CommentStatus.VISIBLE) {
+      adjustVisibleCounts(firestore, transaction, comment, -1);
+    }
+  });
+}
+
+/**
+ * React to a comment, change the reaction, or remove it
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.commentId
+ * @param {string} params.userId
+ * @param {string|null} params.reaction - One of COMMENT_REACTIONS, or null to remove
+ * @returns {Promise<{reactionCounts: Object<string, number>}>}
+ */
+export async function reactToComment(firestore, { commentId, userId, reaction }) {
+  if (reaction !== null && !COMMENT_REACTIONS.includes(reaction)) {
+    throw new ValidationError(`Reaction must be one of: ${COMMENT_REACTIONS.join(', ')}`);
+  }
+
+  return firestore.runTransaction(async (transaction) => {
+    const { commentRef, comment } = await readVisibleComment(firestore, transaction, commentId);
+
+    const reactionRef = commentRef.collection('reactions').doc(userId);
+    const [reactionDoc, userDoc, citizenDoc] = await transaction.getAll(
+      reactionRef,
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId)
+    );
+
+    const previous = reactionDoc.exists ? reactionDoc.data().reaction : null;
+    if (previous === reaction) {
+      throw new ConflictError(reaction ? 'You have already reacted with this' : 'You have not reacted to this comment');
+    }
+
+    const reactionCounts = { ...(comment.reactionCounts || {}) };
+    if (previous) {
+      reactionCounts[previous] = Math.max(0, (reactionCounts[previous] || 0) - 1);
+    }
+
+    if (reaction) {
+      if (!userDoc.exists || !civicBadge(userDoc.data(), citizenDoc)) {
+        throw new AuthorizationError('Only registered citizens and government members can react to comments');
+      }
+      reactionCounts[reaction] = (reactionCounts[reaction] || 0) + 1;
+      transaction.set(reactionRef, {
+        userId,
+        reaction,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } else {
+      transaction.delete(reactionRef);
+    }
+
+    transaction.update(commentRef, { reactionCounts });
+
+    return { reactionCounts };
+  });
+}
+
+/**
+ * Hide or restore a comment
+ * Caller is responsible for checking the user is an admin.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} params
+ * @param {string} params.commentId
+ * @param {string} params.adminId
+ * @param {boolean} params.hidden
+ * @param {string} [params.reason] - Required when hiding
+ */
+export async function setCommentVisibility(firestore, { commentId, adminId, hidden, reason = null }) {
+  const moderationReason = hidden ? validateBody(reason, 'Reason') : null;
+
+  return firestore.runTransaction(async (transaction) => {
+    const { commentRef, comment } = await readComment(firestore, transaction, commentId);
+
+    const status = comment.status || CommentStatus.VISIBLE;
+    if (status === CommentStatus.DELETED) {
+      throw new ConflictError('Comment has been deleted by its author');
+    }
+    if (status === (hidden ? CommentStatus.HIDDEN : CommentStatus.VISIBLE)) {
+      throw new ConflictError(hidden ? 'Comment is already hidden' : 'Comment is not hidden');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(commentRef, {
+      status: hidden ? CommentStatus.HIDDEN : CommentStatus.VISIBLE,
+      moderatedBy: adminId,
+      moderationReason,
+      moderatedAt: now,
+      updatedAt: now
+    });
+    adjustVisibleCounts(firestore, transaction, comment, hidden ? -1 : 1);
+
+    transaction.set(firestore.collection('audit_logs').doc(), {
+      type: hidden ? 'poll_comment_hidden' : 'poll_comment_restored',
+      commentId,
+      pollId: comment.pollId,
+      authorId: comment.authorId,
+      reason: moderationReason,
+      changedBy: adminId,
+      timestamp: now
+    });
+  });
+}
+
+/**
+ * Convert a comment document into an API response object
+ * Hidden and deleted comments keep their place but lose their text
+ * (admins reviewing moderation see hidden text via includeHidden).
+ */
+export function serializeComment(id, data, { includeHidden = false } = {}) {
+  const status = data.status || CommentStatus.VISIBLE;
+  const showBody = status === CommentStatus.VISIBLE || (includeHidden && status === CommentStatus.HIDDEN);
+
+  return {
+    id,
+    pollId: data.pollId,
+    parentId: data.parentId || null,
+    replyToId: data.replyToId || null,
+    authorId: status === CommentStatus.VISIBLE || includeHidden ? data.authorId : null,
+    authorUsername: status === CommentStatus.VISIBLE || includeHidden ? data.authorUsername : null,
+    authorBadge: status === CommentStatus.VISIBLE || includeHidden ? data.authorBadge : null,
+    body: showBody ? data.body : null,
+    status,
+    reactionCounts: data.reactionCounts || {},
+    replyCount: data.replyCount || 0,
+    edited: Boolean(data.editedAt),
+    createdAt: toDate(data.createdAt)?.toISOString() || null,
+    editedAt: toDate(data.editedAt)?.toISOString() || null
+  };
+}
+
+/**
+ * Clamp a requested page size
+ */
+function pageSize(limit) {
+  const size = Number(limit) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(Math.floor(size), 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Run a comment query one page at a time, oldest first
+ * @returns {Promise<{comments: Array<Object>, nextCursor: string|null}>}
+ */
+async function paginate(firestore, query, { cursor = null, limit } = {}) {
+  const size = pageSize(limit);
+  let pageQuery = query.orderBy('createdAt', 'asc');
+
+  if (cursor) {
+    const cursorDoc = await firestore.collection('poll_comments').doc(cursor).get();
+    if (!cursorDoc.exists) {
+      throw new ValidationError('Invalid cursor');
+    }
+    pageQuery = pageQuery.startAfter(cursorDoc);
+  }
+
+  const snapshot = await pageQuery.limit(size + 1).get();
+  const docs = snapshot.docs.slice(0, size);
+
+  return {
+    comments: docs.map(doc => serializeComment(doc.id, doc.data())),
+    nextCursor: snapshot.docs.length > size ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * A page of a poll's top-level comments
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} pollId
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} [options.limit]
+ */
+export async function listComments(firestore, pollId, options = {}) {
+  const query = firestore.collection('poll_comments')
+    .where('pollId', '==', pollId)
+    .where('parentId', '==', null);
+  return paginate(firestore, query, options);
+}
+
+/**
+ * A page of replies to a top-level comment
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} commentId
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} [options.limit]
+ */
+export async function listReplies(firestore, commentId, options = {}) {
+  const query = firestore.collection('poll_comments').where('parentId', '==', commentId);
+  return paginate(firestore, query, options);
+}
+
+/**
+ * Hidden comments, most recently moderated first, so admins can restore them
+ */
+export async function listHiddenComments(firestore) {
+  const snapshot = await firestore.collection('poll_comments')
+    .where('status', '==', CommentStatus.HIDDEN)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({
+      ...serializeComment(doc.id, doc.data(), { includeHidden: true }),
+      moderatedBy: doc.data().moderatedBy || null,
+      moderationReason: doc.data().moderationReason || null,
+      moderatedAt: toDate(doc.data().moderatedAt)?.toISOString() || null
+    }))
+    .sort((a, b) => (b.moderatedAt || '').localeCompare(a.moderatedAt || ''));
+}
+
+/**
+ * Visible comment counts for a set of polls
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Array<string>} pollIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function loadCommentCounts(firestore, pollIds) {
+  if (pollIds.length === 0) {
+    return new Map();
+  }
+
+  const docs = await firestore.getAll(
+    ...pollIds.map(pollId => firestore.collection('poll_discussions').doc(pollId))
+  );
+  return new Map(docs.map(doc => [doc.id, doc.exists ? doc.data().commentCount || 0 : 0]));
+}
+
+export default {
+  CommentStatus,
+  COMMENT_REACTIONS,
+  MAX_COMMENT_LENGTH,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  addComment,
+  editComment,
+  deleteComment,
+  reactToComment,
+  setCommentVisibility,
+  serializeComment,
+  listComments,
+  listReplies,
+  listHiddenComments,
+  loadCommentCounts
+};
@@ -0,0 +1,109 @@
+/**
+ * Sharded poll vote counters
+ * Votes don't write the poll document. Each cast, change or withdrawal
+ * increments one randomly chosen shard in government_polls/{id}/counter_shards,
+ * so concurrent votes neither contend on a single document nor overwrite
+ * each other's counts.
+ *
+ * Live counts are the poll document's own counters (which hold any votes
+ * recorded before sharding) plus the sum of the shards. When a poll closes
+ * the shards are folded into the poll document and countersFoldedAt is set,
+ * after which the document alone is authoritative.
+ */
+
+import { admin } from './firebase-init.js';
+import { countedSelections } from './poll-types.js';
+
+/**
+ * Number of counter shards per poll; each shard takes roughly one write per
+ * second, so this bounds sustained votes per second
+ */
+export const COUNTER_SHARDS = 20;
+
+/**
+ * Net per-option changes from a set of ballot changes
+ * @param {Object} pollData - Poll document data
+ * @param {Array<{selections: Array<number>, direction: number, weight: number}>} changes
+ *   direction is 1 for a ballot being added and -1 for one being removed
+ * @returns {{votes: Object<string, number>, weightedVotes: Object<string, number>, totalVotes: number, totalWeightedVotes: number}}
+ */
+export function counterDeltas(pollData, changes) {
+  const deltas = { votes: {}, weightedVotes: {}, totalVotes: 0, totalWeightedVotes: 0 };
+
+  for (const { selections, direction, weight } of changes) {
+    deltas.totalVotes += direction;
+    deltas.totalWeightedVotes += direction * weight;
+    for (const index of countedSelections(pollData, selections)) {
+      deltas.votes[index] = (deltas.votes[index] || 0) + direction;
+      deltas.weightedVotes[index] = (deltas.weightedVotes[index] || 0) + direction * weight;
+    }
+  }
+
+  return deltas;
+}
+
+/**
+ * Add deltas to a random counter shard inside a transaction
+ * @param {admin.firestore.Transaction} transaction
+ * @param {admin.firestore.DocumentReference} pollRef
+ * @param {Object} deltas - Output of counterDeltas
+ */
+export function incrementCounterShard(transaction, pollRef, deltas) {
+  const { increment } = admin.firestore.FieldValue;
+  const shardRef = pollRef.collection('counter_shards').doc(String(Math.floor(Math.random() * COUNTER_SHARDS)));
+  const incrementAll = (values) => Object.fromEntries(
+    Object.entries(values).map(([index, value]) => [index, increment(value)])
+  );
+
+  transaction.set(shardRef, {
+    votes: incrementAll(deltas.votes),
+    weightedVotes: incrementAll(deltas.weightedVotes),
+    totalVotes: increment(deltas.totalVotes),
+    totalWeightedVotes: increment(deltas.totalWeightedVotes)
+  }, { merge: true });
+}
+
+/**
+ * Add counter shards onto a poll's own counters
+ * @param {Object} pollData - Poll document data
+ * @param {Array<Object>} shards - Counter shard document data
+ * @returns {Object} Poll data with live options and totals
+ */
+export function applyCounterShards(pollData, shards) {
+  const sum = (field, index) => shards.reduce((total, shard) => total + (shard[field]?.[index] || 0), 0);
+
+  return {
+    ...pollData,
+    options: (pollData.options || []).map((option, index) => ({
+      ...option,
+      votes: (option.votes || 0) + sum('votes', index),
+      weightedVotes: (option.weightedVotes ?? option.votes ?? 0) + sum('weightedVotes', index)
+    })),
+    totalVotes: (pollData.totalVotes || 0) + shards.reduce((total, shard) => total + (shard.totalVotes || 0), 0),
+    totalWeightedVotes: (pollData.totalWeightedVotes ?? pollData.totalVotes ?? 0) +
+      shards.reduce((total, shard) => total + (shard.totalWeightedVotes || 0), 0)
+  };
+}
+
+/**
+ * A poll's data with live vote counts
+ * @param {admin.firestore.DocumentSnapshot} pollDoc
+ * @returns {Promise<Object>}
+ */
+export async function loadLiveCounts(pollDoc) {
+  const pollData = pollDoc.data();
+  if (pollData.countersFoldedAt) {
+    return pollData;
+  }
+
+  const shardsSnapshot = await pollDoc.ref.collection('counter_shards').get();
+  return applyCounterShards(pollData, shardsSnapshot.docs.map(doc => doc.data()));
+}
+
+export default {
+  COUNTER_SHARDS,
+  counterDeltas,
+  incrementCounterShard,
+  applyCounterShards,
+  loadLiveCounts
+};
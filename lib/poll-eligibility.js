@@ -0,0 +1,123 @@
+/**
+ * Poll eligibility
+ * Poll creators can restrict who may vote by minimum token balance, minimum
+ * (Twitter) account age and allowed roles. Every poll requires the voter to
+ * have an account; the other criteria only apply when set.
+ *
+ * Roles are matched against the account role (citizen, government, admin),
+ * the user's governmentRole (e.g. president, financeMinister) and 'citizen'
+ * for anyone registered in the citizens collection.
+ */
+
+import { POSITION_GOVERNMENT_ROLES } from './government.js';
+
+/**
+ * Roles a poll can be restricted to
+ */
+export const POLL_ROLES = ['citizen', 'government', 'admin', ...Object.values(POSITION_GOVERNMENT_ROLES)];
+
+/**
+ * Validate eligibility criteria attached at poll creation
+ * @param {Object} [criteria]
+ * @param {number} [criteria.minTokens] - Minimum TURDS balance (same units as users.tokenBalance)
+ * @param {number} [criteria.minAccountAgeMonths] - Minimum Twitter account age
+ * @param {Array<string>} [criteria.allowedRoles] - Any one of these roles qualifies
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function validateEligibilityCriteria(criteria) {
+  if (criteria === undefined || criteria === null) {
+    criteria = {};
+  }
+  if (typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return { valid: false, error: 'Eligibility must be an object' };
+  }
+
+  const { minTokens, minAccountAgeMonths, allowedRoles } = criteria;
+
+  const tokens = minTokens === undefined || minTokens === null ? 0 : Number(minTokens);
+  if (!Number.isFinite(tokens) || tokens < 0) {
+    return { valid: false, error: 'minTokens must be zero or more' };
+  }
+
+  const ageMonths = minAccountAgeMonths === undefined || minAccountAgeMonths === null ? 0 : Number(minAccountAgeMonths);
+  if (!Number.isInteger(ageMonths) || ageMonths < 0) {
+    return { valid: false, error: 'minAccountAgeMonths must be a whole number of zero or more' };
+  }
+
+  let roles = null;
+  if (allowedRoles !== undefined && allowedRoles !== null) {
+    if (!Array.isArray(allowedRoles) || allowedRoles.length === 0) {
+      return { valid: false, error: 'allowedRoles must be a non-empty array' };
+    }
+    const invalid = allowedRoles.filter(role => !POLL_ROLES.includes(role));
+    if (invalid.length > 0) {
+      return { valid: false, error: `Invalid roles: ${invalid.join(', ')}` };
+    }
+    roles = [...new Set(allowedRoles)];
+  }
+
+  return {
+    valid: true,
+    value: { minTokens: tokens, minAccountAgeMonths: ageMonths, allowedRoles: roles }
+  };
+}
+
+/**
+ * Roles a user holds for eligibility purposes
+ */
+function userRoles(userData, citizenDoc) {
+  const roles = new Set([userData.role, userData.governmentRole].filter(Boolean));
+  if (citizenDoc?.exists && citizenDoc.data().isActive !== false) {
+    roles.add('citizen');
+  }
+  return roles;
+}
+
+/**
+ * Check a user against a poll's eligibility criteria
+ * @param {Object} pollData - Poll document data
+ * @param {admin.firestore.DocumentSnapshot} userDoc - users/{uid}
+ * @param {admin.firestore.DocumentSnapshot} citizenDoc - citizens/{uid}
+ * @param {Object} [options]
+ * @param {number|null} [options.tokenBalance] - Snapshotted balance, used instead of
+ *   users.tokenBalance when the poll has one so balances can't be topped up mid-poll
+ * @returns {{eligible: boolean, reason?: string}}
+ */
+export function checkPollEligibility(pollData, userDoc, citizenDoc, { tokenBalance = null } = {}) {
+  if (!userDoc.exists) {
+    return { eligible: false, reason: 'You need an account to vote on polls' };
+  }
+
+  const userData = userDoc.data();
+  const { minTokens = 0, minAccountAgeMonths = 0, allowedRoles = null } = pollData.eligibility || {};
+
+  if (allowedRoles) {
+    const roles = userRoles(userData, citizenDoc);
+    if (!allowedRoles.some(role => roles.has(role))) {
+      return { eligible: false, reason: `This poll is limited to: ${allowedRoles.join(', ')}` };
+    }
+  }
+
+  if (minAccountAgeMonths > 0 && (userData.twitterAccountAgeMonths || 0) < minAccountAgeMonths) {
+    return {
+      eligible: false,
+      reason: `Your account must be at least ${minAccountAgeMonths} months old to vote on this poll`
+    };
+  }
+
+  const balance = tokenBalance ?? userData.tokenBalance ?? 0;
+  if (minTokens > 0 && balance < minTokens) {
+    return {
+      eligible: false,
+      reason: `You need at least ${minTokens.toLocaleString()} TURDS to vote on this poll`
+    };
+  }
+
+  return { eligible: true };
+}
+
+export default {
+  POLL_ROLES,
+  validateEligibilityCriteria,
+  checkPollEligibility
+};
@@ -0,0 +1,147 @@
+/**
+ * Quorum and passing thresholds
+ * A poll created with a quorum or a passing threshold is binding: when it
+ * closes its outcome records whether it passed, failed or fell short of
+ * quorum. Polls with neither are advisory and get no result.
+ *
+ * Quorum counts voters (direct plus delegated), either as an absolute
+ * number or as a share of active citizens at close. The threshold is met
+ * when the winning option's weighted support is above half (simple
+ * majority) or at least two thirds (supermajority) of the weighted ballots
+ * cast; on ranked polls the support is the winner's final-round count.
+ */
+
+/**
+ * How a quorum is expressed
+ */
+export const QuorumTypes = {
+  ABSOLUTE: 'absolute',
+  SHARE: 'share'
+};
+
+/**
+ * Passing thresholds
+ */
+export const PassingThresholds = {
+  SIMPLE_MAJORITY: 'simple_majority',
+  SUPERMAJORITY: 'supermajority'
+};
+
+/**
+ * Result of a binding poll
+ */
+export const PollResults = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  NO_QUORUM: 'no_quorum'
+};
+
+/**
+ * Validate quorum and threshold rules at poll creation
+ * @param {Object} rules
+ * @param {{type: string, value: number}} [rules.quorum] - value is a voter count for absolute
+ *   quorums and a fraction between 0 and 1 for share quorums
+ * @param {string} [rules.threshold] - One of PassingThresholds
+ * @returns {{valid: boolean, error?: string, value?: {quorum: Object|null, threshold: string|null}}}
+ */
+export function validateQuorumRules({ quorum, threshold } = {}) {
+  let quorumValue = null;
+  if (quorum !== undefined && quorum !== null) {
+    if (typeof quorum !== 'object' || !Object.values(QuorumTypes).includes(quorum.type)) {
+      return { valid: false, error: `Quorum type must be one of: ${Object.values(QuorumTypes).join(', ')}` };
+    }
+
+    const value = Number(quorum.value);
+    if (quorum.type === QuorumTypes.ABSOLUTE && (!Number.isInteger(value) || value < 1)) {
+      return { valid: false, error: 'An absolute quorum must be a whole number of at least 1' };
+    }
+    if (quorum.type === QuorumTypes.SHARE && (!Number.isFinite(value) || value <= 0 || value > 1)) {
+      return { valid: false, error: 'A share quorum must be above 0 and at most 1' };
+    }
+    quorumValue = { type: quorum.type, value };
+  }
+
+  if (threshold !== undefined && threshold !== null && !Object.values(PassingThresholds).includes(threshold)) {
+    return { valid: false, error: `Threshold must be one of: ${Object.values(PassingThresholds).join(', ')}` };
+  }
+
+  return { valid: true, value: { quorum: quorumValue, threshold: threshold || null } };
+}
+
+/**
+ * Whether a poll's result is binding
+ */
+export function isBindingPoll(pollData) {
+  return Boolean(pollData.quorum || pollData.threshold);
+}
+
+/**
+ * Number of voters a quorum requires
+ * @param {Object} quorum - Validated quorum
+ * @param {number|null} eligibleCitizens - Active citizens, needed for share quorums
+ */
+export function requiredParticipation(quorum, eligibleCitizens) {
+  if (!quorum) return 0;
+  if (quorum.type === QuorumTypes.ABSOLUTE) return quorum.value;
+  return Math.ceil(quorum.value * (eligibleCitizens || 0));
+}
+
+/**
+ * Whether the winner's support clears a threshold (compared without
+ * dividing, so exactly two thirds isn't lost to rounding)
+ */
+function meetsThreshold(threshold, winnerWeight, ballotWeight) {
+  if (threshold === PassingThresholds.SUPERMAJORITY) {
+    return winnerWeight * 3 >= ballotWeight * 2;
+  }
+  return winnerWeight * 2 > ballotWeight;
+}
+
+/**
+ * Apply a poll's quorum and threshold to its outcome
+ * @param {Object} pollData - Poll document data
+ * @param {Object} outcome - Output of decidePollOutcome
+ * @param {Object} context
+ * @param {number} context.participation - Voters counted (direct plus delegated)
+ * @param {number} context.ballotWeight - Total weight of the ballots counted
+ * @param {number} context.winnerWeight - Weighted support of the winning option
+ * @param {number|null} [context.eligibleCitizens] - Active citizens at close
+ * @returns {{result: string|null, quorum?: Object, threshold?: string, winningShare?: number}}
+ *   result is null for advisory polls
+ */
+export function evaluatePollRules(pollData, outcome, { participation, ballotWeight, winnerWeight, eligibleCitizens = null }) {
+  if (!isBindingPoll(pollData)) {
+    return { result: null };
+  }
+
+  const required = requiredParticipation(pollData.quorum, eligibleCitizens);
+  const quorum = {
+    ...(pollData.quorum || {}),
+    required,
+    participation,
+    eligibleCitizens,
+    met: participation >= required
+  };
+  const threshold = pollData.threshold || PassingThresholds.SIMPLE_MAJORITY;
+  const winningShare = ballotWeight > 0 && !outcome.tie ? winnerWeight / ballotWeight : 0;
+
+  let result = PollResults.NO_QUORUM;
+  if (quorum.met) {
+    result = outcome.winningOptionIndexes.length === 1 && ballotWeight > 0 &&
+      meetsThreshold(threshold, winnerWeight, ballotWeight)
+      ? PollResults.PASSED
+      : PollResults.FAILED;
+  }
+
+  return { result, quorum, threshold, winningShare };
+}
+
+export default {
+  QuorumTypes,
+  PassingThresholds,
+  PollResults,
+  validateQuorumRules,
+  isBindingPoll,
+  requiredParticipation,
+  evaluatePollRules
+};
@@ -0,0 +1,116 @@
+/**
+ * Poll types
+ * How a ballot on a government poll selects options and how those
+ * selections count:
+ *
+ *  - single:   exactly one option
+ *  - multiple: one to maxPicks options, each counted
+ *  - approval: any number of options, each counted
+ *  - ranked:   options in order of preference; live counters show first
+ *              preferences and the winner is found by instant runoff at close
+ */
+
+import { ValidationError } from './errors.js';
+import { runInstantRunoff } from './tally.js';
+
+export const PollTypes = {
+  SINGLE: 'single',
+  MULTIPLE: 'multiple',
+  APPROVAL: 'approval',
+  RANKED: 'ranked'
+};
+
+/**
+ * Validate a poll's type and pick limit at creation
+ * @param {Object} input
+ * @param {string} [input.pollType] - Defaults to single
+ * @param {number} [input.maxPicks] - Required for multiple choice polls
+ * @param {number} optionCount - Number of options on the poll
+ * @returns {{valid: boolean, error?: string, value?: {pollType: string, maxPicks: number|null}}}
+ */
+export function validatePollType({ pollType, maxPicks } = {}, optionCount) {
+  const type = pollType || PollTypes.SINGLE;
+  if (!Object.values(PollTypes).includes(type)) {
+    return { valid: false, error: `Poll type must be one of: ${Object.values(PollTypes).join(', ')}` };
+  }
+
+  if (type !== PollTypes.MULTIPLE) {
+    return { valid: true, value: { pollType: type, maxPicks: null } };
+  }
+
+  const picks = Number(maxPicks);
+  if (!Number.isInteger(picks) || picks < 2 || picks > optionCount) {
+    return { valid: false, error: `maxPicks must be a whole number between 2 and ${optionCount}` };
+  }
+
+  return { valid: true, value: { pollType: type, maxPicks: picks } };
+}
+
+/**
+ * The option indexes a stored ballot selected (in preference order for
+ * ranked polls); ballots from before poll types only have optionIndex
+ */
+export function ballotSelections(ballot) {
+  return ballot.optionIndexes || [ballot.optionIndex];
+}
+
+/**
+ * Validate a voter's selections against a poll
+ * Single choice polls take optionIndex; the others take optionIndexes
+ * (a lone optionIndex is accepted as a one-option selection).
+ * @returns {Array<number>} Selected option indexes
+ * @throws {ValidationError}
+ */
+export function parseSelections(pollData, { optionIndex, optionIndexes }) {
+  const pollType = pollData.pollType || PollTypes.SINGLE;
+  const selections = Array.isArray(optionIndexes) ? optionIndexes : [optionIndex];
+
+  if (selections.length === 0 || selections.some(index =>
+    !Number.isInteger(index) || index < 0 || index >= pollData.options.length)) {
+    throw new ValidationError('Invalid option selected');
+  }
+  if (new Set(selections).size !== selections.length) {
+    throw new ValidationError('Each option can only be selected once');
+  }
+
+  if (pollType === PollTypes.SINGLE && selections.length !== 1) {
+    throw new ValidationError('Select exactly one option');
+  }
+  if (pollType === PollTypes.MULTIPLE && selections.length > pollData.maxPicks) {
+    throw new ValidationError(`Select at most ${pollData.maxPicks} options`);
+  }
+
+  return selections;
+}
+
+/**
+ * The options a ballot adds to the live per-option counters
+ * (every selection, except on ranked polls where only the first preference counts)
+ */
+export function countedSelections(pollData, selections) {
+  return pollData.pollType === PollTypes.RANKED ? selections.slice(0, 1) : selections;
+}
+
+/**
+ * Run the instant-runoff count for a ranked poll
+ * @param {Object} pollData - Poll document data
+ * @param {Array<{optionIndexes: Array<number>, weight: number}>} ballots - Direct and delegated ballots
+ * @returns {{rounds: Array<Object>, winner: number|null, tied: boolean}} Round counts are keyed by option index
+ */
+export function tallyRankedPoll(pollData, ballots) {
+  const { rounds, winner, tied } = runInstantRunoff(
+    pollData.options.map((_, index) => String(index)),
+    ballots.map(ballot => ({ rankings: ballot.optionIndexes.map(String), weight: ballot.weight }))
+  );
+
+  return { rounds, winner: winner === null ? null : Number(winner), tied };
+}
+
+export default {
+  PollTypes,
+  validatePollType,
+  ballotSelections,
+  parseSelections,
+  countedSelections,
+  tallyRankedPoll
+};
@@ -0,0 +1,874 @@
+/**
+ * Government poll voting
+ * Shared by the government and vote hub endpoints so both record poll
+ * votes the same way
+ *
+ * Each voter's current choice is kept in government_polls/{id}/ballots/{userId},
+ * which is also what stops double voting, so it can be changed or withdrawn
+ * while the poll is open. Counts go to sharded counters (see poll-counters.js)
+ * rather than the poll document. Every cast, change and withdrawal is also
+ * appended to vote_logs as the audit history. Delegated votes are added when
+ * the poll closes (see delegations.js). Anonymous polls store ballots under
+ * a receipt instead and keep no vote log (see secret-ballot.js).
+ *
+ * Polls from before ballots were stored keep a voters array until
+ * scripts/migrate-poll-votes.js moves them over.
+ */
+
+import { admin } from './firebase-init.js';
+import { AppError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { assertBalanceSnapshot, getSnapshotWeight } from './weights.js';
+import { resolvePollDelegations } from './delegations.js';
+import { checkPollEligibility } from './poll-eligibility.js';
+import { assertBallotReceipt } from './secret-ballot.js';
+import { generateReceiptId } from './ballot-log.js';
+import { PollTypes, ballotSelections, parseSelections, tallyRankedPoll } from './poll-types.js';
+import { applyCounterShards, counterDeltas, incrementCounterShard } from './poll-counters.js';
+import { QuorumTypes, evaluatePollRules } from './poll-quorum.js';
+import { toDate } from './elections.js';
+import logger from './logger.js';
+
+const BATCH_SIZE = 400;
+
+// A finalization claim older than this is assumed to have crashed and may be retaken
+const FINALIZE_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Vote log actions
+ */
+export const PollVoteActions = {
+  CAST: 'cast',
+  CHANGE: 'change',
+  WITHDRAW: 'withdraw'
+};
+
+/**
+ * Where a poll is relative to its voting window
+ */
+export const PollWindow = {
+  SCHEDULED: 'scheduled',
+  OPEN: 'open',
+  ENDED: 'ended',
+  CLOSED: 'closed'
+};
+
+/**
+ * Work out a poll's window state
+ * Polls without opensAt open on creation; polls without closesAt stay open
+ * until closed by hand. ENDED means closesAt has passed but the scheduled
+ * close has not finalized the poll yet.
+ * @returns {string} One of PollWindow
+ */
+export function getPollWindow(pollData, now = new Date()) {
+  if (pollData.isActive === false) return PollWindow.CLOSED;
+
+  const opensAt = toDate(pollData.opensAt);
+  const closesAt = toDate(pollData.closesAt);
+  if (opensAt && now < opensAt) return PollWindow.SCHEDULED;
+  if (closesAt && now >= closesAt) return PollWindow.ENDED;
+  return PollWindow.OPEN;
+}
+
+/**
+ * Validate optional opensAt/closesAt for a new poll
+ * @returns {{valid: boolean, error?: string, value?: {opensAt: Date|null, closesAt: Date|null}}}
+ */
+export function validatePollSchedule({ opensAt, closesAt } = {}, now = new Date()) {
+  const opens = opensAt ? toDate(opensAt) : null;
+  const closes = closesAt ? toDate(closesAt) : null;
+
+  if (opensAt && !opens) {
+    return { valid: false, error: 'opensAt must be a valid date' };
+  }
+  if (closesAt && !closes) {
+    return { valid: false, error: 'closesAt must be a valid date' };
+  }
+  if (closes && closes <= (opens && opens > now ? opens : now)) {
+    return { valid: false, error: 'closesAt must be in the future and after opensAt' };
+  }
+
+  return { valid: true, value: { opensAt: opens, closesAt: closes } };
+}
+
+/**
+ * Load a poll and make sure it is accepting votes right now
+ * @throws {NotFoundError|AppError}
+ */
+function readOpenPoll(pollDoc) {
+  const pollData = readPoll(pollDoc);
+
+  const window = getPollWindow(pollData);
+  if (window === PollWindow.SCHEDULED) {
+    throw new AppError('This poll has not opened yet', 403, 'POLL_NOT_OPEN');
+  }
+  if (window !== PollWindow.OPEN) {
+    throw new AppError('This poll is closed', 403, 'POLL_CLOSED');
+  }
+
+  return pollData;
+}
+
+/**
+ * Load a poll
+ * @throws {NotFoundError}
+ */
+function readPoll(pollDoc) {
+  if (!pollDoc.exists) {
+    throw new NotFoundError('Poll not found');
+  }
+  return pollDoc.data();
+}
+
+/**
+ * Whether two selections are the same (order matters on ranked polls)
+ */
+function sameSelections(pollData, a, b) {
+  if (pollData.pollType === PollTypes.RANKED) {
+    return a.length === b.length && a.every((index, i) => index === b[i]);
+  }
+  return a.length === b.length && a.every(index => b.includes(index));
+}
+
+/**
+ * Read a voter's current ballot on a poll inside a transaction
+ * Votes on unmigrated polls cast before ballots were stored fall back to the
+ * vote log. Votes whose choice was never recorded (legacy ballots, or voters
+ * listed without a log entry) come back with legacy set and no selections.
+ * @returns {Promise<{optionIndexes: Array<number>|null, weight: number, legacy?: boolean}|null>} Null when the user has not voted
+ */
+async function readCurrentBallot(firestore, transaction, pollRef, pollData, userId) {
+  const legacyVote = { optionIndexes: null, weight: 1, legacy: true };
+
+  const ballotDoc = await transaction.get(pollRef.collection('ballots').doc(userId));
+  if (ballotDoc.exists) {
+    const ballot = ballotDoc.data();
+    if (ballot.legacy) {
+      return legacyVote;
+    }
+    return ballot.withdrawn ? null : { optionIndexes: ballotSelections(ballot), weight: ballot.weight ?? 1 };
+  }
+
+  if (!pollData.voters || !pollData.voters.includes(userId)) {
+    return null;
+  }
+
+  const logSnapshot = await transaction.get(
+    firestore.collection('vote_logs')
+      .where('pollId', '==', pollRef.id)
+      .where('userId', '==', userId)
+      .limit(1)
+  );
+  if (logSnapshot.empty) {
+    return legacyVote;
+  }
+
+  const log = logSnapshot.docs[0].data();
+  return { optionIndexes: ballotSelections(log), weight: log.weight ?? 1 };
+}
+
+/**
+ * Read the ballot a voter is changing or withdrawing inside a transaction
+ * On anonymous polls the ballot is found by its receipt, and the user must
+ * be recorded as having voted.
+ * @returns {Promise<{ballotRef: admin.firestore.DocumentReference, ballot: {optionIndexes: Array<number>, weight: number}|null}>}
+ *   ballot is null when the vote was withdrawn (or, on anonymous polls, the ballot is withdrawn)
+ * @throws {NotFoundError|ValidationError}
+ * @throws {AppError} LEGACY_VOTE (409) if the vote's choice was never recorded
+ */
+async function readVoterBallot(firestore, transaction, pollRef, pollData, { userId, receiptId }) {
+  if (!pollData.anonymous) {
+    const ballot = await readCurrentBallot(firestore, transaction, pollRef, pollData, userId);
+    if (ballot?.legacy) {
+      throw new AppError(
+        'This vote was cast before choices were recorded, so it can\'t be changed or withdrawn',
+        409,
+        'LEGACY_VOTE'
+      );
+    }
+    return { ballotRef: pollRef.collection('ballots').doc(userId), ballot };
+  }
+
+  const ballotRef = pollRef.collection('ballots').doc(assertBallotReceipt(receiptId));
+  const [participantDoc, ballotDoc] = await transaction.getAll(
+    pollRef.collection('participants').doc(userId),
+    ballotRef
+  );
+  if (!participantDoc.exists) {
+    throw new NotFoundError('You have not voted on this poll');
+  }
+  if (!ballotDoc.exists) {
+    throw new NotFoundError('No ballot with this receipt was found on this poll');
+  }
+
+  const ballot = ballotDoc.data();
+  return {
+    ballotRef,
+    ballot: ballot.withdrawn ? null : { optionIndexes: ballotSelections(ballot), weight: ballot.weight ?? 1 }
+  };
+}
+
+/**
+ * Cast a vote on a government poll
+ * On anonymous polls the result carries the ballot receipt, the only way to
+ * change or withdraw the vote later; a withdrawn anonymous ballot is cast
+ * again by changing it with that receipt.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} vote
+ * @param {string} vote.pollId - Poll document ID
+ * @param {number} [vote.optionIndex] - Index of the chosen option (single choice polls)
+ * @param {Array<number>} [vote.optionIndexes] - Chosen options; in preference order on ranked polls
+ * @param {string} vote.userId - Voting user
+ * @param {string} [vote.userWallet] - Voter's wallet, kept in the vote log
+ * @returns {Promise<{weight: number, optionIndexes: Array<number>, receiptId?: string}>}
+ * @throws {AppError} NOT_ELIGIBLE (403) if the voter fails the poll's eligibility criteria,
+ *   BALANCE_SNAPSHOT_PENDING (409) if a weighted poll's balances aren't frozen yet
+ */
+export async function castPollVote(firestore, { pollId, optionIndex, optionIndexes, userId, userWallet = null }) {
+  const pollRef = firestore.collection('government_polls').doc(pollId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const pollData = readOpenPoll(await transaction.get(pollRef));
+    // Token-weighted polls take votes once the scheduled job has frozen balances
+    assertBalanceSnapshot(pollData);
+
+    // The participant or ballot document is the double-vote check (withdrawn
+    // ballots may vote again, except on anonymous polls where the receipt re-casts)
+    const participantRef = pollRef.collection('participants').doc(userId);
+    if (pollData.anonymous) {
+      if ((await transaction.get(participantRef)).exists) {
+        throw new AppError('You have already voted on this poll - use your ballot receipt to change it', 400, 'ALREADY_VOTED');
+      }
+    } else if (await readCurrentBallot(firestore, transaction, pollRef, pollData, userId)) {
+      throw new AppError('You have already voted on this poll', 400, 'ALREADY_VOTED');
+    }
+
+    const selections = parseSelections(pollData, { optionIndex, optionIndexes });
+    const { weight, tokenBalance } = await getSnapshotWeight(pollRef, userId, pollData.weighting, transaction);
+
+    const [userDoc, citizenDoc] = await transaction.getAll(
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId)
+    );
+    const eligibility = checkPollEligibility(pollData, userDoc, citizenDoc, { tokenBalance });
+    if (!eligibility.eligible) {
+      throw new AppError(eligibility.reason, 403, 'NOT_ELIGIBLE');
+    }
+
+    incrementCounterShard(transaction, pollRef, counterDeltas(pollData, [
+      { selections, direction: 1, weight }
+    ]));
+
+    if (pollData.anonymous) {
+      const receiptId = generateReceiptId();
+      transaction.set(participantRef, { voted: true });
+      transaction.set(pollRef.collection('ballots').doc(receiptId), {
+        optionIndex: selections[0],
+        optionIndexes: selections,
+        weight,
+        withdrawn: false
+      });
+
+      return { weight, optionIndexes: selections, receiptId };
+    }
+
+    transaction.set(pollRef.collection('ballots').doc(userId), {
+      optionIndex: selections[0],
+      optionIndexes: selections,
+      weight,
+      withdrawn: false,
+      votedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Log the vote
+    transaction.set(firestore.collection('vote_logs').doc(), {
+      pollId,
+      userId,
+      userWallet,
+      action: PollVoteActions.CAST,
+      optionIndex: selections[0],
+      optionIndexes: selections,
+      weight,
+      votedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { weight, optionIndexes: selections };
+  });
+}
+
+/**
+ * Replace a voter's poll selections
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} vote
+ * @param {string} vote.pollId - Poll document ID
+ * @param {number} [vote.optionIndex] - Index of the newly chosen option (single choice polls)
+ * @param {Array<number>} [vote.optionIndexes] - Newly chosen options
+ * @param {string} vote.userId - Voting user
+ * @param {string} [vote.receiptId] - Ballot receipt, required on anonymous polls
+ * @param {string} [vote.userWallet] - Voter's wallet, kept in the vote log
+ * @returns {Promise<{previousOptionIndexes: Array<number>|null, optionIndexes: Array<number>, weight: number}>}
+ *   previousOptionIndexes is null when a withdrawn anonymous ballot is cast again
+ */
+export async function changePollVote(firestore, { pollId, optionIndex, optionIndexes, userId, receiptId = null, userWallet = null }) {
+  const pollRef = firestore.collection('government_polls').doc(pollId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const pollData = readOpenPoll(await transaction.get(pollRef));
+    const { ballotRef, ballot } = await readVoterBallot(firestore, transaction, pollRef, pollData, { userId, receiptId });
+
+    if (!ballot && !pollData.anonymous) {
+      throw new NotFoundError('You have not voted on this poll');
+    }
+
+    const selections = parseSelections(pollData, { optionIndex, optionIndexes });
+    if (ballot && sameSelections(pollData, selections, ballot.optionIndexes)) {
+      throw new ValidationError('Vote is already for this option');
+    }
+
+    // Weight was fixed when the vote was cast (anonymous polls are equal weighted)
+    const weight = ballot ? ballot.weight : 1;
+    incrementCounterShard(transaction, pollRef, counterDeltas(pollData, [
+      ...(ballot ? [{ selections: ballot.optionIndexes, direction: -1, weight }] : []),
+      { selections, direction: 1, weight }
+    ]));
+
+    const previousOptionIndexes = ballot ? ballot.optionIndexes : null;
+    if (pollData.anonymous) {
+      transaction.set(ballotRef, {
+        optionIndex: selections[0],
+        optionIndexes: selections,
+        weight,
+        withdrawn: false
+      });
+
+      return { previousOptionIndexes, optionIndexes: selections, weight };
+    }
+
+    transaction.set(ballotRef, {
+      optionIndex: selections[0],
+      optionIndexes: selections,
+      weight,
+      withdrawn: false,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    transaction.set(firestore.collection('vote_logs').doc(), {
+      pollId,
+      userId,
+      userWallet,
+      action: PollVoteActions.CHANGE,
+      previousOptionIndex: ballot.optionIndexes[0],
+      previousOptionIndexes: ballot.optionIndexes,
+      optionIndex: selections[0],
+      optionIndexes: selections,
+      weight,
+      votedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { previousOptionIndexes, optionIndexes: selections, weight };
+  });
+}
+
+/**
+ * Withdraw a voter's poll vote; they may vote again while the poll is open
+ * (on anonymous polls by changing the withdrawn ballot with its receipt)
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} vote
+ * @param {string} vote.pollId - Poll document ID
+ * @param {string} vote.userId - Voting user
+ * @param {string} [vote.receiptId] - Ballot receipt, required on anonymous polls
+ * @param {string} [vote.userWallet] - Voter's wallet, kept in the vote log
+ * @returns {Promise<{previousOptionIndexes: Array<number>}>}
+ */
+export async function withdrawPollVote(firestore, { pollId, userId, receiptId = null, userWallet = null }) {
+  const pollRef = firestore.collection('government_polls').doc(pollId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const pollData = readOpenPoll(await transaction.get(pollRef));
+    const { ballotRef, ballot } = await readVoterBallot(firestore, transaction, pollRef, pollData, { userId, receiptId });
+
+    if (!ballot) {
+      throw new NotFoundError(pollData.anonymous ? 'This ballot has already been withdrawn' : 'You have not voted on this poll');
+    }
+
+    const weight = ballot.weight;
+    incrementCounterShard(transaction, pollRef, counterDeltas(pollData, [
+      { selections: ballot.optionIndexes, direction: -1, weight }
+    ]));
+
+    if (pollData.anonymous) {
+      transaction.update(ballotRef, { withdrawn: true });
+
+      return { previousOptionIndexes: ballot.optionIndexes };
+    }
+
+    transaction.set(ballotRef, {
+      optionIndex: ballot.optionIndexes[0],
+      optionIndexes: ballot.optionIndexes,
+      weight,
+      withdrawn: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    transaction.set(firestore.collection('vote_logs').doc(), {
+      pollId,
+      userId,
+      userWallet,
+      action: PollVoteActions.WITHDRAW,
+      previousOptionIndex: ballot.optionIndexes[0],
+      previousOptionIndexes: ballot.optionIndexes,
+      optionIndex: null,
+      optionIndexes: null,
+      weight,
+      votedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { previousOptionIndexes: ballot.optionIndexes };
+  });
+}
+
+/**
+ * Whether a user currently has a (non-withdrawn) vote on a poll
+ * On anonymous polls only participation is known, so a withdrawn ballot still counts as voted.
+ * @param {admin.firestore.DocumentSnapshot} pollDoc
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasVotedOnPoll(pollDoc, userId) {
+  const pollData = pollDoc.data();
+  if (pollData.anonymous) {
+    return (await pollDoc.ref.collection('participants').doc(userId).get()).exists;
+  }
+
+  const ballotDoc = await pollDoc.ref.collection('ballots').doc(userId).get();
+  if (ballotDoc.exists) {
+    return !ballotDoc.data().withdrawn;
+  }
+  return Boolean(pollData.voters && pollData.voters.includes(userId));
+}
+
+/**
+ * Move a poll off its legacy voters array
+ * Every voter without a ballot document gets one rebuilt from their latest
+ * vote log entry, then the voters array is deleted. Voters whose choice
+ * can't be recovered (votes cast through the old endpoint kept no log) get a
+ * legacy ballot recording only that they voted, so they still can't vote
+ * twice. Counts stay on the poll document, where live counts pick them up
+ * alongside the counter shards.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} pollId
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Write the changes; otherwise only report them
+ * @returns {Promise<{pollId: string, voters: number, rebuilt: number, legacy: number, migrated: boolean}>}
+ */
+export async function migrateLegacyVoters(firestore, pollId, { apply = false } = {}) {
+  const pollRef = firestore.collection('government_polls').doc(pollId);
+  const pollData = readPoll(await pollRef.get());
+  const voters = pollData.voters || [];
+
+  const [ballotsSnapshot, logsSnapshot] = await Promise.all([
+    pollRef.collection('ballots').get(),
+    firestore.collection('vote_logs').where('pollId', '==', pollId).get()
+  ]);
+  const ballotIds = new Set(ballotsSnapshot.docs.map(doc => doc.id));
+
+  // Latest log entry per voter
+  const latestLogs = new Map();
+  logsSnapshot.docs.forEach(doc => {
+    const log = doc.data();
+    const previous = latestLogs.get(log.userId);
+    if (!previous || (toDate(log.votedAt) || 0) > (toDate(previous.votedAt) || 0)) {
+      latestLogs.set(log.userId, log);
+    }
+  });
+
+  const rebuilt = [];
+  let legacy = 0;
+  for (const userId of voters) {
+    if (ballotIds.has(userId)) continue;
+
+    const log = latestLogs.get(userId);
+    if (!log || log.action === PollVoteActions.WITHDRAW) {
+      // No choice and no withdrawn field, so queries for counted ballots skip it
+      rebuilt.push({
+        userId,
+        ballot: { legacy: true, migratedAt: admin.firestore.FieldValue.serverTimestamp() }
+      });
+      legacy++;
+      continue;
+    }
+    const optionIndexes = ballotSelections(log);
+    rebuilt.push({
+      userId,
+      ballot: {
+        optionIndex: optionIndexes[0],
+        optionIndexes,
+        weight: log.weight ?? 1,
+        withdrawn: false,
+        votedAt: log.votedAt || null,
+        migratedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    });
+  }
+
+  const migrated = pollData.voters !== undefined;
+  if (apply) {
+    for (let i = 0; i < rebuilt.length; i += BATCH_SIZE) {
+      const batch = firestore.batch();
+      rebuilt.slice(i, i + BATCH_SIZE).forEach(({ userId, ballot }) => {
+        batch.set(pollRef.collection('ballots').doc(userId), ballot);
+      });
+      await batch.commit();
+    }
+    if (migrated) {
+      await pollRef.update({ voters: admin.firestore.FieldValue.delete() });
+    }
+  }
+
+  return { pollId, voters: voters.length, rebuilt: rebuilt.length - legacy, legacy, migrated };
+}
+
+/**
+ * Decide a poll's outcome from its final results
+ * The winner is the option with the most weighted votes (direct plus
+ * delegated, and on multiple choice and approval polls every selection
+ * counts); a shared top score is recorded as a tie. Ranked polls take the
+ * instant-runoff result instead.
+ * @param {Object} results - Output of summarizePollResults
+ * @param {Object} [runoff] - Output of tallyRankedPoll, for ranked polls
+ * @returns {{winningOptionIndexes: Array<number>, winningOption: string|null, tie: boolean, totalVotes: number, totalWeightedVotes: number, rounds?: Array<Object>}}
+ */
+export function decidePollOutcome(results, runoff = null) {
+  const totals = {
+    totalVotes: results.totalVotes,
+    totalWeightedVotes: results.options.reduce((sum, option) => sum + option.weightedVotes, 0)
+  };
+
+  if (runoff) {
+    return {
+      winningOptionIndexes: runoff.winner === null ? [] : [runoff.winner],
+      winningOption: runoff.winner === null ? null : results.options[runoff.winner].text,
+      tie: runoff.tied,
+      ...totals,
+      rounds: runoff.rounds
+    };
+  }
+
+  const topScore = Math.max(0, ...results.options.map(option => option.weightedVotes));
+  const winningOptionIndexes = topScore > 0
+    ? results.options
+      .map((option, index) => ({ option, index }))
+      .filter(({ option }) => option.weightedVotes === topScore)
+      .map(({ index }) => index)
+    : [];
+
+  return {
+    winningOptionIndexes,
+    winningOption: winningOptionIndexes.length === 1 ? results.options[winningOptionIndexes[0]].text : null,
+    tie: winningOptionIndexes.length > 1,
+    ...totals
+  };
+}
+
+/**
+ * Every counted ballot on a closed poll: direct ballots that weren't
+ * withdrawn plus the delegated ballots resolved at close
+ * @returns {Promise<Array<{optionIndexes: Array<number>, weight: number}>>}
+ */
+async function loadFinalBallots(pollRef) {
+  const [directSnapshot, delegatedSnapshot] = await Promise.all([
+    pollRef.collection('ballots').where('withdrawn', '==', false).get(),
+    pollRef.collection('delegated_ballots').get()
+  ]);
+
+  return [...directSnapshot.docs, ...delegatedSnapshot.docs].map(doc => ({
+    optionIndexes: ballotSelections(doc.data()),
+    weight: doc.data().weight ?? 1
+  }));
+}
+
+/**
+ * Number of active citizens, the base of share quorums
+ */
+async function countActiveCitizens(firestore) {
+  const snapshot = await firestore.collection('citizens').where('isActive', '==', true).count().get();
+  return snapshot.data().count;
+}
+
+/**
+ * Claim a closed poll's finalization inside a transaction, so an admin
+ * close and the scheduled job can't both resolve its delegations and record
+ * an outcome
+ * @returns {admin.firestore.Timestamp} The claim, checked again when the outcome is written
+ * @throws {ConflictError} While another request holds an unexpired claim
+ */
+function claimFinalization(transaction, pollRef, data) {
+  const claimedAt = data.finalizingAt?.toMillis?.() || 0;
+  if (Date.now() - claimedAt < FINALIZE_LEASE_MS) {
+    throw new ConflictError('This poll is already being finalized');
+  }
+
+  const claim = admin.firestore.Timestamp.now();
+  transaction.update(pollRef, { finalizingAt: claim });
+  return claim;
+}
+
+/**
+ * Close a poll, resolve the votes delegated on it and record the outcome
+ * Works on polls whose closesAt has passed as well as ones closed by hand.
+ * Binding polls also get a passed, failed or no_quorum result (see poll-quorum.js).
+ * A poll that was closed but never got its outcome (finalizing failed part
+ * way) is finalized again rather than rejected.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} pollId - Poll document ID
+ * @param {Object} [options]
+ * @param {string} [options.closedBy] - Admin closing the poll, or 'system' for the scheduled close
+ * @returns {Promise<{delegation: Object, outcome: Object}>}
+ * @throws {ConflictError} If the poll is already being finalized
+ */
+export async function closePoll(firestore, pollId, { closedBy = null } = {}) {
+  const pollRef = firestore.collection('government_polls').doc(pollId);
+
+  // Closing first means no direct vote can land while chains are resolved;
+  // the counter shards are folded into the poll in the same transaction
+  const claim = await firestore.runTransaction(async (transaction) => {
+    const data = readPoll(await transaction.get(pollRef));
+    if (data.isActive === false) {
+      if (data.outcomePending !== true) {
+        throw new AppError('This poll is already closed', 400, 'POLL_CLOSED');
+      }
+      return claimFinalization(transaction, pollRef, data);
+    }
+
+    const shardsSnapshot = await transaction.get(pollRef.collection('counter_shards'));
+    const { options, totalVotes, totalWeightedVotes } = applyCounterShards(
+      data,
+      shardsSnapshot.docs.map(doc => doc.data())
+    );
+
+    const finalizingAt = admin.firestore.Timestamp.now();
+    transaction.update(pollRef, {
+      isActive: false,
+      closedBy,
+      closedAt: admin.firestore.FieldValue.serverTimestamp(),
+      options,
+      totalVotes,
+      totalWeightedVotes,
+      countersFoldedAt: admin.firestore.FieldValue.serverTimestamp(),
+      outcomePending: true,
+      finalizingAt
+    });
+    return finalizingAt;
+  });
+
+  return finalizeClaimedPoll(firestore, pollRef, claim);
+}
+
+/**
+ * Resolve delegated votes on a closed poll and record its outcome
+ * Only polls closed with outcomePending set can be finalized, and only by
+ * whoever holds the finalization claim. Safe to run again after a failure
+ * once the claim has expired: delegations already resolved (their
+ * delegationResolvedAt is written last) are not resolved twice, and
+ * outcomePending stays set until the outcome is written.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} pollId - Poll document ID
+ * @returns {Promise<{delegation: Object, outcome: Object}>}
+ * @throws {AppError} If the poll is still open or has no pending outcome
+ * @throws {ConflictError} If the poll is already being finalized
+ */
+export async function finalizePoll(firestore, pollId) {
+  const pollRef = firestore.collection('government_polls').doc(pollId);
+
+  const claim = await firestore.runTransaction(async (transaction) => {
+    const data = readPoll(await transaction.get(pollRef));
+    if (data.isActive !== false) {
+      throw new AppError('This poll is still open', 400, 'POLL_OPEN');
+    }
+    if (data.outcomePending !== true) {
+      throw new AppError('This poll is already closed', 400, 'POLL_CLOSED');
+    }
+    return claimFinalization(transaction, pollRef, data);
+  });
+
+  return finalizeClaimedPoll(firestore, pollRef, claim);
+}
+
+/**
+ * Finalize a poll this request has claimed (see claimFinalization)
+ */
+async function finalizeClaimedPoll(firestore, pollRef, claim) {
+  const pollId = pollRef.id;
+  const pollData = readPoll(await pollRef.get());
+
+  const delegation = pollData.delegationResolvedAt
+    ? {
+      delegatedVotes: pollData.totalDelegatedVotes || 0,
+      delegatedWeightedVotes: pollData.totalDelegatedWeightedVotes || 0,
+      cycles: pollData.delegationCycles || [],
+      unresolved: pollData.delegationUnresolved || 0,
+      ineligible: pollData.delegationIneligible || 0
+    }
+    : await resolvePollDelegations(firestore, pollRef, pollData);
+
+  const finalDoc = await pollRef.get();
+  const finalData = finalDoc.data();
+  const runoff = finalData.pollType === PollTypes.RANKED
+    ? tallyRankedPoll(finalData, await loadFinalBallots(pollRef))
+    : null;
+  const results = summarizePollResults(pollId, finalData);
+  const decided = decidePollOutcome(results, runoff);
+
+  // Binding polls: check quorum and the passing threshold
+  const [winner] = decided.winningOptionIndexes;
+  let winnerWeight = 0;
+  if (winner !== undefined) {
+    winnerWeight = runoff
+      ? runoff.rounds[runoff.rounds.length - 1].counts[String(winner)]
+      : results.options[winner].weightedVotes;
+  }
+  const outcome = {
+    ...decided,
+    ...evaluatePollRules(finalData, decided, {
+      participation: results.totalVotes,
+      ballotWeight: (finalData.totalWeightedVotes ?? finalData.totalVotes ?? 0) +
+        (finalData.totalDelegatedWeightedVotes || 0),
+      winnerWeight,
+      eligibleCitizens: finalData.quorum?.type === QuorumTypes.SHARE
+        ? await countActiveCitizens(firestore)
+        : null
+    })
+  };
+
+  // Only record the outcome if the claim wasn't lost to a retry after it expired
+  await firestore.runTransaction(async (transaction) => {
+    const current = readPoll(await transaction.get(pollRef));
+    if (current.outcomePending !== true || !current.finalizingAt?.isEqual(claim)) {
+      throw new ConflictError('This poll was finalized by another request');
+    }
+
+    transaction.update(pollRef, {
+      outcome: { ...outcome, decidedAt: admin.firestore.FieldValue.serverTimestamp() },
+      outcomePending: false,
+      finalizingAt: admin.firestore.FieldValue.delete()
+    });
+    transaction.set(firestore.collection('audit_logs').doc(), {
+      type: 'poll_closed',
+      pollId,
+      closedBy: finalData.closedBy ?? null,
+      outcome,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+
+  return { delegation, outcome };
+}
+
+/**
+ * Close every poll whose closesAt has passed, and finish closing any poll
+ * whose outcome was never recorded
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Date} [now]
+ * @returns {Promise<Array<{pollId: string, outcome?: Object, error?: string}>>}
+ */
+export async function closeEndedPolls(firestore, now = new Date()) {
+  const pollsRef = firestore.collection('government_polls');
+  const [endedSnapshot, pendingSnapshot] = await Promise.all([
+    pollsRef
+      .where('isActive', '==', true)
+      .where('closesAt', '<=', admin.firestore.Timestamp.fromDate(now))
+      .get(),
+    pollsRef.where('outcomePending', '==', true).get()
+  ]);
+
+  const closed = [];
+  for (const doc of [...endedSnapshot.docs, ...pendingSnapshot.docs]) {
+    // One poll failing shouldn't stop the rest from closing
+    try {
+      const { outcome } = doc.data().isActive === false
+        ? await finalizePoll(firestore, doc.id)
+        : await closePoll(firestore, doc.id, { closedBy: 'system' });
+      closed.push({ pollId: doc.id, outcome });
+    } catch (error) {
+      logger.error('Scheduled poll close failed', { pollId: doc.id, error: error.message });
+      closed.push({ pollId: doc.id, error: error.message });
+    }
+  }
+
+  return closed;
+}
+
+/**
+ * Poll results split into direct and delegated votes
+ * Delegated counts are only known once the poll has closed.
+ *
+ * Each option's share is the fraction of voters who counted it: the vote
+ * share on single choice polls, the approval rate on multiple choice and
+ * approval polls, and the first-preference share on ranked polls (whose
+ * runoff rounds are in the outcome once closed).
+ */
+export function summarizePollResults(id, data) {
+  const pollType = data.pollType || PollTypes.SINGLE;
+  const totalVotes = (data.totalVotes || 0) + (data.totalDelegatedVotes || 0);
+
+  const options = (data.options || []).map(option => {
+    const directWeighted = option.weightedVotes ?? option.votes ?? 0;
+    const votes = (option.votes || 0) + (option.delegatedVotes || 0);
+    return {
+      text: option.text,
+      directVotes: option.votes || 0,
+      delegatedVotes: option.delegatedVotes || 0,
+      votes,
+      directWeightedVotes: directWeighted,
+      delegatedWeightedVotes: option.delegatedWeightedVotes || 0,
+      weightedVotes: directWeighted + (option.delegatedWeightedVotes || 0),
+      share: totalVotes > 0 ? votes / totalVotes : 0
+    };
+  });
+
+  return {
+    id,
+    question: data.question,
+    pollType,
+    maxPicks: data.maxPicks || null,
+    eligibility: data.eligibility || null,
+    anonymous: Boolean(data.anonymous),
+    quorum: data.quorum || null,
+    threshold: data.threshold || null,
+    countsAs: {
+      [PollTypes.SINGLE]: 'votes',
+      [PollTypes.MULTIPLE]: 'selections',
+      [PollTypes.APPROVAL]: 'approvals',
+      [PollTypes.RANKED]: 'first_preferences'
+    }[pollType],
+    topic: data.topic || 'general',
+    weighting: data.weighting || 'equal',
+    isActive: data.isActive !== false,
+    window: getPollWindow(data),
+    opensAt: toDate(data.opensAt)?.toISOString() || null,
+    closesAt: toDate(data.closesAt)?.toISOString() || null,
+    outcome: data.outcome ? { ...data.outcome, decidedAt: toDate(data.outcome.decidedAt)?.toISOString() || null } : null,
+    delegationResolved: Boolean(data.delegationResolvedAt),
+    options,
+    directVotes: data.totalVotes || 0,
+    delegatedVotes: data.totalDelegatedVotes || 0,
+    totalVotes,
+    unresolvedDelegations: data.delegationUnresolved || 0
+  };
+}
+
+export default {
+  PollVoteActions,
+  PollWindow,
+  getPollWindow,
+  validatePollSchedule,
+  decidePollOutcome,
+  closePoll,
+  finalizePoll,
+  closeEndedPolls,
+  summarizePollResults,
+  hasVotedOnPoll,
+  migrateLegacyVoters,
+  castPollVote,
+  changePollVote,
+  withdrawPollVote
+};
@@ -0,0 +1,576 @@
+/**
+ * Legislative proposals
+ * Government members whose role carries the approve_policies permission
+ * draft proposals and open them for debate. The text is frozen for the
+ * debate period, after which a for/against/abstain vote opens automatically.
+ * A proposal passes on a simple majority of for over against votes, provided
+ * turnout reached its quorum, and is then entered in the enacted-laws
+ * register under the next law number.
+ *
+ * Amendment proposals carry replacement text for one constitution article
+ * instead. They need the AMENDMENT_SUPERMAJORITY share of for/against votes
+ * (fixed when debate opens) and on passing produce a new constitution
+ * version rather than a law. An amendment whose article was changed by
+ * another amendment after it was drafted is rejected as stale instead.
+ */
+
+import { admin } from './firebase-init.js';
+import config from './config.js';
+import logger from './logger.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { toDate } from './elections.js';
+import { civicBadge, hasGovernmentPermission } from './government.js';
+import {
+  amendmentThreshold,
+  articleChangedSince,
+  meetsSupermajority,
+  queueAmendment,
+  readCurrentConstitution,
+  validateArticle
+} from './constitution.js';
+import { validateVoteChoice } from './validation.js';
+
+export const ProposalStatus = {
+  DRAFT: 'draft',
+  DEBATE: 'debate',
+  VOTING: 'voting',
+  ENACTED: 'enacted',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn'
+};
+
+export const ProposalKinds = {
+  LAW: 'law',
+  AMENDMENT: 'amendment'
+};
+
+/**
+ * Permission a government role needs to draft and table proposals
+ */
+export const PROPOSAL_PERMISSION = 'approve_policies';
+
+/**
+ * Statuses in which the vote window can be open
+ */
+const TABLED_STATUSES = [ProposalStatus.DEBATE, ProposalStatus.VOTING];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_SUMMARY_LENGTH = 1000;
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * Validate a proposal's title, summary and text
+ * @returns {{title: string, summary: string, text: string}} Trimmed fields
+ * @throws {ValidationError}
+ */
+function validateProposalFields({ title, summary = '', text }) {
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    throw new ValidationError('A title is required');
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw new ValidationError(`Title must be less than ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (typeof summary !== 'string' || summary.length > MAX_SUMMARY_LENGTH) {
+    throw new ValidationError(`Summary must be less than ${MAX_SUMMARY_LENGTH} characters`);
+  }
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    throw new ValidationError('The text of the proposal is required');
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new ValidationError(`Text must be less than ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  return { title: title.trim(), summary: summary.trim(), text: text.trim() };
+}
+
+/**
+ * Read a user and check their government role can table proposals
+ * @throws {NotFoundError|AuthorizationError}
+ */
+async function readLegislator(firestore, transaction, userId) {
+  const userDoc = await transaction.get(firestore.collection('users').doc(userId));
+  if (!userDoc.exists) {
+    throw new NotFoundError('User not found');
+  }
+  if (!hasGovernmentPermission(userDoc.data(), PROPOSAL_PERMISSION)) {
+    throw new AuthorizationError('Only government members who can approve policies can table proposals');
+  }
+  return userDoc.data();
+}
+
+/**
+ * Read a proposal inside a transaction
+ * @throws {NotFoundError}
+ */
+async function readProposal(firestore, transaction, proposalId) {
+  const proposalRef = firestore.collection('proposals').doc(proposalId);
+  const proposalDoc = await transaction.get(proposalRef);
+  if (!proposalDoc.exists) {
+    throw new NotFoundError('Proposal not found');
+  }
+  return { proposalRef, proposal: proposalDoc.data() };
+}
+
+/**
+ * Check a user wrote a proposal that is still a draft
+ * @throws {AuthorizationError|AppError}
+ */
+function assertAuthorDraft(proposal, userId) {
+  if (proposal.authorId !== userId) {
+    throw new AuthorizationError('Only the author can change this proposal');
+  }
+  if (proposal.status !== ProposalStatus.DRAFT) {
+    throw new AppError('Only draft proposals can be changed', 403, 'PROPOSAL_NOT_DRAFT');
+  }
+}
+
+/**
+ * Validate the heading an amendment gives its article, if any
+ * @returns {string|null}
+ */
+function validateArticleTitle(articleTitle, text) {
+  if (articleTitle === undefined || articleTitle === null || articleTitle === '') {
+    return null;
+  }
+  return validateArticle({ title: articleTitle, text }).title;
+}
+
+/**
+ * Draft a new proposal
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} draft
+ * @param {string} draft.userId - Government member drafting it
+ * @param {string} [draft.kind] - One of ProposalKinds, defaults to a law
+ * @param {string} draft.title
+ * @param {string} [draft.summary]
+ * @param {string} draft.text - Text that becomes law, or the amended article's new text
+ * @param {number} [draft.articleNumber] - Article an amendment replaces
+ * @param {string} [draft.articleTitle] - New heading for the amended article
+ * @returns {Promise<{proposalId: string, status: string}>}
+ */
+export async function createProposal(firestore, { userId, kind = ProposalKinds.LAW, title, summary, text, articleNumber, articleTitle }) {
+  if (!Object.values(ProposalKinds).includes(kind)) {
+    throw new ValidationError(`Kind must be one of: ${Object.values(ProposalKinds).join(', ')}`);
+  }
+  const fields = validateProposalFields({ title, summary, text });
+
+  const isAmendment = kind === ProposalKinds.AMENDMENT;
+  if (isAmendment && (!Number.isInteger(articleNumber) || articleNumber < 1)) {
+    throw new ValidationError('An amendment must name the article number it replaces');
+  }
+  const amendment = isAmendment
+    ? { articleNumber, articleTitle: validateArticleTitle(articleTitle, fields.text) }
+    : { articleNumber: null, articleTitle: null };
+
+  const proposalRef = firestore.collection('proposals').doc();
+
+  return firestore.runTransaction(async (transaction) => {
+    const author = await readLegislator(firestore, transaction, userId);
+
+    let baseVersion = null;
+    if (isAmendment) {
+      const current = await readCurrentConstitution(firestore, transaction);
+      if (!current) {
+        throw new NotFoundError('No constitution has been adopted yet');
+      }
+      if (!current.articles.some(article => article.number === articleNumber)) {
+        throw new NotFoundError(`Article ${articleNumber} not found`);
+      }
+      baseVersion = current.version;
+    }
+
+    transaction.set(proposalRef, {
+      ...fields,
+      kind,
+      ...amendment,
+      baseVersion,
+      authorId: userId,
+      authorUsername: author.username || 'Anonymous',
+      authorRole: author.governmentRole,
+      status: ProposalStatus.DRAFT,
+      debateOpensAt: null,
+      voteOpensAt: null,
+      voteClosesAt: null,
+      quorum: null,
+      threshold: null,
+      forVotes: 0,
+      againstVotes: 0,
+      abstainVotes: 0,
+      lawNumber: null,
+      constitutionVersion: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { proposalId: proposalRef.id, status: ProposalStatus.DRAFT };
+  });
+}
+
+/**
+ * Revise a draft proposal
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} revision
+ * @param {string} revision.proposalId
+ * @param {string} revision.userId - Must be the author
+ * @param {string} revision.title
+ * @param {string} [revision.summary]
+ * @param {string} revision.text
+ * @param {string} [revision.articleTitle] - Amendments only
+ */
+export async function updateProposal(firestore, { proposalId, userId, title, summary, text, articleTitle }) {
+  const fields = validateProposalFields({ title, summary, text });
+
+  return firestore.runTransaction(async (transaction) => {
+    const { proposalRef, proposal } = await readProposal(firestore, transaction, proposalId);
+    assertAuthorDraft(proposal, userId);
+
+    transaction.update(proposalRef, {
+      ...fields,
+      ...(proposal.kind === ProposalKinds.AMENDMENT
+        ? { articleTitle: validateArticleTitle(articleTitle, fields.text) }
+        : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Table a draft for debate, scheduling its vote
+ * The author must still hold a role that can approve policies.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} tabling
+ * @param {string} tabling.proposalId
+ * @param {string} tabling.userId - Must be the author
+ * @returns {Promise<{status: string, voteOpensAt: Date, voteClosesAt: Date}>}
+ */
+export async function openDebate(firestore, { proposalId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { proposalRef, proposal } = await readProposal(firestore, transaction, proposalId);
+    assertAuthorDraft(proposal, userId);
+    await readLegislator(firestore, transaction, userId);
+
+    const now = new Date();
+    const voteOpensAt = new Date(now.getTime() + config.get('PROPOSAL_DEBATE_DAYS') * DAY_MS);
+    const voteClosesAt = new Date(voteOpensAt.getTime() + config.get('PROPOSAL_VOTE_DAYS') * DAY_MS);
+
+    transaction.update(proposalRef, {
+      status: ProposalStatus.DEBATE,
+      debateOpensAt: admin.firestore.Timestamp.fromDate(now),
+      voteOpensAt: admin.firestore.Timestamp.fromDate(voteOpensAt),
+      voteClosesAt: admin.firestore.Timestamp.fromDate(voteClosesAt),
+      quorum: config.get('PROPOSAL_QUORUM'),
+      threshold: proposal.kind === ProposalKinds.AMENDMENT ? amendmentThreshold() : null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { status: ProposalStatus.DEBATE, voteOpensAt, voteClosesAt };
+  });
+}
+
+/**
+ * Withdraw a proposal before its vote opens
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} withdrawal
+ * @param {string} withdrawal.proposalId
+ * @param {string} withdrawal.userId - Must be the author
+ */
+export async function withdrawProposal(firestore, { proposalId, userId }) {
+  return firestore.runTransaction(async (transaction) => {
+    const { proposalRef, proposal } = await readProposal(firestore, transaction, proposalId);
+
+    if (proposal.authorId !== userId) {
+      throw new AuthorizationError('Only the author can withdraw this proposal');
+    }
+    const votingStarted = proposal.status === ProposalStatus.DEBATE && toDate(proposal.voteOpensAt) <= new Date();
+    if (![ProposalStatus.DRAFT, ProposalStatus.DEBATE].includes(proposal.status) || votingStarted) {
+      throw new AppError('Proposals can only be withdrawn before voting opens', 403, 'PROPOSAL_VOTING');
+    }
+
+    transaction.update(proposalRef, {
+      status: ProposalStatus.WITHDRAWN,
+      withdrawnAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Cast a for/against/abstain vote on a tabled proposal
+ * Each citizen or government member votes once; votes cannot be changed.
+ * The first vote after the debate period moves the proposal to voting if
+ * the scheduled job hasn't yet.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} ballot
+ * @param {string} ballot.proposalId
+ * @param {string} ballot.userId
+ * @param {string} ballot.choice - 'for', 'against' or 'abstain'
+ * @returns {Promise<{forVotes: number, againstVotes: number, abstainVotes: number}>}
+ */
+export async function castProposalVote(firestore, { proposalId, userId, choice }) {
+  const choiceValidation = validateVoteChoice(choice);
+  if (!choiceValidation.valid) {
+    throw new ValidationError(choiceValidation.error);
+  }
+
+  return firestore.runTransaction(async (transaction) => {
+    const { proposalRef, proposal } = await readProposal(firestore, transaction, proposalId);
+    const now = new Date();
+
+    if (!TABLED_STATUSES.includes(proposal.status) ||
+        toDate(proposal.voteOpensAt) > now ||
+        toDate(proposal.voteClosesAt) <= now) {
+      throw new AppError('Voting on this proposal is not open', 403, 'PROPOSAL_VOTE_CLOSED');
+    }
+
+    const voteRef = proposalRef.collection('votes').doc(userId);
+    const [voteDoc, userDoc, citizenDoc] = await transaction.getAll(
+      voteRef,
+      firestore.collection('users').doc(userId),
+      firestore.collection('citizens').doc(userId)
+    );
+    if (voteDoc.exists) {
+      throw new ConflictError('You have already voted on this proposal');
+    }
+    if (!userDoc.exists) {
+      throw new NotFoundError('User not found');
+    }
+    if (!civicBadge(userDoc.data(), citizenDoc)) {
+      throw new AuthorizationError('Only registered citizens and government members can vote on proposals');
+    }
+
+    const counts = {
+      forVotes: (proposal.forVotes || 0) + (choiceValidation.value === 'for' ? 1 : 0),
+      againstVotes: (proposal.againstVotes || 0) + (choiceValidation.value === 'against' ? 1 : 0),
+      abstainVotes: (proposal.abstainVotes || 0) + (choiceValidation.value === 'abstain' ? 1 : 0)
+    };
+
+    transaction.set(voteRef, {
+      userId,
+      choice: choiceValidation.value,
+      votedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(proposalRef, {
+      ...counts,
+      status: ProposalStatus.VOTING,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return counts;
+  });
+}
+
+/**
+ * Decide a proposal whose vote has closed
+ * Abstentions count towards the quorum but not the majority. A passing law
+ * takes the next law number and is entered in the enacted_laws register in
+ * the same transaction; a passing amendment becomes a new constitution
+ * version, unless its article changed after it was drafted, in which case
+ * it is rejected with staleSinceVersion set.
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} proposalId
+ * @param {Date} [now]
+ * @returns {Promise<{status: string, lawNumber: number|null, constitutionVersion: number|null, stale: boolean}>}
+ */
+export async function finalizeProposal(firestore, proposalId, now = new Date()) {
+  return firestore.runTransaction(async (transaction) => {
+    const { proposalRef, proposal } = await readProposal(firestore, transaction, proposalId);
+
+    if (!TABLED_STATUSES.includes(proposal.status)) {
+      throw new AppError('This proposal is not being voted on', 400, 'NOT_VOTING');
+    }
+    if (toDate(proposal.voteClosesAt) > now) {
+      throw new AppError('The vote on this proposal is still open', 403, 'PROPOSAL_VOTE_OPEN');
+    }
+
+    const forVotes = proposal.forVotes || 0;
+    const againstVotes = proposal.againstVotes || 0;
+    const quorumMet = forVotes + againstVotes + (proposal.abstainVotes || 0) >= (proposal.quorum || 0);
+    const isAmendment = proposal.kind === ProposalKinds.AMENDMENT;
+    const passed = quorumMet && (proposal.threshold
+      ? meetsSupermajority(proposal.threshold, forVotes, againstVotes)
+      : forVotes > againstVotes);
+
+    // Don't let a passing amendment overwrite one that passed after it was drafted
+    const current = passed && isAmendment ? await readCurrentConstitution(firestore, transaction) : null;
+    const stale = Boolean(current) &&
+      await articleChangedSince(firestore, transaction, current, proposal.baseVersion, proposal.articleNumber);
+    const enacted = passed && !stale;
+
+    let lawNumber = null;
+    let constitutionVersion = null;
+
+    if (enacted && isAmendment) {
+      constitutionVersion = queueAmendment(firestore, transaction, current, {
+        articleNumber: proposal.articleNumber,
+        title: proposal.articleTitle,
+        text: proposal.text,
+        proposalId
+      });
+    } else if (enacted) {
+      // Read the register counter before any writes
+      const counterRef = firestore.collection('counters').doc('enacted_laws');
+      const counterDoc = await transaction.get(counterRef);
+      lawNumber = (counterDoc.exists ? counterDoc.data().lastNumber || 0 : 0) + 1;
+
+      transaction.set(counterRef, { lastNumber: lawNumber }, { merge: true });
+      transaction.set(firestore.collection('enacted_laws').doc(String(lawNumber).padStart(6, '0')), {
+        lawNumber,
+        title: proposal.title,
+        summary: proposal.summary || '',
+        text: proposal.text,
+        proposalId,
+        proposedBy: proposal.authorId,
+        proposedByUsername: proposal.authorUsername,
+        forVotes,
+        againstVotes,
+        abstainVotes: proposal.abstainVotes || 0,
+        enactedAt: admin.firestore.Timestamp.fromDate(now)
+      });
+      transaction.set(firestore.collection('audit_logs').doc(), {
+        type: 'law_enacted',
+        proposalId,
+        lawNumber,
+        changedBy: 'system',
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    const status = enacted ? ProposalStatus.ENACTED : ProposalStatus.REJECTED;
+    transaction.update(proposalRef, {
+      status,
+      quorumMet,
+      lawNumber,
+      constitutionVersion,
+      ...(stale ? { staleSinceVersion: current.version } : {}),
+      decidedAt: admin.firestore.Timestamp.fromDate(now),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { status, lawNumber, constitutionVersion, stale };
+  });
+}
+
+/**
+ * Open votes on proposals whose debate has ended and decide votes that have closed
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Date} [now]
+ * @returns {Promise<{opened: Array<string>, decided: Array<{proposalId: string, status?: string, lawNumber?: number|null, constitutionVersion?: number|null, error?: string}>}>}
+ */
+export async function processProposals(firestore, now = new Date()) {
+  const proposalsRef = firestore.collection('proposals');
+  const cutoff = admin.firestore.Timestamp.fromDate(now);
+
+  const [debateSnapshot, closingSnapshot] = await Promise.all([
+    proposalsRef
+      .where('status', '==', ProposalStatus.DEBATE)
+      .where('voteOpensAt', '<=', cutoff)
+      .get(),
+    proposalsRef
+      .where('status', '==', ProposalStatus.VOTING)
+      .where('voteClosesAt', '<=', cutoff)
+      .get()
+  ]);
+
+  // A debate that ran past its vote window too is decided straight away
+  const opened = [];
+  const closing = [...closingSnapshot.docs];
+  for (const doc of debateSnapshot.docs) {
+    if (toDate(doc.data().voteClosesAt) <= now) {
+      closing.push(doc);
+      continue;
+    }
+    // One proposal failing shouldn't stop the rest
+    try {
+      await doc.ref.update({
+        status: ProposalStatus.VOTING,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      opened.push(doc.id);
+    } catch (error) {
+      logger.error('Scheduled proposal vote opening failed', { proposalId: doc.id, error: error.message });
+    }
+  }
+
+  const decided = [];
+  for (const doc of closing) {
+    try {
+      const result = await finalizeProposal(firestore, doc.id, now);
+      decided.push({ proposalId: doc.id, ...result });
+    } catch (error) {
+      logger.error('Scheduled proposal decision failed', { proposalId: doc.id, error: error.message });
+      decided.push({ proposalId: doc.id, error: error.message });
+    }
+  }
+
+  return { opened, decided };
+}
+
+/**
+ * Convert a proposal document into an API response object
+ */
+export function serializeProposal(id, data) {
+  return {
+    id,
+    title: data.title,
+    summary: data.summary || '',
+    text: data.text,
+    kind: data.kind || ProposalKinds.LAW,
+    articleNumber: data.articleNumber ?? null,
+    articleTitle: data.articleTitle ?? null,
+    baseVersion: data.baseVersion ?? null,
+    authorId: data.authorId,
+    authorUsername: data.authorUsername,
+    authorRole: data.authorRole,
+    status: data.status,
+    forVotes: data.forVotes || 0,
+    againstVotes: data.againstVotes || 0,
+    abstainVotes: data.abstainVotes || 0,
+    quorum: data.quorum ?? null,
+    quorumMet: data.quorumMet ?? null,
+    threshold: data.threshold ?? null,
+    lawNumber: data.lawNumber ?? null,
+    constitutionVersion: data.constitutionVersion ?? null,
+    staleSinceVersion: data.staleSinceVersion ?? null,
+    debateOpensAt: toDate(data.debateOpensAt)?.toISOString() || null,
+    voteOpensAt: toDate(data.voteOpensAt)?.toISOString() || null,
+    voteClosesAt: toDate(data.voteClosesAt)?.toISOString() || null,
+    decidedAt: toDate(data.decidedAt)?.toISOString() || null,
+    createdAt: toDate(data.createdAt)?.toISOString() || null,
+    updatedAt: toDate(data.updatedAt)?.toISOString() || null
+  };
+}
+
+/**
+ * Convert an enacted_laws document into an API response object
+ */
+export function serializeLaw(data) {
+  return {
+    lawNumber: data.lawNumber,
+    title: data.title,
+    summary: data.summary || '',
+    text: data.text,
+    proposalId: data.proposalId,
+    proposedBy: data.proposedBy,
+    proposedByUsername: data.proposedByUsername,
+    forVotes: data.forVotes,
+    againstVotes: data.againstVotes,
+    abstainVotes: data.abstainVotes,
+    enactedAt: toDate(data.enactedAt)?.toISOString() || null
+  };
+}
+
+export default {
+  ProposalStatus,
+  ProposalKinds,
+  PROPOSAL_PERMISSION,
+  createProposal,
+  updateProposal,
+  openDebate,
+  withdrawProposal,
+  castProposalVote,
+  finalizeProposal,
+  processProposals,
+  serializeProposal,
+  serializeLaw
+};
@@ -0,0 +1,155 @@
+/**
+ * Candidate counter reconciliation
+ * candidates.votes, weightedVotes and supportersCount are denormalized
+ * counters; this recomputes them from the votes collection (ignoring
+ * withdrawn votes), reports drift and can write the recounted values back
+ */
+
+import { admin } from './firebase-init.js';
+import { NotFoundError } from './errors.js';
+import { isCountedVote } from './tally.js';
+
+/**
+ * Recount totals from vote documents
+ * @param {Array<Object>} votes - Vote document data
+ * @returns {{votes: number, weightedVotes: number, supportersCount: number}}
+ */
+export function countVotes(votes) {
+  const supporters = new Set();
+  let weightedVotes = 0;
+
+  for (const vote of votes) {
+    supporters.add(vote.voterId);
+    weightedVotes += vote.weight ?? 1;
+  }
+
+  return {
+    votes: votes.length,
+    weightedVotes,
+    supportersCount: supporters.size
+  };
+}
+
+/**
+ * Counter values currently stored on a candidate
+ */
+function readCounters(data) {
+  return {
+    votes: data.votes || 0,
+    weightedVotes: data.weightedVotes ?? data.votes ?? 0,
+    supportersCount: data.supportersCount || 0
+  };
+}
+
+/**
+ * Difference between recounted and stored counters (zero means in sync)
+ */
+function diffCounters(counters, recounted) {
+  return {
+    votes: recounted.votes - counters.votes,
+    // Square-root weights add up with rounding noise, so ignore it
+    weightedVotes: Math.abs(recounted.weightedVotes - counters.weightedVotes) > 1e-6
+      ? recounted.weightedVotes - counters.weightedVotes
+      : 0,
+    supportersCount: recounted.supportersCount - counters.supportersCount
+  };
+}
+
+/**
+ * Recount every candidate (optionally only one election's) and report drift
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} [options]
+ * @param {string} [options.electionId] - Limit the recount to one election
+ * @returns {Promise<{candidatesChecked: number, drifted: Array<Object>, orphanedVotes: number}>}
+ */
+export async function recountCandidates(firestore, { electionId = null } = {}) {
+  let candidatesQuery = firestore.collection('candidates');
+  let votesQuery = firestore.collection('votes');
+  if (electionId) {
+    candidatesQuery = candidatesQuery.where('electionId', '==', electionId);
+    votesQuery = votesQuery.where('electionId', '==', electionId);
+  }
+
+  const [candidatesSnapshot, votesSnapshot] = await Promise.all([
+    candidatesQuery.get(),
+    votesQuery.get()
+  ]);
+
+  const votesByCandidate = new Map();
+  votesSnapshot.docs.forEach(doc => {
+    const vote = doc.data();
+    if (!isCountedVote(vote)) return;
+    if (!votesByCandidate.has(vote.candidateId)) {
+      votesByCandidate.set(vote.candidateId, []);
+    }
+    votesByCandidate.get(vote.candidateId).push(vote);
+  });
+
+  const drifted = [];
+  for (const doc of candidatesSnapshot.docs) {
+    const data = doc.data();
+    const counters = readCounters(data);
+    const recounted = countVotes(votesByCandidate.get(doc.id) || []);
+    const drift = diffCounters(counters, recounted);
+    votesByCandidate.delete(doc.id);
+
+    if (Object.values(drift).some(value => value !== 0)) {
+      drifted.push({
+        candidateId: doc.id,
+        name: data.name || data.username || null,
+        electionId: data.electionId || null,
+        position: data.position || null,
+        counters,
+        recounted,
+        drift
+      });
+    }
+  }
+
+  // Whatever is left points at candidates that no longer exist
+  const orphanedVotes = [...votesByCandidate.values()].reduce((sum, votes) => sum + votes.length, 0);
+
+  return {
+    candidatesChecked: candidatesSnapshot.size,
+    drifted,
+    orphanedVotes
+  };
+}
+
+/**
+ * Recount one candidate and overwrite its counters
+ * Runs in a transaction so ballots cast during the repair are not lost
+ * @param {admin.firestore.Firestore} firestore
+ * @param {string} candidateId
+ * @returns {Promise<{candidateId: string, before: Object, after: Object}>}
+ */
+export async function repairCandidateCounters(firestore, candidateId) {
+  const candidateRef = firestore.collection('candidates').doc(candidateId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const candidateDoc = await transaction.get(candidateRef);
+    if (!candidateDoc.exists) {
+      throw new NotFoundError('Candidate not found');
+    }
+
+    const votesSnapshot = await transaction.get(
+      firestore.collection('votes').where('candidateId', '==', candidateId)
+    );
+
+    const before = readCounters(candidateDoc.data());
+    const after = countVotes(votesSnapshot.docs.map(doc => doc.data()).filter(isCountedVote));
+
+    transaction.update(candidateRef, {
+      ...after,
+      countersReconciledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { candidateId, before, after };
+  });
+}
+
+export default {
+  countVotes,
+  recountCandidates,
+  repairCandidateCounters
+};
@@ -0,0 +1,216 @@
+/**
+ * Result exports
+ * Flattens closed polls and elections into fixed-column tables that can be
+ * downloaded as CSV (one table per file) or JSON (every table at once).
+ * Column names and order are part of the export schema: add columns at the
+ * end and bump EXPORT_SCHEMA_VERSION rather than renaming or reordering,
+ * so archived files and spreadsheets keep lining up.
+ *
+ * Vote lists are only exported where the ballot isn't secret: direct and
+ * delegated ballots on ordinary polls, and for elections the public
+ * receipt-keyed ballot log, which carries no voter IDs. Anonymous polls
+ * have no vote list.
+ */
+
+import { ElectionStatus, toDate } from './elections.js';
+import { ballotSelections } from './poll-types.js';
+
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const ExportFormats = {
+  JSON: 'json',
+  CSV: 'csv'
+};
+
+/**
+ * Columns of every exported table, in order
+ */
+export const ExportColumns = {
+  pollResults: [
+    'poll_id', 'question', 'poll_type', 'topic', 'weighting', 'anonymous',
+    'created_at', 'opens_at', 'closes_at', 'closed_at',
+    'option_index', 'option_text',
+    'direct_votes', 'delegated_votes', 'votes',
+    'direct_weighted_votes', 'delegated_weighted_votes', 'weighted_votes', 'share',
+    'is_winner', 'turnout', 'eligible_citizens', 'result'
+  ],
+  pollVotes: [
+    'poll_id', 'user_id', 'option_indexes', 'weight', 'delegated', 'delegate_id', 'voted_at'
+  ],
+  electionResults: [
+    'election_id', 'election_type', 'ballot_mode', 'weighting',
+    'voting_opens_at', 'voting_closes_at', 'certified', 'certified_at',
+    'position', 'candidate_id', 'candidate_name',
+    'votes', 'weighted_votes', 'position_total_votes', 'position_total_weighted_votes',
+    'is_winner', 'turnout'
+  ],
+  electionVotes: [
+    'election_id', 'receipt_id', 'position', 'candidate_id', 'rankings', 'weight'
+  ]
+};
+
+/**
+ * Format a value as an ISO timestamp, or null
+ */
+function isoDate(value) {
+  return toDate(value)?.toISOString() || null;
+}
+
+/**
+ * Escape one CSV cell
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) value = value.join(';');
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a table as CSV with a header row
+ * @param {Array<string>} columns
+ * @param {Array<Object>} rows - Keyed by column name
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Export tables for a closed poll
+ * @param {string} pollId
+ * @param {Object} results - Output of summarizePollResults for the closed poll
+ * @param {Object} pollData - Poll document data
+ * @param {Object} ballots
+ * @param {Array<admin.firestore.DocumentSnapshot>} ballots.direct - Non-withdrawn ballots
+ * @param {Array<admin.firestore.DocumentSnapshot>} ballots.delegated - Delegated ballots
+ * @returns {{pollResults: Array<Object>, pollVotes: Array<Object>|null}} pollVotes is null for anonymous polls
+ */
+export function buildPollExport(pollId, results, pollData, { direct = [], delegated = [] } = {}) {
+  const outcome = results.outcome || {};
+  const winners = outcome.winningOptionIndexes || [];
+
+  const pollResults = results.options.map((option, index) => ({
+    poll_id: pollId,
+    question: results.question,
+    poll_type: results.pollType,
+    topic: results.topic,
+    weighting: results.weighting,
+    anonymous: results.anonymous,
+    created_at: isoDate(pollData.createdAt),
+    opens_at: results.opensAt,
+    closes_at: results.closesAt,
+    closed_at: isoDate(pollData.closedAt),
+    option_index: index,
+    option_text: option.text,
+    direct_votes: option.directVotes,
+    delegated_votes: option.delegatedVotes,
+    votes: option.votes,
+    direct_weighted_votes: option.directWeightedVotes,
+    delegated_weighted_votes: option.delegatedWeightedVotes,
+    weighted_votes: option.weightedVotes,
+    share: option.share,
+    is_winner: winners.includes(index),
+    turnout: results.totalVotes,
+    eligible_citizens: outcome.quorum?.eligibleCitizens ?? null,
+    result: outcome.result ?? null
+  }));
+
+  if (results.anonymous) {
+    return { pollResults, pollVotes: null };
+  }
+
+  const pollVotes = [
+    ...direct.map(doc => ({
+      poll_id: pollId,
+      user_id: doc.id,
+      option_indexes: ballotSelections(doc.data()),
+      weight: doc.data().weight ?? 1,
+      delegated: false,
+      delegate_id: null,
+      voted_at: isoDate(doc.data().updatedAt || doc.data().votedAt)
+    })),
+    ...delegated.map(doc => ({
+      poll_id: pollId,
+      user_id: doc.id,
+      option_indexes: ballotSelections(doc.data()),
+      weight: doc.data().weight ?? 1,
+      delegated: true,
+      delegate_id: doc.data().delegateId || null,
+      voted_at: isoDate(pollData.delegationResolvedAt)
+    }))
+  ];
+
+  return { pollResults, pollVotes };
+}
+
+/**
+ * Export tables for an election whose voting has closed
+ * @param {Object} election - Election with id
+ * @param {Object} results - Per-position results (certified or tallied)
+ * @param {Array<Object>} ballots - Replayed ballot log entries
+ * @param {number} turnout - Distinct voters with a counted ballot
+ * @returns {{electionResults: Array<Object>, electionVotes: Array<Object>}}
+ */
+export function buildElectionExport(election, results, ballots, turnout) {
+  const base = {
+    election_id: election.id,
+    election_type: election.electionType || 'general',
+    ballot_mode: election.ballotMode || 'plurality',
+    weighting: election.weighting || 'equal',
+    voting_opens_at: isoDate(election.votingOpensAt),
+    voting_closes_at: isoDate(election.votingClosesAt),
+    certified: election.status === ElectionStatus.CERTIFIED,
+    certified_at: isoDate(election.certifiedAt)
+  };
+
+  const electionResults = [];
+  for (const position of election.positions || []) {
+    const result = results[position];
+    if (!result) continue;
+
+    for (const candidate of result.candidates) {
+      electionResults.push({
+        ...base,
+        position,
+        candidate_id: candidate.candidateId,
+        candidate_name: candidate.name,
+        votes: candidate.votes,
+        weighted_votes: candidate.weightedVotes,
+        position_total_votes: result.totalVotes,
+        position_total_weighted_votes: result.totalWeightedVotes,
+        is_winner: result.winner === candidate.candidateId,
+        turnout
+      });
+    }
+  }
+
+  const electionVotes = ballots.map(ballot => ({
+    election_id: election.id,
+    receipt_id: ballot.receiptId,
+    position: ballot.position,
+    candidate_id: ballot.candidateId,
+    rankings: ballot.rankings || null,
+    weight: ballot.weight ?? 1
+  }));
+
+  return { electionResults, electionVotes };
+}
+
+export default {
+  EXPORT_SCHEMA_VERSION,
+  ExportFormats,
+  ExportColumns,
+  toCsv,
+  buildPollExport,
+  buildElectionExport
+};
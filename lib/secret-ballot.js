@@ -0,0 +1,60 @@
+/**
+ * Secret-ballot polls
+ * On an anonymous poll who voted and what they chose are stored apart, with
+ * nothing in the database linking the two. government_polls/{id}/participants/{userId}
+ * records only that a user has voted, which stops double votes. The choice
+ * is stored in government_polls/{id}/ballots/{receiptId} under a random
+ * receipt ID that is handed to the voter once and never stored against
+ * them, so changing or withdrawing the ballot needs that receipt.
+ *
+ * Anonymous polls keep no vote log and no timestamps on either document,
+ * don't take delegated votes (following a chain would mean knowing the
+ * delegate's choice), and use equal weighting because a token-weighted
+ * ballot's weight would point back to the voter's balance.
+ */
+
+import { ValidationError } from './errors.js';
+import { WeightingModes } from './weights.js';
+
+const RECEIPT_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Check the receipt an anonymous ballot is changed or withdrawn with
+ * @param {string} receiptId
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+export function assertBallotReceipt(receiptId) {
+  if (!receiptId) {
+    throw new ValidationError('Anonymous poll votes can only be changed or withdrawn with their ballot receipt');
+  }
+  if (typeof receiptId !== 'string' || !RECEIPT_PATTERN.test(receiptId)) {
+    throw new ValidationError('Invalid ballot receipt');
+  }
+  return receiptId;
+}
+
+/**
+ * Validate the anonymous flag at poll creation
+ * @param {Object} input
+ * @param {boolean} [input.anonymous]
+ * @param {string} input.weighting - Validated weighting mode
+ * @returns {{valid: boolean, error?: string, value?: boolean}}
+ */
+export function validateAnonymity({ anonymous, weighting }) {
+  if (anonymous === undefined || anonymous === null || anonymous === false) {
+    return { valid: true, value: false };
+  }
+  if (anonymous !== true) {
+    return { valid: false, error: 'anonymous must be true or false' };
+  }
+  if (weighting !== WeightingModes.EQUAL) {
+    return { valid: false, error: 'Anonymous polls must use equal weighting' };
+  }
+  return { valid: true, value: true };
+}
+
+export default {
+  assertBallotReceipt,
+  validateAnonymity
+};
@@ -0,0 +1,276 @@
+/**
+ * Election tallying
+ * Counts ballots from the votes collection into per-position results,
+ * either by plurality or by instant-runoff rounds for ranked elections
+ */
+
+/**
+ * Ballot modes an election can use
+ */
+export const BallotModes = {
+  PLURALITY: 'plurality',
+  RANKED: 'ranked'
+};
+
+/**
+ * Vote document statuses (votes without a status predate withdrawals and are active)
+ */
+export const VoteStatus = {
+  ACTIVE: 'active',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Whether a vote document still counts towards results
+ */
+export function isCountedVote(vote) {
+  return vote.status !== VoteStatus.WITHDRAWN;
+}
+
+/**
+ * Whether a candidate is on the ballot: still standing (not withdrawn or
+ * disqualified) and holding enough endorsements
+ * @param {Object} candidate - Candidate document data
+ * @param {Object} election - Election with optional minEndorsements
+ */
+export function qualifiesForBallot(candidate, election) {
+  return (candidate.status || 'active') === 'active' &&
+    (candidate.endorsementCount || 0) >= (election.minEndorsements || 0);
+}
+
+/**
+ * Summarise a candidate document for results
+ */
+export function summarizeCandidate(id, data) {
+  return {
+    candidateId: id,
+    userId: data.userId || null,
+    name: data.name || data.username || null,
+    position: data.position,
+    votes: data.votes || 0,
+    weightedVotes: data.weightedVotes ?? data.votes ?? 0,
+    endorsementCount: data.endorsementCount || 0
+  };
+}
+
+/**
+ * Count single-choice ballots for one position
+ * Candidates are ranked by weighted total; with one-person-one-vote every
+ * ballot weighs 1 so this is the same as the headcount
+ * @param {Array<Object>} candidates - Candidate summaries for the position
+ * @param {Array<{candidateId: string, weight: number}>} ballots - Ballots cast for the position
+ * @returns {{method: string, candidates: Array<Object>, totalVotes: number, totalWeightedVotes: number, winner: string|null, tied: boolean}}
+ */
+export function tallyPlurality(candidates, ballots) {
+  const counts = Object.fromEntries(
+    candidates.map(candidate => [candidate.candidateId, { votes: 0, weightedVotes: 0 }])
+  );
+  for (const ballot of ballots) {
+    if (ballot.candidateId in counts) {
+      counts[ballot.candidateId].votes += 1;
+      counts[ballot.candidateId].weightedVotes += ballot.weight;
+    }
+  }
+
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, ...counts[candidate.candidateId] }))
+    .sort((a, b) => b.weightedVotes - a.weightedVotes);
+  const totalVotes = ranked.reduce((sum, candidate) => sum + candidate.votes, 0);
+  const totalWeightedVotes = ranked.reduce((sum, candidate) => sum + candidate.weightedVotes, 0);
+  const [first, second] = ranked;
+
+  const tied = Boolean(first && second && first.weightedVotes === second.weightedVotes);
+  const winner = first && first.weightedVotes > 0 && !tied ? first.candidateId : null;
+
+  return {
+    method: BallotModes.PLURALITY,
+    candidates: ranked,
+    totalVotes,
+    totalWeightedVotes,
+    winner,
+    tied
+  };
+}
+
+/**
+ * Run an instant-runoff count
+ *
+ * Each round every ballot counts for its highest-ranked continuing
+ * candidate. A candidate with a majority of the continuing weight wins;
+ * otherwise the last-placed candidates are eliminated together and their
+ * ballots transfer to the next continuing preference (or are exhausted).
+ * Counts and transfers are weighted; headcounts are reported alongside.
+ *
+ * @param {Array<string>} candidateIds - Candidates standing for the position
+ * @param {Array<{rankings: Array<string>, weight?: number}>} ballots - Ranked ballots
+ * @returns {{rounds: Array<Object>, winner: string|null, tied: boolean}}
+ */
+export function runInstantRunoff(candidateIds, ballots) {
+  const continuing = new Set(candidateIds);
+  const rounds = [];
+
+  const topChoice = (ballot) => ballot.rankings.find(candidateId => continuing.has(candidateId)) || null;
+  const weightOf = (ballot) => ballot.weight ?? 1;
+
+  while (continuing.size > 0) {
+    const counts = Object.fromEntries([...continuing].map(candidateId => [candidateId, 0]));
+    const headcounts = Object.fromEntries([...continuing].map(candidateId => [candidateId, 0]));
+    let exhausted = 0;
+    let activeWeight = 0;
+
+    for (const ballot of ballots) {
+      const choice = topChoice(ballot);
+      if (choice) {
+        counts[choice] += weightOf(ballot);
+        headcounts[choice] += 1;
+        activeWeight += weightOf(ballot);
+      } else {
+        exhausted += 1;
+      }
+    }
+
+    const round = { round: rounds.length + 1, counts, headcounts, exhausted, eliminated: [], transfers: {} };
+    rounds.push(round);
+
+    const standings = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const [leaderId, leaderVotes] = standings[0];
+
+    if (activeWeight > 0 && (leaderVotes * 2 > activeWeight || continuing.size === 1)) {
+      return { rounds, winner: leaderId, tied: false };
+    }
+
+    // Everyone left has the same count: nobody can be eliminated fairly
+    const lowestVotes = standings[standings.length - 1][1];
+    if (leaderVotes === lowestVotes) {
+      return { rounds, winner: null, tied: activeWeight > 0 && continuing.size > 1 };
+    }
+
+    const eliminated = standings
+      .filter(([, votes]) => votes === lowestVotes)
+      .map(([candidateId]) => candidateId);
+
+    // Record where the eliminated candidates' ballots go next
+    const affected = ballots.filter(ballot => eliminated.includes(topChoice(ballot)));
+    eliminated.forEach(candidateId => continuing.delete(candidateId));
+
+    for (const ballot of affected) {
+      const from = ballot.rankings.find(candidateId => eliminated.includes(candidateId));
+      const to = topChoice(ballot) || 'exhausted';
+      round.transfers[from] = round.transfers[from] || {};
+      round.transfers[from][to] = (round.transfers[from][to] || 0) + weightOf(ballot);
+    }
+
+    round.eliminated = eliminated;
+  }
+
+  return { rounds, winner: null, tied: false };
+}
+
+/**
+ * Count ranked ballots for one position
+ */
+export function tallyRanked(candidates, ballots) {
+  const { rounds, winner, tied } = runInstantRunoff(
+    candidates.map(candidate => candidate.candidateId),
+    ballots
+  );
+
+  const firstRound = rounds[0] || { counts: {}, headcounts: {} };
+  const ranked = candidates
+    .map(candidate => ({
+      ...candidate,
+      votes: firstRound.headcounts[candidate.candidateId] || 0,
+      weightedVotes: firstRound.counts[candidate.candidateId] || 0
+    }))
+    .sort((a, b) => b.weightedVotes - a.weightedVotes);
+
+  return {
+    method: BallotModes.RANKED,
+    candidates: ranked,
+    totalVotes: ballots.length,
+    totalWeightedVotes: ballots.reduce((sum, ballot) => sum + (ballot.weight ?? 1), 0),
+    rounds,
+    winner,
+    tied
+  };
+}
+
+/**
+ * Load the active candidates on an election's ballot
+ * @returns {Promise<Array<Object>>} Candidate summaries
+ */
+export async function loadCandidates(firestore, election) {
+  const snapshot = await firestore.collection('candidates')
+    .where('electionId', '==', election.id)
+    .where('isActive', '==', true)
+    .get();
+
+  return snapshot.docs
+    .filter(doc => qualifiesForBallot(doc.data(), election))
+    .map(doc => summarizeCandidate(doc.id, doc.data()));
+}
+
+/**
+ * Tally ballots into per-position results
+ * @param {Object} election - Election with positions, ballotMode and weighting
+ * @param {Array<Object>} candidates - Candidate summaries
+ * @param {Array<{position: string, candidateId: string, rankings?: Array<string>, weight?: number}>} ballots
+ * @returns {Object} Results keyed by position
+ */
+export function tallyBallots(election, candidates, ballots) {
+  const positions = Object.fromEntries(
+    election.positions.map(position => [position, { candidates: [], ballots: [] }])
+  );
+
+  candidates.forEach(candidate => {
+    positions[candidate.position]?.candidates.push(candidate);
+  });
+
+  ballots.forEach(ballot => {
+    positions[ballot.position]?.ballots.push({
+      candidateId: ballot.candidateId,
+      rankings: ballot.rankings || [ballot.candidateId],
+      weight: ballot.weight ?? 1
+    });
+  });
+
+  const tally = election.ballotMode === BallotModes.RANKED ? tallyRanked : tallyPlurality;
+  const results = {};
+  for (const [position, group] of Object.entries(positions)) {
+    results[position] = tally(group.candidates, group.ballots);
+  }
+
+  return results;
+}
+
+/**
+ * Tally every position in an election from the votes collection
+ * @param {admin.firestore.Firestore} firestore
+ * @param {Object} election - Election with id, positions, ballotMode and weighting
+ * @returns {Promise<Object>} Results keyed by position
+ */
+export async function tallyElection(firestore, election) {
+  const [candidates, votesSnapshot] = await Promise.all([
+    loadCandidates(firestore, election),
+    firestore.collection('votes')
+      .where('electionId', '==', election.id)
+      .get()
+  ]);
+
+  const ballots = votesSnapshot.docs.map(doc => doc.data()).filter(isCountedVote);
+  return tallyBallots(election, candidates, ballots);
+}
+
+export default {
+  BallotModes,
+  VoteStatus,
+  isCountedVote,
+  qualifiesForBallot,
+  summarizeCandidate,
+  tallyPlurality,
+  runInstantRunoff,
+  tallyRanked,
+  loadCandidates,
+  tallyBallots,
+  tallyElection
+};
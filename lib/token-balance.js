@@ -0,0 +1,64 @@
+/**
+ * On-chain TURDS balance lookups
+ * Reads a wallet's token accounts through the configured Solana RPC
+ * (Helius when SOLANA_RPC_URL is set), falling back to the public RPC.
+ * Shared by the token balance endpoint and candidate eligibility checks.
+ */
+
+const PUBLIC_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+/**
+ * Sum a wallet's balance across its token accounts for one mint
+ */
+async function readBalance(connection, walletPubkey, mintPubkey) {
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+    walletPubkey,
+    { mint: mintPubkey },
+    'confirmed'
+  );
+
+  let balance = 0;
+  let decimals = 9;
+
+  for (const tokenAccount of tokenAccounts.value) {
+    const accountData = tokenAccount.account.data;
+    const tokenAmount = 'parsed' in accountData ? accountData.parsed.info?.tokenAmount : null;
+
+    if (tokenAmount) {
+      balance += parseInt(tokenAmount.amount);
+      decimals = tokenAmount.decimals;
+    }
+  }
+
+  return { balance, decimals, uiAmount: balance / Math.pow(10, decimals) };
+}
+
+/**
+ * Fetch a wallet's current TURDS balance
+ * @param {string} walletAddress - Solana wallet address
+ * @param {string} [mintAddress] - Defaults to TURDS_MINT_ADDRESS
+ * @returns {Promise<{balance: number, decimals: number, uiAmount: number}>} balance is in base units,
+ *   the same unit stored in users.tokenBalance
+ * @throws {Error} If the mint isn't configured or both RPCs fail
+ */
+export async function fetchTokenBalance(walletAddress, mintAddress = process.env.TURDS_MINT_ADDRESS) {
+  if (!mintAddress) {
+    throw new Error('TURDS_MINT_ADDRESS environment variable is required');
+  }
+
+  const { Connection, PublicKey } = await import('@solana/web3.js');
+  const walletPubkey = new PublicKey(walletAddress);
+  const mintPubkey = new PublicKey(mintAddress);
+  const rpcUrl = process.env.SOLANA_RPC_URL || PUBLIC_RPC_URL;
+
+  try {
+    return await readBalance(new Connection(rpcUrl, 'confirmed'), walletPubkey, mintPubkey);
+  } catch (error) {
+    if (rpcUrl === PUBLIC_RPC_URL) throw error;
+    return readBalance(new Connection(PUBLIC_RPC_URL, 'confirmed'), walletPubkey, mintPubkey);
+  }
+}
+
+export default {
+  fetchTokenBalance
+};
@@ -0,0 +1,187 @@
+/**
+ * Token-weighted voting
+ * Vote weights come from TURDS balances frozen in a snapshot that the
+ * scheduled jobs take in the half hour before an election or poll opens,
+ * so buying tokens once voting is near changes nothing. Ballots are
+ * refused until the snapshot exists; voters' requests never take it.
+ */
+
+import { admin } from './firebase-init.js';
+import { AppError, ConflictError } from './errors.js';
+import logger from './logger.js';
+
+/**
+ * Supported weighting modes
+ */
+export const WeightingModes = {
+  EQUAL: 'equal',         // One person, one vote
+  LINEAR: 'linear',       // Weight equals token balance
+  QUADRATIC: 'quadratic'  // Weight equals square root of token balance
+};
+
+/**
+ * How long before voting opens the scheduled jobs freeze balances
+ * (the jobs run every 15 minutes, so a 30 minute lead always catches it)
+ */
+export const SNAPSHOT_LEAD_MS = 30 * 60 * 1000;
+
+// A snapshot claim older than this is assumed to have crashed and may be retaken
+const SNAPSHOT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Validate a weighting mode (defaults to one-person-one-vote)
+ */
+export function validateWeighting(mode) {
+  const value = mode || WeightingModes.EQUAL;
+
+  if (!Object.values(WeightingModes).includes(value)) {
+    return { valid: false, error: 'Invalid weighting mode' };
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Compute a vote's weight from a token balance
+ * @param {number} balance - Snapshotted token balance
+ * @param {string} mode - One of WeightingModes
+ * @returns {number}
+ */
+export function computeVoteWeight(balance, mode) {
+  const tokens = Math.max(Number(balance) || 0, 0);
+
+  switch (mode) {
+    case WeightingModes.LINEAR:
+      return tokens;
+    case WeightingModes.QUADRATIC:
+      return Math.sqrt(tokens);
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Whether a weighting mode needs a balance snapshot
+ */
+export function requiresSnapshot(mode) {
+  return Boolean(mode) && mode !== WeightingModes.EQUAL;
+}
+
+/**
+ * Copy every user's current token balance into parentRef/balance_snapshots
+ * @param {admin.firestore.Firestore} firestore
+ * @param {admin.firestore.DocumentReference} parentRef - Election or poll document
+ * @returns {Promise<number>} Number of balances captured
+ */
+export async function snapshotTokenBalances(firestore, parentRef) {
+  const usersSnapshot = await firestore.collection('users').select('tokenBalance').get();
+  const snapshotsRef = parentRef.collection('balance_snapshots');
+
+  for (let i = 0; i < usersSnapshot.docs.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    usersSnapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+      batch.set(snapshotsRef.doc(doc.id), {
+        tokenBalance: doc.data().tokenBalance || 0
+      });
+    });
+    await batch.commit();
+  }
+
+  return usersSnapshot.size;
+}
+
+/**
+ * Whether a weighted election or poll opening at opensAt is due its snapshot
+ * @param {Date|null} opensAt - null for polls that open on creation
+ */
+export function isSnapshotDue(opensAt, now = new Date()) {
+  return !opensAt || opensAt.getTime() - now.getTime() <= SNAPSHOT_LEAD_MS;
+}
+
+/**
+ * Refuse a ballot on a weighted election or poll whose balances aren't frozen yet
+ * @param {Object} data - Election or poll document data
+ * @throws {AppError} BALANCE_SNAPSHOT_PENDING (409)
+ */
+export function assertBalanceSnapshot(data) {
+  if (requiresSnapshot(data.weighting) && !data.balanceSnapshotAt) {
+    throw new AppError(
+      'Token balances for this vote are still being frozen - please try again in a few minutes',
+      409,
+      'BALANCE_SNAPSHOT_PENDING'
+    );
+  }
+}
+
+/**
+ * Take the balance snapshot for a weighted election or poll if it has none
+ * Called by the scheduled jobs (and poll creation), never by voters.
+ *
+ * A claim is written in a transaction first so concurrent runs don't
+ * take competing snapshots; they get a retryable conflict instead.
+ *
+ * @throws {ConflictError} While another run is taking the snapshot
+ */
+export async function ensureBalanceSnapshot(firestore, parentRef) {
+  const claimed = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(parentRef);
+    const data = doc.data() || {};
+
+    if (data.balanceSnapshotAt || !requiresSnapshot(data.weighting)) {
+      return false;
+    }
+
+    const startedAt = data.balanceSnapshotStartedAt?.toMillis?.() || 0;
+    if (Date.now() - startedAt < SNAPSHOT_LOCK_TIMEOUT_MS) {
+      throw new ConflictError('Token balance snapshot in progress, please retry shortly');
+    }
+
+    transaction.update(parentRef, {
+      balanceSnapshotStartedAt: admin.firestore.Timestamp.now()
+    });
+    return true;
+  });
+
+  if (!claimed) return;
+
+  const count = await snapshotTokenBalances(firestore, parentRef);
+  await parentRef.update({
+    balanceSnapshotAt: admin.firestore.FieldValue.serverTimestamp(),
+    balanceSnapshotCount: count
+  });
+
+  logger.info('Token balance snapshot taken', { path: parentRef.path, count });
+}
+
+/**
+ * Read a voter's weight from the snapshot, inside a transaction when given one
+ * Users who joined after the snapshot hold no snapshotted balance
+ * @returns {Promise<{weight: number, tokenBalance: number|null}>}
+ */
+export async function getSnapshotWeight(parentRef, userId, mode, transaction = null) {
+  if (!requiresSnapshot(mode)) {
+    return { weight: 1, tokenBalance: null };
+  }
+
+  const snapshotRef = parentRef.collection('balance_snapshots').doc(userId);
+  const snapshotDoc = transaction ? await transaction.get(snapshotRef) : await snapshotRef.get();
+  const tokenBalance = snapshotDoc.exists ? snapshotDoc.data().tokenBalance || 0 : 0;
+
+  return { weight: computeVoteWeight(tokenBalance, mode), tokenBalance };
+}
+
+export default {
+  WeightingModes,
+  validateWeighting,
+  computeVoteWeight,
+  requiresSnapshot,
+  SNAPSHOT_LEAD_MS,
+  isSnapshotDue,
+  assertBalanceSnapshot,
+  snapshotTokenBalances,
+  ensureBalanceSnapshot,
+  getSnapshotWeight
+};
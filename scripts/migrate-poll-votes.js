@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Move government polls off the legacy voters array
+ *
+ * Usage:
+ *   node scripts/migrate-poll-votes.js [--poll <pollId>] [--apply]
+ *
+ * Without --apply this only reports what would change. With --apply every
+ * voter missing a ballot document gets one rebuilt from the vote log and
+ * the poll's voters array is deleted. Voters whose choice can't be recovered
+ * get a legacy ballot that only records that they voted.
+ */
+
+import { getFirestore } from '../lib/firebase-init.js';
+import logger from '../lib/logger.js';
+import { migrateLegacyVoters } from '../lib/polls.js';
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const pollIndex = argv.indexOf('--poll');
+
+  return {
+    pollId: pollIndex !== -1 ? argv[pollIndex + 1] || null : null,
+    apply: argv.includes('--apply')
+  };
+}
+
+/**
+ * Main migration function
+ */
+async function migrate() {
+  const { pollId, apply } = parseArgs(process.argv.slice(2));
+
+  try {
+    const firestore = getFirestore();
+
+    let pollIds = [pollId];
+    if (!pollId) {
+      const snapshot = await firestore.collection('government_polls').get();
+      pollIds = snapshot.docs.filter(doc => doc.data().voters !== undefined).map(doc => doc.id);
+    }
+
+    if (pollIds.length === 0) {
+      console.log('✅ No polls still use a voters array');
+      process.exit(0);
+    }
+
+    let legacy = 0;
+    for (const id of pollIds) {
+      const report = await migrateLegacyVoters(firestore, id, { apply });
+      console.log(`  ${id}: ${report.voters} voters, ${report.rebuilt} ballots ${apply ? 'rebuilt' : 'to rebuild'}, ${report.legacy} without a recorded choice`);
+      legacy += report.legacy;
+    }
+
+    if (!apply) {
+      console.log('Run again with --apply to migrate these polls');
+      process.exit(0);
+    }
+
+    logger.info('Poll votes migrated', { polls: pollIds.length, legacy });
+
+    console.log(`✅ Migrated ${pollIds.length} polls`);
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('Poll vote migration failed', { error: error.message });
+    process.exit(2);
+  }
+}
+
+// Run migration
+migrate();
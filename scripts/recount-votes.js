@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Recount candidate vote counters from the votes collection
+ *
+ * Usage:
+ *   node scripts/recount-votes.js [--election <electionId>] [--repair]
+ *
+ * Without --repair this only reports drift. With --repair every drifted
+ * candidate is recounted and its counters overwritten, and the repair is
+ * recorded in the audit log.
+ */
+
+import { getFirestore } from '../lib/firebase-init.js';
+import auditLogger from '../lib/audit.js';
+import logger from '../lib/logger.js';
+import { recountCandidates, repairCandidateCounters } from '../lib/recount.js';
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const electionIndex = argv.indexOf('--election');
+
+  return {
+    electionId: electionIndex !== -1 ? argv[electionIndex + 1] || null : null,
+    repair: argv.includes('--repair')
+  };
+}
+
+/**
+ * Main recount function
+ */
+async function recount() {
+  const { electionId, repair } = parseArgs(process.argv.slice(2));
+
+  try {
+    const firestore = getFirestore();
+    const report = await recountCandidates(firestore, { electionId });
+
+    console.log(`Checked ${report.candidatesChecked} candidates${electionId ? ` in election ${electionId}` : ''}`);
+    console.log(`Votes pointing at missing candidates: ${report.orphanedVotes}`);
+
+    if (report.drifted.length === 0) {
+      console.log('✅ All candidate counters match the votes collection');
+      process.exit(0);
+    }
+
+    console.log(`⚠️  ${report.drifted.length} candidates have drifted:`);
+    report.drifted.forEach(({ candidateId, name, counters, recounted }) => {
+      console.log(`  ${candidateId} (${name || 'unnamed'})`);
+      console.log(`    votes:           ${counters.votes} -> ${recounted.votes}`);
+      console.log(`    weightedVotes:   ${counters.weightedVotes} -> ${recounted.weightedVotes}`);
+      console.log(`    supportersCount: ${counters.supportersCount} -> ${recounted.supportersCount}`);
+    });
+
+    if (!repair) {
+      console.log('Run again with --repair to fix these counters');
+      process.exit(1);
+    }
+
+    const repaired = [];
+    for (const candidate of report.drifted) {
+      repaired.push(await repairCandidateCounters(firestore, candidate.candidateId));
+    }
+
+    await auditLogger.logAdminAction('system:recount-votes', 'recount_repair', null, null, {
+      electionId,
+      candidates: Object.fromEntries(
+        repaired.map(({ candidateId, before, after }) => [candidateId, { before, after }])
+      )
+    });
+    await auditLogger.flush();
+
+    console.log(`✅ Repaired ${repaired.length} candidates`);
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('Vote recount failed', { error: error.message });
+    process.exit(2);
+  }
+}
+
+// Run recount
+recount();